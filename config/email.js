@@ -0,0 +1,36 @@
+/**
+ * Transactional email settings
+ */
+module.exports = {
+  from: process.env.EMAIL_FROM || 'GloUp <no-reply@gloup.app>',
+
+  // 'memory' keeps sent emails in memory (not for production), 'file' writes
+  // them to `outboxDir`, 'smtp' delivers them through the SMTP server below
+  transport: process.env.EMAIL_TRANSPORT || 'memory',
+
+  outboxDir: process.env.EMAIL_OUTBOX_DIR || 'outbox',
+
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  },
+
+  // Links in emails point at the web app; unsubscribe links at the API
+  appUrl: process.env.APP_URL || 'https://gloupwebapp.vercel.app',
+  apiUrl: process.env.API_URL || 'http://localhost:5000',
+
+  // Signs unsubscribe links so they work without signing in; must be set
+  // in production
+  unsubscribeSecret: process.env.EMAIL_UNSUBSCRIBE_SECRET || 'dev-unsubscribe-secret',
+
+  // Categories users can unsubscribe from; every template belongs to one
+  categories: {
+    account: 'Account and welcome emails',
+    offers: 'Offers on your listings and offers you make',
+    sales: 'Sales of your listings',
+    searches: 'New listings matching your saved searches'
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * Personalized home feed settings (see utils/feed.js)
+ * A user's taste is built from the brands, sizes, categories and prices of
+ * products they favorited, bought and recently viewed. Available listings are
+ * scored against it, with points for freshness and for being near the
+ * user's saved address, then re-ranked so no seller dominates.
+ */
+module.exports = {
+  // How much each kind of engagement counts towards a user's taste
+  engagementWeights: {
+    favorite: 3,
+    purchase: 2,
+    view: 1
+  },
+
+  // Recently viewed products kept per user, newest first
+  recentViewsLimit: 50,
+
+  // Recent orders read for purchase signals
+  recentOrdersLimit: 20,
+
+  // Points for a listing matching the user's taste, each scaled 0-1
+  weights: {
+    brand: 3,
+    size: 2,
+    category: 1.5,
+    price: 1.5,
+    nearby: 2,
+    freshness: 2,
+    // Cold start only: how often the listing was viewed, on a log scale
+    popularity: 1.5
+  },
+
+  // Freshness halves every this many days
+  freshnessHalfLifeDays: 7,
+
+  // Listings within this distance of the user's address get nearby points (km)
+  nearbyRadiusKm: 50,
+
+  // Newest listings, listings matching the user's taste and nearby listings
+  // are each fetched up to this many
+  candidateLimit: 300,
+
+  // Each further listing from a seller already shown has its score multiplied by this
+  sellerRepeatPenalty: 0.5,
+
+  // Feed page size by default, and at most
+  defaultLimit: 20,
+  maxLimit: 50
+};
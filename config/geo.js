@@ -0,0 +1,81 @@
+/**
+ * Location settings and the offline geocoding table
+ * Cities are matched by name or alias, then narrowed by country and region
+ * when given; when several still match, the first one listed wins. Countries
+ * are ISO codes (see `countryAliases` in config/shipping.js).
+ */
+module.exports = {
+  // Decimal places kept for stored coordinates; 2 places is about 1 km
+  coordinatePrecision: 2,
+
+  // Distances in results are rounded up to a multiple of this (km)
+  distanceStepKm: 1,
+
+  // Search radius used when only a point is sent, and the largest accepted (km)
+  defaultRadiusKm: 25,
+  maxRadiusKm: 500,
+
+  cities: [
+    // United States
+    { city: 'New York', region: 'New York', regionCode: 'NY', country: 'US', lat: 40.7128, lng: -74.006, aliases: ['nyc', 'new york city', 'manhattan'] },
+    { city: 'Brooklyn', region: 'New York', regionCode: 'NY', country: 'US', lat: 40.6782, lng: -73.9442 },
+    { city: 'Los Angeles', region: 'California', regionCode: 'CA', country: 'US', lat: 34.0522, lng: -118.2437, aliases: ['la'] },
+    { city: 'San Francisco', region: 'California', regionCode: 'CA', country: 'US', lat: 37.7749, lng: -122.4194, aliases: ['sf'] },
+    { city: 'San Diego', region: 'California', regionCode: 'CA', country: 'US', lat: 32.7157, lng: -117.1611 },
+    { city: 'Chicago', region: 'Illinois', regionCode: 'IL', country: 'US', lat: 41.8781, lng: -87.6298 },
+    { city: 'Houston', region: 'Texas', regionCode: 'TX', country: 'US', lat: 29.7604, lng: -95.3698 },
+    { city: 'Austin', region: 'Texas', regionCode: 'TX', country: 'US', lat: 30.2672, lng: -97.7431 },
+    { city: 'Dallas', region: 'Texas', regionCode: 'TX', country: 'US', lat: 32.7767, lng: -96.797 },
+    { city: 'Miami', region: 'Florida', regionCode: 'FL', country: 'US', lat: 25.7617, lng: -80.1918 },
+    { city: 'Atlanta', region: 'Georgia', regionCode: 'GA', country: 'US', lat: 33.749, lng: -84.388 },
+    { city: 'Boston', region: 'Massachusetts', regionCode: 'MA', country: 'US', lat: 42.3601, lng: -71.0589 },
+    { city: 'Cambridge', region: 'Massachusetts', regionCode: 'MA', country: 'US', lat: 42.3736, lng: -71.1097 },
+    { city: 'Washington', region: 'District of Columbia', regionCode: 'DC', country: 'US', lat: 38.9072, lng: -77.0369, aliases: ['washington dc', 'dc'] },
+    { city: 'Philadelphia', region: 'Pennsylvania', regionCode: 'PA', country: 'US', lat: 39.9526, lng: -75.1652 },
+    { city: 'Seattle', region: 'Washington', regionCode: 'WA', country: 'US', lat: 47.6062, lng: -122.3321 },
+    { city: 'Portland', region: 'Oregon', regionCode: 'OR', country: 'US', lat: 45.5152, lng: -122.6784 },
+    { city: 'Portland', region: 'Maine', regionCode: 'ME', country: 'US', lat: 43.6591, lng: -70.2568 },
+    { city: 'Denver', region: 'Colorado', regionCode: 'CO', country: 'US', lat: 39.7392, lng: -104.9903 },
+    { city: 'Phoenix', region: 'Arizona', regionCode: 'AZ', country: 'US', lat: 33.4484, lng: -112.074 },
+    { city: 'Las Vegas', region: 'Nevada', regionCode: 'NV', country: 'US', lat: 36.1699, lng: -115.1398 },
+    { city: 'Minneapolis', region: 'Minnesota', regionCode: 'MN', country: 'US', lat: 44.9778, lng: -93.265 },
+    { city: 'Nashville', region: 'Tennessee', regionCode: 'TN', country: 'US', lat: 36.1627, lng: -86.7816 },
+    { city: 'New Orleans', region: 'Louisiana', regionCode: 'LA', country: 'US', lat: 29.9511, lng: -90.0715 },
+    { city: 'Detroit', region: 'Michigan', regionCode: 'MI', country: 'US', lat: 42.3314, lng: -83.0458 },
+
+    // United Kingdom
+    { city: 'London', region: 'England', country: 'GB', lat: 51.5074, lng: -0.1278 },
+    { city: 'Manchester', region: 'England', country: 'GB', lat: 53.4808, lng: -2.2426 },
+    { city: 'Birmingham', region: 'England', country: 'GB', lat: 52.4862, lng: -1.8904 },
+    { city: 'Liverpool', region: 'England', country: 'GB', lat: 53.4084, lng: -2.9916 },
+    { city: 'Leeds', region: 'England', country: 'GB', lat: 53.8008, lng: -1.5491 },
+    { city: 'Bristol', region: 'England', country: 'GB', lat: 51.4545, lng: -2.5879 },
+    { city: 'Brighton', region: 'England', country: 'GB', lat: 50.8225, lng: -0.1372 },
+    { city: 'Cambridge', region: 'England', country: 'GB', lat: 52.2053, lng: 0.1218 },
+    { city: 'Oxford', region: 'England', country: 'GB', lat: 51.752, lng: -1.2577 },
+    { city: 'Edinburgh', region: 'Scotland', country: 'GB', lat: 55.9533, lng: -3.1883 },
+    { city: 'Glasgow', region: 'Scotland', country: 'GB', lat: 55.8642, lng: -4.2518 },
+    { city: 'Cardiff', region: 'Wales', country: 'GB', lat: 51.4816, lng: -3.1791 },
+    { city: 'Belfast', region: 'Northern Ireland', country: 'GB', lat: 54.5973, lng: -5.9301 },
+
+    // Canada
+    { city: 'Toronto', region: 'Ontario', regionCode: 'ON', country: 'CA', lat: 43.6532, lng: -79.3832 },
+    { city: 'Ottawa', region: 'Ontario', regionCode: 'ON', country: 'CA', lat: 45.4215, lng: -75.6972 },
+    { city: 'London', region: 'Ontario', regionCode: 'ON', country: 'CA', lat: 42.9849, lng: -81.2453 },
+    { city: 'Montreal', region: 'Quebec', regionCode: 'QC', country: 'CA', lat: 45.5017, lng: -73.5673, aliases: ['montréal'] },
+    { city: 'Vancouver', region: 'British Columbia', regionCode: 'BC', country: 'CA', lat: 49.2827, lng: -123.1207 },
+    { city: 'Calgary', region: 'Alberta', regionCode: 'AB', country: 'CA', lat: 51.0447, lng: -114.0719 },
+    { city: 'Edmonton', region: 'Alberta', regionCode: 'AB', country: 'CA', lat: 53.5461, lng: -113.4938 },
+
+    // India
+    { city: 'Mumbai', region: 'Maharashtra', regionCode: 'MH', country: 'IN', lat: 19.076, lng: 72.8777, aliases: ['bombay'] },
+    { city: 'Pune', region: 'Maharashtra', regionCode: 'MH', country: 'IN', lat: 18.5204, lng: 73.8567 },
+    { city: 'Delhi', region: 'Delhi', regionCode: 'DL', country: 'IN', lat: 28.7041, lng: 77.1025, aliases: ['new delhi'] },
+    { city: 'Bengaluru', region: 'Karnataka', regionCode: 'KA', country: 'IN', lat: 12.9716, lng: 77.5946, aliases: ['bangalore'] },
+    { city: 'Hyderabad', region: 'Telangana', regionCode: 'TG', country: 'IN', lat: 17.385, lng: 78.4867 },
+    { city: 'Chennai', region: 'Tamil Nadu', regionCode: 'TN', country: 'IN', lat: 13.0827, lng: 80.2707, aliases: ['madras'] },
+    { city: 'Kolkata', region: 'West Bengal', regionCode: 'WB', country: 'IN', lat: 22.5726, lng: 88.3639, aliases: ['calcutta'] },
+    { city: 'Ahmedabad', region: 'Gujarat', regionCode: 'GJ', country: 'IN', lat: 23.0225, lng: 72.5714 },
+    { city: 'Jaipur', region: 'Rajasthan', regionCode: 'RJ', country: 'IN', lat: 26.9124, lng: 75.7873 }
+  ]
+};
@@ -0,0 +1,26 @@
+/**
+ * Uploaded image processing settings (see utils/images.js)
+ * Every upload is re-encoded into these renditions without its metadata
+ * (EXIF, GPS), and the original file is deleted.
+ */
+module.exports = {
+  // Image formats accepted, as detected from the file content
+  acceptedFormats: ['jpeg', 'png', 'webp', 'gif'],
+
+  // Largest image accepted, in pixels, to guard against decompression bombs
+  maxInputPixels: 50 * 1000 * 1000,
+
+  // JPEG renditions: name -> file suffix and size. `cover` crops to fill
+  // the box; `inside` keeps the whole image within it
+  renditions: {
+    thumbnail: { suffix: 'thumb', width: 200, height: 200, fit: 'cover', quality: 70 },
+    medium: { suffix: 'medium', width: 600, height: 600, fit: 'inside', quality: 80 },
+    full: { suffix: 'full', width: 1600, height: 1600, fit: 'inside', quality: 85 }
+  },
+
+  // A WebP copy of the full rendition for browsers that support it
+  webpQuality: 80,
+
+  // Background for transparent images, which JPEG cannot store
+  background: '#ffffff'
+};
@@ -0,0 +1,39 @@
+/**
+ * In-app notification types
+ * Users can switch each type off in their profile's `notificationPreferences`;
+ * every type is on by default.
+ */
+module.exports = {
+  types: {
+    offer_received: {
+      label: 'Someone makes an offer on your listing'
+    },
+    offer_countered: {
+      label: 'An offer you are negotiating is countered'
+    },
+    offer_accepted: {
+      label: 'An offer you are negotiating is accepted'
+    },
+    offer_rejected: {
+      label: 'An offer you are negotiating is rejected'
+    },
+    review_received: {
+      label: 'Someone reviews your listing'
+    },
+    product_favorited: {
+      label: 'Someone adds your listing to their favorites'
+    },
+    favorite_sold: {
+      label: 'An item in your favorites is sold'
+    },
+    product_sold: {
+      label: 'Your item is sold'
+    },
+    saved_search_match: {
+      label: 'A new listing matches one of your saved searches'
+    },
+    price_drop: {
+      label: 'An item in your favorites drops in price'
+    }
+  }
+};
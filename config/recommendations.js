@@ -0,0 +1,47 @@
+/**
+ * Related product ("similar items") settings
+ * A candidate's score is the sum of the weights of the attributes it shares
+ * with the product, plus price and co-favorite points (see utils/recommendations.js).
+ */
+module.exports = {
+  // Points for each attribute a candidate shares with the product
+  weights: {
+    brand: 3,
+    subcategory: 2,
+    style: 1.5,
+    size: 1.5,
+    gender: 1,
+    color: 1,
+    material: 1,
+    // Per shared tag, counting at most `maxSharedTags`
+    tag: 0.5,
+    // Scaled by how close the prices are (1 when equal)
+    price: 2,
+    // Scaled by the share of the product's fans who also favorited the candidate
+    coFavorite: 4
+  },
+
+  maxSharedTags: 4,
+
+  // Prices further apart than this ratio (cheaper / dearer) earn no price points
+  minPriceRatio: 0.5,
+
+  // Users sampled when counting co-favorites
+  coFavoriteSampleSize: 500,
+
+  // Candidates scored per product
+  candidateLimit: 200,
+
+  // Scored items kept per product, before removing the caller's listings
+  cacheSize: 30,
+
+  // How long a product's scored items are reused (ms)
+  cacheTtlMs: 10 * 60 * 1000,
+
+  // Related products returned by default, and at most
+  defaultLimit: 6,
+  maxLimit: 24,
+
+  // Seconds clients and proxies may cache GET /api/products/:id/related
+  responseMaxAge: 300
+};
@@ -0,0 +1,40 @@
+/**
+ * Product search settings
+ */
+module.exports = {
+  // Price facet bucket boundaries; prices from the last one up share a bucket
+  priceBuckets: [0, 25, 50, 100, 200, 500],
+
+  // Most values returned for free-text facets such as brand
+  facetValueLimit: 20,
+
+  // Words searched as one another; each group lists interchangeable terms
+  synonyms: [
+    ['sneakers', 'trainers', 'kicks'],
+    ['tee', 't-shirt', 'tshirt'],
+    ['hoodie', 'hooded sweatshirt'],
+    ['jumper', 'sweater', 'pullover'],
+    ['trousers', 'pants'],
+    ['purse', 'handbag'],
+    ['jeans', 'denim']
+  ],
+
+  // Autocomplete: shortest prefix answered and most suggestions returned
+  suggest: {
+    minPrefixLength: 2,
+    limit: 10
+  },
+
+  fuzzy: {
+    // Retry with typo-tolerant terms when text search finds fewer results than this
+    minResults: 5,
+    // Largest edit distance allowed for words of 4 or fewer / more letters
+    maxDistanceShort: 1,
+    maxDistanceLong: 2,
+    // Most similar terms used per misspelled word
+    termsPerWord: 3
+  },
+
+  // How long the term vocabulary behind autocomplete and fuzzy search is cached
+  vocabularyTtlMs: 10 * 60 * 1000
+};
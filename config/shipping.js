@@ -0,0 +1,94 @@
+/**
+ * Shipping rate tables
+ * Weights are in kg and dimensions in cm. Each zone has weight brackets
+ * (price for parcels up to `maxWeight`) and a per-kg price above the last one.
+ * Zones: `local` (same country and zip prefix as the seller), `domestic`
+ * (same country) and `international`.
+ */
+module.exports = {
+  currency: process.env.SHIPPING_CURRENCY || 'usd',
+
+  // Used when the seller has no country in their address
+  originCountry: process.env.SHIPPING_ORIGIN_COUNTRY || 'US',
+
+  // Number of leading zip code characters that must match for the local zone
+  localZipPrefixLength: 3,
+
+  // Weight used for listings without a weight
+  defaultWeight: 0.5,
+
+  // Volume (cm³) per kg of dimensional weight
+  dimensionalDivisor: 5000,
+
+  // Alternative spellings of country names, mapped to a single code
+  countryAliases: {
+    'usa': 'us',
+    'united states': 'us',
+    'united states of america': 'us',
+    'uk': 'gb',
+    'united kingdom': 'gb',
+    'great britain': 'gb',
+    'india': 'in',
+    'canada': 'ca'
+  },
+
+  methods: {
+    economy: {
+      label: 'Economy',
+      estimatedDays: '5-8',
+      zones: {
+        local: {
+          brackets: [{ maxWeight: 0.5, price: 3 }, { maxWeight: 2, price: 5 }, { maxWeight: 5, price: 8 }],
+          extraPerKg: 1
+        },
+        domestic: {
+          brackets: [{ maxWeight: 0.5, price: 4 }, { maxWeight: 2, price: 6.5 }, { maxWeight: 5, price: 10 }],
+          extraPerKg: 1.5
+        },
+        international: {
+          brackets: [{ maxWeight: 0.5, price: 12 }, { maxWeight: 2, price: 20 }, { maxWeight: 5, price: 35 }],
+          extraPerKg: 6
+        }
+      }
+    },
+    standard: {
+      label: 'Standard',
+      estimatedDays: '3-5',
+      zones: {
+        local: {
+          brackets: [{ maxWeight: 0.5, price: 4 }, { maxWeight: 2, price: 6 }, { maxWeight: 5, price: 9.5 }],
+          extraPerKg: 1.25
+        },
+        domestic: {
+          brackets: [{ maxWeight: 0.5, price: 5.5 }, { maxWeight: 2, price: 8 }, { maxWeight: 5, price: 12.5 }],
+          extraPerKg: 2
+        },
+        international: {
+          brackets: [{ maxWeight: 0.5, price: 18 }, { maxWeight: 2, price: 28 }, { maxWeight: 5, price: 45 }],
+          extraPerKg: 8
+        }
+      }
+    },
+    express: {
+      label: 'Express',
+      estimatedDays: '1-2',
+      zones: {
+        local: {
+          brackets: [{ maxWeight: 0.5, price: 9 }, { maxWeight: 2, price: 12 }, { maxWeight: 5, price: 17 }],
+          extraPerKg: 2.5
+        },
+        domestic: {
+          brackets: [{ maxWeight: 0.5, price: 14 }, { maxWeight: 2, price: 19 }, { maxWeight: 5, price: 26 }],
+          extraPerKg: 3.5
+        },
+        international: {
+          brackets: [{ maxWeight: 0.5, price: 35 }, { maxWeight: 2, price: 50 }, { maxWeight: 5, price: 75 }],
+          extraPerKg: 12
+        }
+      }
+    }
+  },
+
+  // Offered when a listing does not pick its own methods
+  defaultMethods: ['standard']
+};
@@ -1,5 +1,6 @@
 const User = require('../models/User');
 const { admin } = require('../config/firebase');
+const { sendEmail } = require('../utils/email');
 
 /**
  * Verify a Firebase token
@@ -26,6 +27,7 @@ exports.verifyToken = async (req, res) => {
         name: decodedToken.name || decodedToken.email.split('@')[0]
       });
       await user.save();
+      sendEmail(user, 'welcome');
     }
     
     res.status(200).json({
@@ -0,0 +1,352 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Product = require('../models/Product');
+const Offer = require('../models/Offer');
+const { publishEvent } = require('../utils/realtime');
+const { sendPush } = require('../utils/push');
+
+/**
+ * Get the uploaded file URLs for a request
+ */
+const getUploadedUrls = (req) => {
+  return (req.files || []).map(file => `/uploads/${file.filename}`);
+};
+
+/**
+ * Check that an offer can be referenced in a conversation
+ */
+const isOfferInConversation = (offer, conversation) => {
+  return offer &&
+    offer.product.toString() === conversation.product.toString() &&
+    offer.buyer.toString() === conversation.buyer.toString() &&
+    offer.seller.toString() === conversation.seller.toString();
+};
+
+/**
+ * Save a message and update the conversation's preview and unread count
+ */
+const sendMessage = async (conversation, senderId, { body, images, offer }) => {
+  const senderRole = conversation.getRole(senderId);
+  const recipientRole = senderRole === 'buyer' ? 'seller' : 'buyer';
+
+  const message = new Message({
+    conversation: conversation._id,
+    sender: senderId,
+    recipient: conversation[recipientRole],
+    body,
+    images,
+    offer
+  });
+  await message.save();
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $set: {
+        lastMessage: {
+          body: body || (images.length > 0 ? 'Sent a photo' : ''),
+          sender: senderId,
+          createdAt: message.createdAt
+        }
+      },
+      $inc: { [`unread.${recipientRole}`]: 1 }
+    }
+  );
+
+  publishEvent([message.recipient], 'message.new', {
+    conversationId: conversation._id,
+    message
+  });
+  sendPush([message.recipient], {
+    title: 'New message',
+    body: body || 'Sent a photo',
+    data: {
+      type: 'message',
+      conversationId: conversation._id,
+      messageId: message._id
+    }
+  });
+
+  return message;
+};
+
+/**
+ * Start (or reopen) a conversation about a listing, optionally with a first message
+ * Buyers start threads from a product; either party can start one from an offer
+ * @route   POST /api/conversations
+ * @access  Private
+ */
+exports.startConversation = async (req, res) => {
+  try {
+    const { productId, offerId, body } = req.body;
+    const images = getUploadedUrls(req);
+
+    let product;
+    let buyerId;
+    let offer = null;
+
+    if (offerId) {
+      offer = await Offer.findById(offerId);
+      if (!offer) {
+        return res.status(404).json({ message: 'Offer not found' });
+      }
+      // Check if user is the buyer or seller
+      if (offer.buyer.toString() !== req.dbUser._id.toString() &&
+          offer.seller.toString() !== req.dbUser._id.toString()) {
+        return res.status(403).json({ message: 'Not authorized to message about this offer' });
+      }
+      product = await Product.findById(offer.product).select('seller');
+      buyerId = offer.buyer;
+    } else {
+      if (!productId) {
+        return res.status(400).json({ message: 'Product or offer is required' });
+      }
+      product = await Product.findById(productId).select('seller');
+      buyerId = req.dbUser._id;
+    }
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    if (product.seller.toString() === buyerId.toString()) {
+      return res.status(400).json({ message: 'You cannot message yourself about your own product' });
+    }
+
+    let conversation = await Conversation.findOne({ product: product._id, buyer: buyerId });
+    if (!conversation) {
+      conversation = new Conversation({
+        product: product._id,
+        buyer: buyerId,
+        seller: product.seller
+      });
+      await conversation.save();
+    }
+
+    let message = null;
+    if (body || images.length > 0) {
+      message = await sendMessage(conversation, req.dbUser._id, {
+        body,
+        images,
+        offer: offer ? offer._id : undefined
+      });
+    }
+
+    res.status(201).json({ conversation, message });
+  } catch (error) {
+    console.error('Start conversation error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Product or offer not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Get the current user's conversations
+ * @route   GET /api/conversations
+ * @access  Private
+ */
+exports.getConversations = async (req, res) => {
+  try {
+    const conversations = await Conversation.find({
+      $or: [{ buyer: req.dbUser._id }, { seller: req.dbUser._id }]
+    })
+      .populate({
+        path: 'product',
+        select: 'title price images'
+      })
+      .populate({
+        path: 'buyer',
+        select: 'name profilePicture'
+      })
+      .populate({
+        path: 'seller',
+        select: 'name profilePicture'
+      })
+      .sort({ updatedAt: -1 });
+
+    // Add the current user's unread count to each conversation
+    const result = conversations.map(conversation => ({
+      ...conversation.toJSON(),
+      unreadCount: conversation.unread[conversation.getRole(req.dbUser._id)]
+    }));
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Get the current user's total unread message count
+ * @route   GET /api/conversations/unread-count
+ * @access  Private
+ */
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Message.countDocuments({
+      recipient: req.dbUser._id,
+      readAt: null
+    });
+
+    res.status(200).json({ unreadCount });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Get messages in a conversation, newest first
+ * @route   GET /api/conversations/:id/messages
+ * @access  Private
+ */
+exports.getMessages = async (req, res) => {
+  try {
+    const { page = 1, limit = 30 } = req.query;
+
+    const conversation = await Conversation.findById(req.params.id);
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    // Check if user is the buyer or seller
+    if (!conversation.getRole(req.dbUser._id)) {
+      return res.status(403).json({ message: 'Not authorized to view this conversation' });
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const messages = await Message.find({ conversation: conversation._id })
+      .populate({
+        path: 'offer',
+        select: 'offerPrice status acceptedPrice counterOffer'
+      })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Message.countDocuments({ conversation: conversation._id });
+
+    res.status(200).json({
+      messages,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum)
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Send a message with optional image attachments and offer reference
+ * @route   POST /api/conversations/:id/messages
+ * @access  Private
+ */
+exports.addMessage = async (req, res) => {
+  try {
+    const { body, offerId } = req.body;
+    const images = getUploadedUrls(req);
+
+    if (!body && images.length === 0) {
+      return res.status(400).json({ message: 'Message text or images are required' });
+    }
+
+    const conversation = await Conversation.findById(req.params.id);
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    // Check if user is the buyer or seller
+    if (!conversation.getRole(req.dbUser._id)) {
+      return res.status(403).json({ message: 'Not authorized to message in this conversation' });
+    }
+
+    let offer;
+    if (offerId) {
+      offer = await Offer.findById(offerId);
+      if (!isOfferInConversation(offer, conversation)) {
+        return res.status(400).json({ message: 'Offer does not belong to this conversation' });
+      }
+    }
+
+    const message = await sendMessage(conversation, req.dbUser._id, {
+      body,
+      images,
+      offer: offer ? offer._id : undefined
+    });
+
+    res.status(201).json(message);
+  } catch (error) {
+    console.error('Send message error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Mark all messages sent to the current user in a conversation as read
+ * @route   PUT /api/conversations/:id/read
+ * @access  Private
+ */
+exports.markAsRead = async (req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id);
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    const role = conversation.getRole(req.dbUser._id);
+    if (!role) {
+      return res.status(403).json({ message: 'Not authorized to view this conversation' });
+    }
+
+    const result = await Message.updateMany(
+      { conversation: conversation._id, recipient: req.dbUser._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $set: { [`unread.${role}`]: 0 } }
+    );
+
+    res.status(200).json({ markedRead: result.modifiedCount });
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
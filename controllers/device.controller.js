@@ -0,0 +1,73 @@
+const Device = require('../models/Device');
+
+/**
+ * Register a device for push notifications, or refresh its last seen time
+ * A token already registered to another account moves to the current user
+ * @route   POST /api/devices
+ * @access  Private
+ */
+exports.registerDevice = async (req, res) => {
+  try {
+    const { token, platform } = req.body;
+
+    if (!token || !platform) {
+      return res.status(400).json({ message: 'Token and platform are required' });
+    }
+
+    const device = await Device.findOneAndUpdate(
+      { token },
+      { $set: { user: req.dbUser._id, platform, lastSeenAt: new Date() } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json(device);
+  } catch (error) {
+    console.error('Register device error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Get the current user's registered devices
+ * @route   GET /api/devices
+ * @access  Private
+ */
+exports.getDevices = async (req, res) => {
+  try {
+    const devices = await Device.find({ user: req.dbUser._id })
+      .sort({ lastSeenAt: -1 });
+
+    res.status(200).json(devices);
+  } catch (error) {
+    console.error('Get devices error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Unregister a device (e.g. on sign out)
+ * @route   DELETE /api/devices/:token
+ * @access  Private
+ */
+exports.unregisterDevice = async (req, res) => {
+  try {
+    const result = await Device.deleteOne({
+      token: req.params.token,
+      user: req.dbUser._id
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+
+    res.status(200).json({ message: 'Device unregistered' });
+  } catch (error) {
+    console.error('Unregister device error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,327 @@
+const Dispute = require('../models/Dispute');
+const Offer = require('../models/Offer');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { refundPayment } = require('../utils/payments/lifecycle');
+const { getRefundedAmount } = require('../utils/ledger');
+const { removeImage } = require('../utils/images');
+
+/**
+ * Get the uploaded file URLs for a request
+ */
+const getUploadedUrls = (req) => {
+  return (req.files || []).map(file => `/uploads/${file.filename}`);
+};
+
+/**
+ * Delete a rejected request's uploaded files, with all their renditions
+ */
+const removeUploadedFiles = (req) => {
+  getUploadedUrls(req).forEach(removeImage);
+};
+
+/**
+ * Open a dispute against an accepted offer (buyer only)
+ * @route   POST /api/disputes
+ * @access  Private
+ */
+exports.openDispute = async (req, res) => {
+  try {
+    const { offerId, reason, description } = req.body;
+
+    if (!offerId) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: 'Offer is required' });
+    }
+
+    const offer = await Offer.findById(offerId);
+
+    if (!offer) {
+      removeUploadedFiles(req);
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    // Check if user is the buyer
+    if (offer.buyer.toString() !== req.dbUser._id.toString()) {
+      removeUploadedFiles(req);
+      return res.status(403).json({ message: 'Not authorized to dispute this offer' });
+    }
+
+    if (offer.status !== 'accepted') {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: 'Only accepted offers can be disputed' });
+    }
+
+    const existingDispute = await Dispute.findOne({ offer: offer._id, status: 'open' });
+    if (existingDispute) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: 'There is already an open dispute for this offer' });
+    }
+
+    const dispute = new Dispute({
+      offer: offer._id,
+      order: offer.order || undefined,
+      product: offer.product,
+      buyer: offer.buyer,
+      seller: offer.seller,
+      reason,
+      description,
+      evidence: getUploadedUrls(req)
+    });
+
+    await dispute.save();
+
+    res.status(201).json(dispute);
+  } catch (error) {
+    console.error('Open dispute error:', error);
+    removeUploadedFiles(req);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Get disputes for the current user (as buyer or seller)
+ * @route   GET /api/disputes
+ * @access  Private
+ */
+exports.getDisputes = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const query = {
+      $or: [{ buyer: req.dbUser._id }, { seller: req.dbUser._id }]
+    };
+    if (status) query.status = status;
+
+    const disputes = await Dispute.find(query)
+      .populate({
+        path: 'product',
+        select: 'title images'
+      })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json(disputes);
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Get dispute by ID
+ * @route   GET /api/disputes/:id
+ * @access  Private
+ */
+exports.getDisputeById = async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id)
+      .populate({
+        path: 'product',
+        select: 'title price images'
+      })
+      .populate({
+        path: 'buyer',
+        select: 'name profilePicture'
+      })
+      .populate({
+        path: 'seller',
+        select: 'name profilePicture'
+      })
+      .populate({
+        path: 'messages.author',
+        select: 'name profilePicture'
+      });
+
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    // Check if user is a party to the dispute or an admin
+    if (!dispute.getRole(req.dbUser._id) && req.dbUser.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to view this dispute' });
+    }
+
+    res.status(200).json(dispute);
+  } catch (error) {
+    console.error('Get dispute error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Add a message (with optional photos) to a dispute
+ * @route   POST /api/disputes/:id/messages
+ * @access  Private
+ */
+exports.addMessage = async (req, res) => {
+  try {
+    const { body } = req.body;
+    const images = getUploadedUrls(req);
+
+    if (!body && images.length === 0) {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: 'Message text or images are required' });
+    }
+
+    const dispute = await Dispute.findById(req.params.id);
+
+    if (!dispute) {
+      removeUploadedFiles(req);
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    const role = dispute.getRole(req.dbUser._id) || (req.dbUser.role === 'admin' ? 'admin' : null);
+    if (!role) {
+      removeUploadedFiles(req);
+      return res.status(403).json({ message: 'Not authorized to message on this dispute' });
+    }
+
+    if (dispute.status !== 'open') {
+      removeUploadedFiles(req);
+      return res.status(400).json({ message: 'This dispute has been resolved' });
+    }
+
+    dispute.messages.push({
+      author: req.dbUser._id,
+      role,
+      body,
+      images
+    });
+
+    await dispute.save();
+
+    res.status(201).json(dispute);
+  } catch (error) {
+    console.error('Add dispute message error:', error);
+    removeUploadedFiles(req);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Get all disputes (admin only)
+ * @route   GET /api/disputes/admin
+ * @access  Admin
+ */
+exports.getAllDisputes = async (req, res) => {
+  try {
+    const { status = 'open' } = req.query;
+
+    const disputes = await Dispute.find({ status })
+      .populate({
+        path: 'product',
+        select: 'title images'
+      })
+      .populate({
+        path: 'buyer',
+        select: 'name email'
+      })
+      .populate({
+        path: 'seller',
+        select: 'name email'
+      })
+      .sort({ createdAt: 1 });
+
+    res.status(200).json(disputes);
+  } catch (error) {
+    console.error('Get all disputes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Resolve a dispute (admin only)
+ * Refund outcomes refund the buyer's payment when the order was paid online
+ * @route   PUT /api/disputes/:id/resolve
+ * @access  Admin
+ */
+exports.resolveDispute = async (req, res) => {
+  try {
+    const { outcome, amount, note } = req.body;
+
+    if (!['refund', 'partial_refund', 'return_required', 'rejected'].includes(outcome)) {
+      return res.status(400).json({ message: 'Invalid dispute outcome' });
+    }
+
+    if (outcome === 'partial_refund' && !(Number(amount) > 0)) {
+      return res.status(400).json({ message: 'A positive amount is required for a partial refund' });
+    }
+
+    const dispute = await Dispute.findById(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    if (dispute.status !== 'open') {
+      return res.status(400).json({ message: 'This dispute has already been resolved' });
+    }
+
+    let refundedAmount;
+    if (['refund', 'partial_refund'].includes(outcome) && dispute.order) {
+      const payment = await Payment.findOne({ orders: dispute.order, status: 'succeeded' });
+      const order = payment && await Order.findById(dispute.order);
+
+      if (order) {
+        // Only the disputed order is refunded, not the rest of its payment
+        const paymentRefunded = payment.refunds.reduce((sum, item) => sum + item.amount, 0);
+        const refundable = Math.round(Math.min(
+          order.total - await getRefundedAmount(order._id),
+          payment.amount - paymentRefunded
+        ) * 100) / 100;
+
+        if (refundable <= 0) {
+          return res.status(400).json({ message: 'This order has already been refunded' });
+        }
+
+        refundedAmount = outcome === 'refund' ? refundable : Number(amount);
+
+        if (refundedAmount > refundable) {
+          return res.status(400).json({ message: 'Refund amount exceeds the amount paid' });
+        }
+
+        await refundPayment(payment, refundedAmount, [order._id]);
+      }
+    }
+
+    dispute.status = 'resolved';
+    dispute.resolution = {
+      outcome,
+      amount: refundedAmount !== undefined ? refundedAmount : (amount ? Number(amount) : undefined),
+      note,
+      resolvedBy: req.dbUser._id,
+      resolvedAt: new Date()
+    };
+
+    await dispute.save();
+
+    res.status(200).json(dispute);
+  } catch (error) {
+    console.error('Resolve dispute error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,54 @@
+const User = require('../models/User');
+const config = require('../config/email');
+const { verifyUnsubscribeToken } = require('../utils/email');
+const { escapeHtml } = require('../utils/emailTemplates');
+
+/**
+ * Unsubscribe from an email category using the signed link in an email
+ * GET is the link users click; POST is the mail client's one-click unsubscribe
+ * @route   GET|POST /api/email/unsubscribe?user=&category=&token=
+ * @access  Public
+ */
+exports.unsubscribe = async (req, res) => {
+  try {
+    const { user: userId, category, token } = req.query;
+
+    if (!userId || !(category === 'all' || config.categories[category])) {
+      return res.status(400).json({ message: 'Invalid unsubscribe link' });
+    }
+
+    if (!verifyUnsubscribeToken(userId, category, token)) {
+      return res.status(400).json({ message: 'Invalid unsubscribe link' });
+    }
+
+    const result = await User.updateOne(
+      { _id: userId },
+      { $addToSet: { emailUnsubscribed: category } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (req.method === 'POST') {
+      return res.status(200).json({ message: 'Unsubscribed', category });
+    }
+
+    const description = category === 'all'
+      ? 'all emails'
+      : config.categories[category].toLowerCase();
+
+    res.status(200).send(`
+      <p>You have been unsubscribed from ${escapeHtml(description)}.</p>
+      <p>You can change your email settings in your <a href="${escapeHtml(config.appUrl)}">GloUp profile</a>.</p>
+    `);
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,38 @@
+const { addListener } = require('../utils/realtime');
+
+// Comment line sent periodically so proxies keep idle streams open
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+/**
+ * Stream real-time events for the current user (Server-Sent Events)
+ * @route   GET /api/events
+ * @access  Private
+ */
+exports.streamEvents = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Tell the browser how long to wait before reconnecting
+  res.write('retry: 5000\n\n');
+  send('connected', { userId: req.dbUser._id });
+
+  const removeListener = addListener(req.dbUser._id, send);
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    removeListener();
+  });
+};
@@ -0,0 +1,25 @@
+const { getFeed } = require('../utils/feed');
+const { parseLimit } = require('../utils/pagination');
+const config = require('../config/feed');
+
+/**
+ * Get the home feed: available listings ranked by the user's favorites,
+ * purchases, recent views, address and freshness, mixing sellers
+ * New and anonymous users get fresh, popular listings (`personalized` is false)
+ * The feed is bounded: `candidates` and `pages` count the ranked pool, not the catalog
+ * @route   GET /api/feed
+ * @access  Public (personalized when signed in)
+ */
+exports.getFeed = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(parseLimit(req.query.limit, config.defaultLimit), config.maxLimit);
+
+    const feed = await getFeed(req.dbUser, { page, limit });
+
+    res.status(200).json(feed);
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,139 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { types } = require('../config/notifications');
+const { isNotificationEnabled } = require('../utils/notifications');
+
+/**
+ * Get the current user's notifications, newest first
+ * @route   GET /api/notifications
+ * @access  Private
+ */
+exports.getNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+
+    const query = { user: req.dbUser._id };
+    if (unread === 'true') query.readAt = null;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const notifications = await Notification.find(query)
+      .populate({
+        path: 'product',
+        select: 'title images'
+      })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Notification.countDocuments(query);
+
+    res.status(200).json({
+      notifications,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum)
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Get the current user's unread notification count
+ * @route   GET /api/notifications/unread-count
+ * @access  Private
+ */
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({
+      user: req.dbUser._id,
+      readAt: null
+    });
+
+    res.status(200).json({ unreadCount });
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Get every notification type and whether the current user has it on
+ * Change preferences with PUT /api/users/me and `notificationPreferences`
+ * @route   GET /api/notifications/preferences
+ * @access  Private
+ */
+exports.getPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.dbUser._id).select('notificationPreferences');
+
+    const preferences = Object.entries(types).map(([type, { label }]) => ({
+      type,
+      label,
+      enabled: isNotificationEnabled(user, type)
+    }));
+
+    res.status(200).json(preferences);
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Mark all of the current user's notifications as read
+ * @route   PUT /api/notifications/read-all
+ * @access  Private
+ */
+exports.markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.dbUser._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.status(200).json({ markedRead: result.modifiedCount });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Mark a notification as read
+ * @route   PUT /api/notifications/:id/read
+ * @access  Private
+ */
+exports.markAsRead = async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    // Check if the notification belongs to the user
+    if (notification.user.toString() !== req.dbUser._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to update this notification' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json(notification);
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -1,6 +1,13 @@
 const Offer = require('../models/Offer');
 const Product = require('../models/Product');
 const User = require('../models/User');
+const { reserveProductForOffer } = require('../utils/reservations');
+const { purchaseAcceptedOffer } = require('../utils/orders');
+const { getOfferExpiryDate, isOfferExpired } = require('../utils/offerExpiry');
+const { publishEvent } = require('../utils/realtime');
+const { notifyUsers } = require('../utils/notifications');
+const { sendEmail } = require('../utils/email');
+const { appUrl } = require('../config/email');
 
 /**
  * Make an offer on a product
@@ -32,11 +39,12 @@ exports.makeOffer = async (req, res) => {
       return res.status(400).json({ message: 'You cannot make an offer on your own product' });
     }
     
-    // Check if user already has a pending offer on this product
+    // Check if user already has an open offer on this product (ignoring stale ones)
     const existingOffer = await Offer.findOne({
       product: productId,
       buyer: req.dbUser._id,
-      status: 'pending'
+      status: { $in: ['pending', 'countered'] },
+      expiresAt: { $gt: new Date() }
     });
     
     if (existingOffer) {
@@ -49,9 +57,12 @@ exports.makeOffer = async (req, res) => {
       buyer: req.dbUser._id,
       seller: product.seller,
       offerPrice: Number(offerPrice),
-      message: message || ''
+      message: message || '',
+      expiresAt: getOfferExpiryDate(product.offerExpiryHours)
     });
     
+    offer.addRound('buyer', req.dbUser._id, Number(offerPrice), message);
+    
     await offer.save();
     
     // Populate product and user info
@@ -69,6 +80,20 @@ exports.makeOffer = async (req, res) => {
         select: 'name'
       });
     
+    publishEvent([product.seller], 'offer.received', { offer: populatedOffer });
+    notifyUsers([product.seller], 'offer_received', {
+      title: 'New offer',
+      body: `${req.dbUser.name} offered ${Number(offerPrice)} for ${product.title}`,
+      product: product._id,
+      offer: offer._id
+    });
+    sendEmail(product.seller, 'offer_received', {
+      buyerName: req.dbUser.name,
+      price: Number(offerPrice),
+      productTitle: product.title,
+      offerUrl: `${appUrl}/offers/${offer._id}`
+    });
+    
     res.status(201).json(populatedOffer);
   } catch (error) {
     console.error('Make offer error:', error);
@@ -113,6 +138,7 @@ exports.getProductOffers = async (req, res) => {
 
 /**
  * Respond to an offer (accept, reject, or counter)
+ * Buyer and seller take turns; only the party whose turn it is may respond
  * @route   PUT /api/offers/:offerId
  * @access  Private
  */
@@ -125,36 +151,76 @@ exports.respondToOffer = async (req, res) => {
     const offer = await Offer.findById(offerId)
       .populate({
         path: 'product',
-        select: 'seller'
+        select: 'title seller offerExpiryHours'
       });
     
     if (!offer) {
       return res.status(404).json({ message: 'Offer not found' });
     }
     
-    // Check if user is the seller
-    if (offer.product.seller.toString() !== req.dbUser._id.toString()) {
+    // Check if user is the buyer or seller
+    const role = offer.getRole(req.dbUser._id);
+    if (!role) {
       return res.status(403).json({ message: 'Not authorized to respond to this offer' });
     }
     
+    // Only open offers can be responded to
+    if (!['pending', 'countered'].includes(offer.status)) {
+      return res.status(400).json({ message: 'This offer is no longer open' });
+    }
+    
+    // Refuse to act on offers past their expiry date
+    if (isOfferExpired(offer)) {
+      offer.status = 'expired';
+      await offer.save();
+      return res.status(400).json({ message: 'This offer has expired' });
+    }
+    
+    offer.backfillRounds();
+    
+    // Check that it is this user's turn to respond
+    if (offer.turn !== role) {
+      return res.status(403).json({ message: `Waiting for the ${offer.turn} to respond` });
+    }
+    
     // Process the action
     switch (action) {
-      case 'accept':
+      case 'accept': {
+        const reservedUntil = await reserveProductForOffer(offer);
+        if (!reservedUntil) {
+          return res.status(400).json({ message: 'Product is no longer available' });
+        }
         offer.status = 'accepted';
+        offer.acceptedPrice = offer.currentPrice;
+        offer.reservedUntil = reservedUntil;
         break;
+      }
       case 'reject':
         offer.status = 'rejected';
         break;
-      case 'counter':
+      case 'counter': {
         if (!counterPrice) {
           return res.status(400).json({ message: 'Counter offer price is required' });
         }
+        const price = Number(counterPrice);
+        if (!Number.isFinite(price) || price <= 0) {
+          return res.status(400).json({ message: 'Counter offer price must be a positive number' });
+        }
+        if (offer.rounds.length >= offer.maxRounds) {
+          return res.status(400).json({ 
+            message: 'Maximum number of negotiation rounds reached, please accept or reject' 
+          });
+        }
+        offer.addRound(role, req.dbUser._id, price, counterMessage);
         offer.status = 'countered';
         offer.counterOffer = {
-          price: Number(counterPrice),
+          price,
           message: counterMessage || ''
         };
+        // The other party gets a fresh window to respond to the counter offer
+        offer.expiresAt = getOfferExpiryDate(offer.product.offerExpiryHours);
         break;
+      }
       default:
         return res.status(400).json({ message: 'Invalid action' });
     }
@@ -170,70 +236,33 @@ exports.respondToOffer = async (req, res) => {
       .populate({
         path: 'buyer',
         select: 'name profilePicture'
-      });
-    
-    res.status(200).json(updatedOffer);
-  } catch (error) {
-    console.error('Respond to offer error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-};
-
-/**
- * Respond to a counter offer (accept or reject)
- * @route   PUT /api/offers/:offerId/counter-response
- * @access  Private
- */
-exports.respondToCounterOffer = async (req, res) => {
-  try {
-    const { offerId } = req.params;
-    const { action } = req.body;
-    
-    // Check if offer exists
-    const offer = await Offer.findById(offerId);
-    
-    if (!offer) {
-      return res.status(404).json({ message: 'Offer not found' });
-    }
-    
-    // Check if user is the buyer
-    if (offer.buyer.toString() !== req.dbUser._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to respond to this counter offer' });
-    }
-    
-    // Check if offer has a counter offer
-    if (offer.status !== 'countered') {
-      return res.status(400).json({ message: 'This offer does not have a counter offer to respond to' });
-    }
-    
-    // Process the action
-    switch (action) {
-      case 'accept':
-        offer.status = 'accepted';
-        break;
-      case 'reject':
-        offer.status = 'rejected';
-        break;
-      default:
-        return res.status(400).json({ message: 'Invalid action' });
-    }
-    
-    await offer.save();
-    
-    // Populate product and user info
-    const updatedOffer = await Offer.findById(offerId)
-      .populate({
-        path: 'product',
-        select: 'title price images'
       })
       .populate({
         path: 'seller',
         select: 'name profilePicture'
       });
     
+    // Let the other party know about the response
+    const otherParty = role === 'buyer' ? offer.seller : offer.buyer;
+    publishEvent([otherParty], `offer.${offer.status}`, { offer: updatedOffer });
+    notifyUsers([otherParty], `offer_${offer.status}`, {
+      title: `Offer ${offer.status}`,
+      body: offer.status === 'countered'
+        ? `${req.dbUser.name} countered with ${offer.currentPrice} for ${offer.product.title}`
+        : `${req.dbUser.name} ${offer.status} the offer for ${offer.product.title}`,
+      product: offer.product._id,
+      offer: offer._id
+    });
+    sendEmail(otherParty, `offer_${offer.status}`, {
+      senderName: req.dbUser.name,
+      price: offer.currentPrice,
+      productTitle: offer.product.title,
+      offerUrl: `${appUrl}/offers/${offer._id}`
+    });
+    
     res.status(200).json(updatedOffer);
   } catch (error) {
-    console.error('Respond to counter offer error:', error);
+    console.error('Respond to offer error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
@@ -259,6 +288,10 @@ exports.getOfferById = async (req, res) => {
       .populate({
         path: 'seller',
         select: 'name profilePicture'
+      })
+      .populate({
+        path: 'rounds.user',
+        select: 'name profilePicture'
       });
     
     if (!offer) {
@@ -271,9 +304,52 @@ exports.getOfferById = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to view this offer' });
     }
     
+    // Include the full timeline for offers made before rounds were recorded
+    offer.backfillRounds();
+    
     res.status(200).json(offer);
   } catch (error) {
     console.error('Get offer error:', error);
     res.status(500).json({ message: 'Server error' });
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Buy an accepted offer's product at the negotiated price
+ * @route   POST /api/offers/:offerId/purchase
+ * @access  Private
+ */
+exports.purchaseOffer = async (req, res) => {
+  try {
+    const { offerId } = req.params;
+    
+    const offer = await Offer.findById(offerId);
+    
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+    
+    // Check if user is the buyer
+    if (offer.buyer.toString() !== req.dbUser._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to purchase this offer' });
+    }
+    
+    if (offer.status !== 'accepted') {
+      return res.status(400).json({ message: 'Only accepted offers can be purchased' });
+    }
+    
+    if (offer.order) {
+      return res.status(400).json({ message: 'This offer has already been purchased' });
+    }
+    
+    const order = await purchaseAcceptedOffer(offer, req.body.shippingMethod);
+    if (!order) {
+      return res.status(400).json({ message: 'The reservation for this offer has expired' });
+    }
+    
+    res.status(201).json(order);
+  } catch (error) {
+    console.error('Purchase offer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
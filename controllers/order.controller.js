@@ -0,0 +1,120 @@
+const Order = require('../models/Order');
+const { releaseProducts } = require('../utils/orders');
+
+/**
+ * Get orders for the current user
+ * @route   GET /api/orders
+ * @access  Private
+ */
+exports.getOrders = async (req, res) => {
+  try {
+    const { role = 'buyer', status } = req.query;
+
+    if (!['buyer', 'seller'].includes(role)) {
+      return res.status(400).json({ message: 'Role must be buyer or seller' });
+    }
+
+    const query = { [role]: req.dbUser._id };
+    if (status) query.status = status;
+
+    const orders = await Order.find(query)
+      .populate({
+        path: role === 'buyer' ? 'seller' : 'buyer',
+        select: 'name profilePicture'
+      })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json(orders);
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Get order by ID
+ * @route   GET /api/orders/:id
+ * @access  Private
+ */
+exports.getOrderById = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate({
+        path: 'buyer',
+        select: 'name profilePicture'
+      })
+      .populate({
+        path: 'seller',
+        select: 'name profilePicture'
+      });
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    // Check if user is the buyer or seller
+    if (!order.getRole(req.dbUser._id)) {
+      return res.status(403).json({ message: 'Not authorized to view this order' });
+    }
+
+    res.status(200).json(order);
+  } catch (error) {
+    console.error('Get order error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Update order status (paid, shipped, delivered, cancelled)
+ * @route   PUT /api/orders/:id/status
+ * @access  Private
+ */
+exports.updateOrderStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ message: 'Status is required' });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const role = order.getRole(req.dbUser._id);
+    if (!role) {
+      return res.status(403).json({ message: 'Not authorized to update this order' });
+    }
+
+    if (!order.canTransition(status, role)) {
+      return res.status(400).json({
+        message: `Cannot change order from ${order.status} to ${status}`
+      });
+    }
+
+    order.setStatus(status, req.dbUser._id);
+    await order.save();
+
+    // Put cancelled items back on sale
+    if (status === 'cancelled') {
+      await releaseProducts(order.items.map(item => item.product));
+    }
+
+    res.status(200).json(order);
+  } catch (error) {
+    console.error('Update order status error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,375 @@
+const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+const Offer = require('../models/Offer');
+const User = require('../models/User');
+const { getPaymentProvider } = require('../utils/payments');
+const {
+  applyPaymentSucceeded,
+  applyPaymentFailed,
+  applyPaymentRefunded,
+  refundPayment
+} = require('../utils/payments/lifecycle');
+const { checkoutCart, purchaseAcceptedOffer } = require('../utils/orders');
+
+const CURRENCY = process.env.PAYMENT_CURRENCY || 'usd';
+
+/**
+ * Create a payment intent covering the given orders
+ */
+const startPayment = async (userId, orders, purpose, offerId) => {
+  const provider = getPaymentProvider();
+  const amount = orders.reduce((sum, order) => sum + order.total, 0);
+  const orderIds = orders.map(order => order._id);
+
+  // One open or paid intent per order, so an order cannot be charged twice
+  const existingPayment = await Payment.exists({
+    orders: { $in: orderIds },
+    status: { $in: ['requires_confirmation', 'succeeded'] }
+  });
+  if (existingPayment) {
+    const error = new Error('This order already has a payment in progress');
+    error.name = 'PaymentError';
+    throw error;
+  }
+
+  const intent = await provider.createIntent({
+    amount,
+    currency: CURRENCY,
+    metadata: { user: userId.toString(), orders: orderIds.map(id => id.toString()) }
+  });
+
+  const payment = new Payment({
+    user: userId,
+    provider: provider.name,
+    providerIntentId: intent.id,
+    amount,
+    currency: CURRENCY,
+    purpose,
+    offer: offerId,
+    orders: orderIds,
+    products: orders.reduce((ids, order) => ids.concat(order.items.map(item => item.product)), [])
+  });
+  await payment.save();
+
+  return { payment, clientSecret: intent.clientSecret };
+};
+
+/**
+ * Pay for the current cart
+ * @route   POST /api/payments/cart
+ * @access  Private
+ */
+exports.payForCart = async (req, res) => {
+  try {
+    const user = await User.findById(req.dbUser._id);
+
+    if (user.cart.length === 0) {
+      return res.status(400).json({ message: 'Your cart is empty' });
+    }
+
+    const { orders, unavailableItems } = await checkoutCart(user, req.body.shippingMethod);
+
+    if (orders.length === 0) {
+      return res.status(400).json({ message: 'None of the items in your cart are available' });
+    }
+
+    const { payment, clientSecret } = await startPayment(user._id, orders, 'cart');
+
+    res.status(201).json({
+      payment,
+      clientSecret,
+      orders,
+      unavailableItems
+    });
+  } catch (error) {
+    console.error('Pay for cart error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Pay for an accepted offer at the negotiated price
+ * @route   POST /api/payments/offers/:offerId
+ * @access  Private
+ */
+exports.payForOffer = async (req, res) => {
+  try {
+    const offer = await Offer.findById(req.params.offerId);
+
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    // Check if user is the buyer
+    if (offer.buyer.toString() !== req.dbUser._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to pay for this offer' });
+    }
+
+    if (offer.status !== 'accepted') {
+      return res.status(400).json({ message: 'Only accepted offers can be paid for' });
+    }
+
+    // Reuse the order if the offer was already purchased
+    let order = offer.order ? await Order.findById(offer.order) : null;
+    if (!order) {
+      order = await purchaseAcceptedOffer(offer, req.body.shippingMethod);
+      if (!order) {
+        return res.status(400).json({ message: 'The reservation for this offer has expired' });
+      }
+    }
+
+    if (order.status !== 'placed') {
+      return res.status(400).json({ message: 'This offer has already been paid for' });
+    }
+
+    const { payment, clientSecret } = await startPayment(req.dbUser._id, [order], 'offer', offer._id);
+
+    res.status(201).json({
+      payment,
+      clientSecret,
+      order
+    });
+  } catch (error) {
+    console.error('Pay for offer error:', error);
+
+    if (error.name === 'PaymentError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Pay for an existing unpaid order (e.g. to retry a failed payment)
+ * @route   POST /api/payments/orders/:orderId
+ * @access  Private
+ */
+exports.payForOrder = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.getRole(req.dbUser._id) !== 'buyer') {
+      return res.status(403).json({ message: 'Not authorized to pay for this order' });
+    }
+
+    if (order.status !== 'placed') {
+      return res.status(400).json({ message: 'This order has already been paid for' });
+    }
+
+    const { payment, clientSecret } = await startPayment(req.dbUser._id, [order], 'order', order.offer);
+
+    res.status(201).json({
+      payment,
+      clientSecret,
+      order
+    });
+  } catch (error) {
+    console.error('Pay for order error:', error);
+
+    if (error.name === 'PaymentError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Confirm a payment with the provider
+ * @route   POST /api/payments/:id/confirm
+ * @access  Private
+ */
+exports.confirmPayment = async (req, res) => {
+  try {
+    const { paymentMethod } = req.body;
+
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (payment.user.toString() !== req.dbUser._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to confirm this payment' });
+    }
+
+    if (!['requires_confirmation', 'failed'].includes(payment.status)) {
+      return res.status(400).json({ message: 'This payment cannot be confirmed' });
+    }
+
+    // The orders may have been paid another way or cancelled since
+    const unpayableOrder = await Order.exists({
+      _id: { $in: payment.orders },
+      status: { $ne: 'placed' }
+    });
+    if (unpayableOrder) {
+      return res.status(400).json({ message: 'These orders are no longer awaiting payment' });
+    }
+
+    // Another intent for the same orders may have been started after this one failed
+    if (payment.status === 'failed') {
+      const otherPayment = await Payment.exists({
+        _id: { $ne: payment._id },
+        orders: { $in: payment.orders },
+        status: { $in: ['requires_confirmation', 'succeeded'] }
+      });
+      if (otherPayment) {
+        return res.status(400).json({ message: 'These orders already have a payment in progress' });
+      }
+    }
+
+    // Allow retrying a failed confirmation
+    payment.status = 'requires_confirmation';
+
+    const intent = await getPaymentProvider(payment.provider)
+      .confirmIntent(payment.providerIntentId, { paymentMethod });
+
+    if (intent.status === 'succeeded') {
+      await applyPaymentSucceeded(payment);
+    } else if (intent.status === 'failed') {
+      await applyPaymentFailed(payment);
+    } else {
+      await payment.save();
+    }
+
+    res.status(200).json(payment);
+  } catch (error) {
+    console.error('Confirm payment error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Refund a payment (admin only)
+ * @route   POST /api/payments/:id/refund
+ * @access  Admin
+ */
+exports.refundPayment = async (req, res) => {
+  try {
+    const { amount } = req.body;
+
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (payment.status !== 'succeeded') {
+      return res.status(400).json({ message: 'Only succeeded payments can be refunded' });
+    }
+
+    await refundPayment(payment, amount ? Number(amount) : undefined);
+
+    res.status(200).json(payment);
+  } catch (error) {
+    console.error('Refund payment error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Get payment by ID
+ * @route   GET /api/payments/:id
+ * @access  Private
+ */
+exports.getPaymentById = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id)
+      .populate('orders');
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (payment.user.toString() !== req.dbUser._id.toString() &&
+        req.dbUser.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to view this payment' });
+    }
+
+    res.status(200).json(payment);
+  } catch (error) {
+    console.error('Get payment error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Handle payment provider webhooks
+ * @route   POST /api/payments/webhook
+ * @access  Public (verified by provider signature)
+ */
+exports.handleWebhook = async (req, res) => {
+  try {
+    let event;
+    try {
+      event = getPaymentProvider().verifyWebhook(req.rawBody, req.headers);
+    } catch (error) {
+      console.error('Webhook verification error:', error.message);
+      return res.status(400).json({ message: 'Invalid webhook' });
+    }
+
+    const payment = await Payment.findOne({ providerIntentId: event.intentId });
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    payment.events.push({ type: event.type });
+
+    switch (event.type) {
+      case 'payment.succeeded':
+        await applyPaymentSucceeded(payment);
+        break;
+      case 'payment.failed':
+        await applyPaymentFailed(payment);
+        break;
+      case 'payment.refunded': {
+        // Skip refunds already recorded through the refund endpoint
+        const alreadyRecorded = payment.refunds.some(refund =>
+          refund.providerRefundId && refund.providerRefundId === event.refundId
+        );
+        if (payment.status === 'succeeded' && !alreadyRecorded) {
+          await applyPaymentRefunded(payment, {
+            id: event.refundId,
+            amount: event.amount || payment.amount
+          });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+
+    // Keep every event for reconciliation, even ones we do not act on
+    await payment.save();
+
+    res.status(200).json({ received: true });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,211 @@
+const Payout = require('../models/Payout');
+const LedgerEntry = require('../models/LedgerEntry');
+const { getBalance, recordPayout, reversePayout, withPayoutLock } = require('../utils/ledger');
+
+// Status changes an admin may make on a payout request
+const PAYOUT_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['paid', 'rejected'],
+  paid: [],
+  rejected: []
+};
+
+/**
+ * Get the current seller's balance
+ * @route   GET /api/payouts/balance
+ * @access  Private
+ */
+exports.getBalance = async (req, res) => {
+  try {
+    const balance = await getBalance(req.dbUser._id);
+
+    res.status(200).json(balance);
+  } catch (error) {
+    console.error('Get balance error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Get the current seller's ledger entries
+ * @route   GET /api/payouts/ledger
+ * @access  Private
+ */
+exports.getLedger = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = { seller: req.dbUser._id };
+
+    const entries = await LedgerEntry.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await LedgerEntry.countDocuments(query);
+
+    res.status(200).json({
+      entries,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum)
+    });
+  } catch (error) {
+    console.error('Get ledger error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Get the current seller's payout requests
+ * @route   GET /api/payouts
+ * @access  Private
+ */
+exports.getPayouts = async (req, res) => {
+  try {
+    const payouts = await Payout.find({ seller: req.dbUser._id })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json(payouts);
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Request a payout of available funds
+ * @route   POST /api/payouts
+ * @access  Private
+ */
+exports.requestPayout = async (req, res) => {
+  try {
+    const amount = Number(req.body.amount);
+
+    if (!amount || amount <= 0) {
+      return res.status(400).json({ message: 'A positive payout amount is required' });
+    }
+
+    if (amount < 1) {
+      return res.status(400).json({ message: 'Payout amount must be at least 1' });
+    }
+
+    // Check and withdraw under the seller's lock so concurrent requests
+    // cannot both spend the same balance
+    const payout = await withPayoutLock(req.dbUser._id, async () => {
+      const { available } = await getBalance(req.dbUser._id);
+      if (amount > available) return null;
+
+      const requested = new Payout({
+        seller: req.dbUser._id,
+        amount
+      });
+      await requested.save();
+
+      // Withdraw the funds now so they cannot be requested twice
+      await recordPayout(requested);
+      return requested;
+    });
+
+    if (!payout) {
+      return res.status(400).json({ message: 'Payout amount exceeds your available balance' });
+    }
+
+    res.status(201).json(payout);
+  } catch (error) {
+    console.error('Request payout error:', error);
+
+    if (error.name === 'PayoutLockError') {
+      return res.status(409).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Get all payout requests (admin only)
+ * @route   GET /api/payouts/admin
+ * @access  Admin
+ */
+exports.getAllPayouts = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+
+    const payouts = await Payout.find(query)
+      .populate({
+        path: 'seller',
+        select: 'name email'
+      })
+      .sort({ createdAt: 1 });
+
+    res.status(200).json(payouts);
+  } catch (error) {
+    console.error('Get all payouts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Approve, reject or mark a payout as paid (admin only)
+ * @route   PUT /api/payouts/:id
+ * @access  Admin
+ */
+exports.updatePayoutStatus = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    // Statuses the requested one can be reached from
+    const allowedFrom = Object.keys(PAYOUT_TRANSITIONS)
+      .filter(from => PAYOUT_TRANSITIONS[from].includes(status));
+
+    const update = {
+      status,
+      reviewedBy: req.dbUser._id,
+      reviewedAt: new Date()
+    };
+    if (note) update.note = note;
+
+    // Change the status only if no other admin changed it first, so a
+    // payout rejected twice at once is only returned to the seller once
+    const payout = await Payout.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: allowedFrom } },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+
+    if (!payout) {
+      const current = await Payout.findById(req.params.id).select('status');
+
+      if (!current) {
+        return res.status(404).json({ message: 'Payout not found' });
+      }
+
+      return res.status(400).json({
+        message: `Cannot change payout from ${current.status} to ${status}`
+      });
+    }
+
+    // Return rejected payouts to the seller's balance
+    if (status === 'rejected') {
+      await reversePayout(payout);
+    }
+
+    res.status(200).json(payout);
+  } catch (error) {
+    console.error('Update payout status error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Payout not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
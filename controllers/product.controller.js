@@ -1,23 +1,46 @@
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const User = require('../models/User');
 const Review = require('../models/Review');
-const fs = require('fs');
-const path = require('path');
 const { analyzeImage } = require('../utils/imageAnalysis');
+const { removeImage } = require('../utils/images');
 const { validateProductData } = require('../utils/validators');
+const { quoteProduct, resolveDestination, parseShippingInput } = require('../utils/shipping');
+const { notifyUsers } = require('../utils/notifications');
+const { alertSavedSearches } = require('../utils/savedSearches');
+const { alertPriceDrop } = require('../utils/priceAlerts');
+const { buildFilters, combineFilters, getSortOption, facetedSearch } = require('../utils/productSearch');
+const { isCursorRequest, parseLimit, findPageByCursor } = require('../utils/pagination');
+const { expandSynonyms, getFuzzyTerms, suggest } = require('../utils/searchTerms');
+const {
+  parseLocationInput,
+  resolveLocation,
+  addressToLocation,
+  resolveSearchOrigin,
+  withDistances
+} = require('../utils/geo');
+const searchConfig = require('../config/search');
+const recommendationConfig = require('../config/recommendations');
+const { findRelatedProducts, clearRelatedCache } = require('../utils/recommendations');
+const { recordProductView } = require('../utils/feed');
+
+/**
+ * Delete uploaded images, with all their renditions, from disk
+ */
+const removeUploadedFiles = (urls = []) => {
+  urls.forEach(removeImage);
+};
 
 /**
  * Get all products
+ * Send `lat` and `lng`, `near` (a city, or 'me' for the caller's saved address)
+ * and an optional `radius` in km to list products nearby with their distance
  * @route   GET /api/products
- * @access  Public
+ * @access  Public (uses the caller's address for near=me)
  */
 exports.getProducts = async (req, res) => {
   try {
     const { 
-      category, 
-      condition, 
-      priceMin, 
-      priceMax,
       sort = 'newest',
       page = 1,
       limit = 12,
@@ -25,40 +48,43 @@ exports.getProducts = async (req, res) => {
       search
     } = req.query;
     
-    // Build query
-    const query = {};
-    
-    if (category) query.category = category;
-    if (condition) query.condition = condition;
-    if (seller) query.seller = seller;
-    
-    // Price filter
-    if (priceMin || priceMax) {
-      query.price = {};
-      if (priceMin) query.price.$gte = Number(priceMin);
-      if (priceMax) query.price.$lte = Number(priceMax);
+    if (seller && !mongoose.isValidObjectId(seller)) {
+      return res.status(400).json({ message: 'Invalid seller' });
     }
     
-    // Search query (using text index)
-    if (search) {
-      query.$text = { $search: search };
-    }
+    // Search origin and radius for local listings
+    const near = resolveSearchOrigin(req.query, req.dbUser);
+    
+    // Build query; category, condition, brand, size, color and gender accept
+    // several comma-separated values
+    const query = combineFilters(buildFilters(req.query, { near }));
     
     // Sorting options
-    let sortOption = {};
-    switch (sort) {
-      case 'oldest':
-        sortOption = { createdAt: 1 };
-        break;
-      case 'price_low':
-        sortOption = { price: 1 };
-        break;
-      case 'price_high':
-        sortOption = { price: -1 };
-        break;
-      case 'newest':
-      default:
-        sortOption = { createdAt: -1 };
+    const sortOption = getSortOption(sort, Boolean(search));
+    
+    // Cursor pagination for infinite scroll (send `cursor`, empty for the first page)
+    if (isCursorRequest(req.query)) {
+      if (sort === 'relevance') {
+        return res.status(400).json({ message: 'Relevance sort does not support cursor pagination' });
+      }
+      
+      const { items, nextCursor, hasMore } = await findPageByCursor(Product, query, {
+        sort: sortOption,
+        cursor: req.query.cursor,
+        limit: parseLimit(limit, 12),
+        build: findQuery => findQuery
+          .select('-priceHistory')
+          .populate({
+            path: 'seller',
+            select: 'name'
+          })
+      });
+      
+      return res.status(200).json({
+        products: near ? withDistances(items, near) : items,
+        nextCursor,
+        hasMore
+      });
     }
     
     // Pagination
@@ -66,8 +92,9 @@ exports.getProducts = async (req, res) => {
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
     
-    // Execute query with pagination
+    // Execute query with pagination (price history is only on the detail route)
     const products = await Product.find(query)
+      .select('-priceHistory')
       .populate({
         path: 'seller',
         select: 'name'
@@ -80,13 +107,46 @@ exports.getProducts = async (req, res) => {
     const total = await Product.countDocuments(query);
     
     res.status(200).json({
-      products,
+      products: near ? withDistances(products, near) : products,
       total,
       page: pageNum,
       pages: Math.ceil(total / limitNum)
     });
   } catch (error) {
     console.error('Get products error:', error);
+    
+    if (error.name === 'CursorError' || error.name === 'LocationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Search products with counts for each filter option (facets)
+ * Takes the same filters as GET /api/products; each facet is counted with
+ * every other filter applied
+ * @route   GET /api/products/faceted
+ * @access  Public (uses the caller's address for near=me)
+ */
+exports.getFacetedProducts = async (req, res) => {
+  try {
+    if (req.query.seller && !mongoose.isValidObjectId(req.query.seller)) {
+      return res.status(400).json({ message: 'Invalid seller' });
+    }
+    
+    const near = resolveSearchOrigin(req.query, req.dbUser);
+    const result = await facetedSearch(req.query, { near });
+    
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Faceted search error:', error);
+    
+    if (error.name === 'LocationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    
     res.status(500).json({ message: 'Server error' });
   }
 };
@@ -98,10 +158,13 @@ exports.getProducts = async (req, res) => {
  */
 exports.getProductById = async (req, res) => {
   try {
+    // Quote shipping to the caller's address (or ?country=&zipCode=)
+    const destination = resolveDestination(req.dbUser, req.query);
+    
     const product = await Product.findById(req.params.id)
       .populate({
         path: 'seller',
-        select: 'name profilePicture'
+        select: 'name profilePicture sellerRating'
       })
       .populate({
         path: 'reviews',
@@ -119,10 +182,22 @@ exports.getProductById = async (req, res) => {
     product.views += 1;
     await product.save();
     
-    res.status(200).json(product);
+    // Remember the view for the caller's home feed, unless it is their own listing
+    if (req.dbUser && !(product.seller && product.seller._id.equals(req.dbUser._id))) {
+      recordProductView(req.dbUser._id, product._id);
+    }
+    
+    const response = product.toJSON();
+    response.shippingQuote = await quoteProduct(product, destination, req.query.shippingMethod);
+    
+    res.status(200).json(response);
   } catch (error) {
     console.error('Get product error:', error);
     
+    if (error.name === 'ShippingError') {
+      return res.status(400).json({ message: error.message });
+    }
+    
     if (error.kind === 'ObjectId') {
       return res.status(404).json({ message: 'Product not found' });
     }
@@ -147,7 +222,7 @@ exports.createProduct = async (req, res) => {
     
     console.log('Request body for product creation:', req.body);
     
-    // Create the product data - ensure location is handled as string
+    // Create the product data; listings without a location use the seller's address
     const productData = {
       title: req.body.title,
       description: req.body.description,
@@ -158,19 +233,36 @@ exports.createProduct = async (req, res) => {
       brand: req.body.brand || '',
       color: req.body.color || '',
       size: req.body.size || '',
-      location: req.body.location || '', // Store as string directly
+      location: resolveLocation(parseLocationInput(req.body.location)) ||
+        addressToLocation(req.dbUser.address) || {},
       seller: req.dbUser.id
     };
     
+    if (req.body.offerExpiryHours) {
+      productData.offerExpiryHours = Number(req.body.offerExpiryHours);
+    }
+    
+    if (req.body.shipping) {
+      productData.shipping = parseShippingInput(req.body.shipping);
+    }
+    
     console.log('Product data prepared:', productData);
     
     // Create the product
     const product = new Product(productData);
     await product.save();
     
+    // Let users with a matching saved search know
+    alertSavedSearches(product);
+    
     res.status(201).json(product);
   } catch (error) {
     console.error('Error creating product:', error);
+    
+    if (error.name === 'ShippingError') {
+      return res.status(400).json({ message: error.message });
+    }
+    
     res.status(500).json({ message: 'Failed to create product', error: error.message });
   }
 };
@@ -198,12 +290,7 @@ exports.updateProduct = async (req, res) => {
     if (req.files && req.files.length > 0) {
       // Delete old images if needed
       if (req.body.deleteImages === 'true') {
-        product.images.forEach(img => {
-          const imagePath = path.join(__dirname, '..', img);
-          if (fs.existsSync(imagePath)) {
-            fs.unlinkSync(imagePath);
-          }
-        });
+        removeUploadedFiles(product.images);
         productImages = req.files.map(file => `/uploads/${file.filename}`);
       } else {
         // Add new images to existing ones
@@ -224,17 +311,55 @@ exports.updateProduct = async (req, res) => {
       ...req.body,
       images: productImages
     };
+    // Price history is only changed below
+    delete updateData.priceHistory;
+    
+    // Geocode a new location (an empty value clears it)
+    if (updateData.location !== undefined) {
+      updateData.location = resolveLocation(parseLocationInput(updateData.location)) || {};
+    }
     
     // Cast numeric values
     if (updateData.price) updateData.price = Number(updateData.price);
     if (updateData.originalPrice) updateData.originalPrice = Number(updateData.originalPrice);
+    if (updateData.offerExpiryHours) updateData.offerExpiryHours = Number(updateData.offerExpiryHours);
+    
+    // Update only the shipping fields that were sent
+    if (updateData.shipping) {
+      const shipping = parseShippingInput(updateData.shipping);
+      delete updateData.shipping;
+      Object.entries(shipping).forEach(([key, value]) => {
+        updateData[`shipping.${key}`] = value;
+      });
+    }
+    
+    const update = { $set: updateData };
+    
+    // Record price changes, starting with the old price for products listed before history was kept
+    const previousPrice = product.price;
+    const priceChanged = updateData.price !== undefined && updateData.price !== previousPrice;
+    if (priceChanged) {
+      const entries = product.priceHistory.length === 0
+        ? [{ price: previousPrice, changedAt: product.createdAt }, { price: updateData.price }]
+        : [{ price: updateData.price }];
+      update.$push = {
+        priceHistory: { $each: entries, $slice: -Product.PRICE_HISTORY_LIMIT }
+      };
+    }
     
     product = await Product.findByIdAndUpdate(
       req.params.id,
-      { $set: updateData },
+      update,
       { new: true, runValidators: true }
     );
     
+    if (priceChanged) {
+      alertPriceDrop(product, previousPrice);
+    }
+    
+    // Rescore its related items with the new details
+    clearRelatedCache(product._id);
+    
     res.status(200).json(product);
   } catch (error) {
     console.error('Update product error:', error);
@@ -243,6 +368,10 @@ exports.updateProduct = async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
     
+    if (error.name === 'ShippingError') {
+      return res.status(400).json({ message: error.message });
+    }
+    
     res.status(500).json({ message: 'Server error' });
   }
 };
@@ -267,12 +396,7 @@ exports.deleteProduct = async (req, res) => {
     }
     
     // Delete product images
-    product.images.forEach(img => {
-      const imagePath = path.join(__dirname, '..', img);
-      if (fs.existsSync(imagePath)) {
-        fs.unlinkSync(imagePath);
-      }
-    });
+    removeUploadedFiles(product.images);
     
     // Remove product from user's listings
     await User.findByIdAndUpdate(product.seller, {
@@ -306,13 +430,32 @@ exports.searchProducts = async (req, res) => {
       return res.status(400).json({ message: 'Search query is required' });
     }
     
-    const products = await Product.find(
-      { $text: { $search: q } },
+    let products = await Product.find(
+      { $text: { $search: expandSynonyms(q) } },
       { score: { $meta: 'textScore' } }
     )
     .sort({ score: { $meta: 'textScore' } })
     .limit(20);
     
+    // Few whole-word matches: retry with known words close to the misspelled ones
+    if (products.length < searchConfig.fuzzy.minResults) {
+      const fuzzyTerms = await getFuzzyTerms(q);
+      
+      if (fuzzyTerms.length > 0) {
+        const fuzzyProducts = await Product.find(
+          {
+            $text: { $search: fuzzyTerms.join(' ') },
+            _id: { $nin: products.map(product => product._id) }
+          },
+          { score: { $meta: 'textScore' } }
+        )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(20 - products.length);
+        
+        products = products.concat(fuzzyProducts);
+      }
+    }
+    
     res.status(200).json(products);
   } catch (error) {
     console.error('Search products error:', error);
@@ -320,6 +463,24 @@ exports.searchProducts = async (req, res) => {
   }
 };
 
+/**
+ * Complete what the user is typing to brands, tags and product titles
+ * @route   GET /api/products/suggest?q=
+ * @access  Public
+ */
+exports.suggestProducts = async (req, res) => {
+  try {
+    const { q, limit } = req.query;
+    
+    const suggestions = await suggest(q, parseLimit(limit, searchConfig.suggest.limit));
+    
+    res.status(200).json(suggestions);
+  } catch (error) {
+    console.error('Suggest products error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 /**
  * Get product categories
  * @route   GET /api/products/categories
@@ -357,26 +518,30 @@ exports.analyzeProductImage = async (req, res) => {
 };
 
 /**
- * Get related products
+ * Get related products, scored by shared attributes, price and co-favorites
+ * Each product has a `score` and the `reasons` it was picked
  * @route   GET /api/products/:id/related
- * @access  Public
+ * @access  Public (leaves out the caller's own listings when signed in)
  */
 exports.getRelatedProducts = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
+    const product = await Product.findById(req.params.id).select('-priceHistory');
     
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
     
-    // Find products with same category, exclude current product
-    const relatedProducts = await Product.find({
-      _id: { $ne: product._id },
-      category: product.category
-    })
-    .limit(6)
-    .sort({ createdAt: -1 });
+    const limit = Math.min(
+      parseLimit(req.query.limit, recommendationConfig.defaultLimit),
+      recommendationConfig.maxLimit
+    );
+    const relatedProducts = await findRelatedProducts(product, {
+      userId: req.dbUser && req.dbUser._id,
+      limit
+    });
     
+    // Results depend on the caller when signed in
+    res.set('Cache-Control', `${req.dbUser ? 'private' : 'public'}, max-age=${recommendationConfig.responseMaxAge}`);
     res.status(200).json(relatedProducts);
   } catch (error) {
     console.error('Get related products error:', error);
@@ -396,16 +561,92 @@ exports.getRelatedProducts = async (req, res) => {
  */
 exports.getProductReviews = async (req, res) => {
   try {
-    const reviews = await Review.find({ product: req.params.id })
+    const { sort = 'newest', page = 1, limit = 10 } = req.query;
+    
+    // Sorting options
+    let sortOption = {};
+    switch (sort) {
+      case 'helpful':
+        sortOption = { helpfulCount: -1, createdAt: -1 };
+        break;
+      case 'rating_high':
+        sortOption = { rating: -1, createdAt: -1 };
+        break;
+      case 'rating_low':
+        sortOption = { rating: 1, createdAt: -1 };
+        break;
+      case 'oldest':
+        sortOption = { createdAt: 1 };
+        break;
+      case 'newest':
+      default:
+        sortOption = { createdAt: -1 };
+    }
+    
+    const query = { product: req.params.id };
+    
+    // Cursor pagination (send `cursor`, empty for the first page)
+    if (isCursorRequest(req.query)) {
+      const { items, nextCursor, hasMore } = await findPageByCursor(Review, query, {
+        sort: sortOption,
+        cursor: req.query.cursor,
+        limit: parseLimit(limit, 10),
+        build: findQuery => findQuery
+          .select('-helpfulVotes')
+          .populate({
+            path: 'user',
+            select: 'name profilePicture'
+          })
+      });
+      
+      return res.status(200).json({ reviews: items, nextCursor, hasMore });
+    }
+    
+    // Without sort or paging parameters, keep the original bare array of
+    // every review, newest first, for existing clients
+    const paginated = ['sort', 'page', 'limit'].some(param => req.query[param] !== undefined);
+    if (!paginated) {
+      const reviews = await Review.find(query)
+        .select('-helpfulVotes')
+        .populate({
+          path: 'user',
+          select: 'name profilePicture'
+        })
+        .sort(sortOption);
+      
+      return res.status(200).json(reviews);
+    }
+    
+    // Pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+    
+    const reviews = await Review.find(query)
+      .select('-helpfulVotes')
       .populate({
         path: 'user',
         select: 'name profilePicture'
       })
-      .sort({ createdAt: -1 });
+      .sort(sortOption)
+      .skip(skip)
+      .limit(limitNum);
     
-    res.status(200).json(reviews);
+    const total = await Review.countDocuments(query);
+    
+    res.status(200).json({
+      reviews,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum)
+    });
   } catch (error) {
     console.error('Get product reviews error:', error);
+    
+    if (error.name === 'CursorError') {
+      return res.status(400).json({ message: error.message });
+    }
+    
     res.status(500).json({ message: 'Server error' });
   }
 };
@@ -435,17 +676,25 @@ exports.addReview = async (req, res) => {
       return res.status(400).json({ message: 'You have already reviewed this product' });
     }
     
-    // Create new review
+    // Create new review with any uploaded photos
     const review = new Review({
       product: req.params.id,
       user: req.dbUser._id,
       rating: Number(rating),
       title,
-      comment
+      comment,
+      images: (req.files || []).map(file => `/uploads/${file.filename}`)
     });
     
     await review.save();
     
+    notifyUsers([product.seller], 'review_received', {
+      title: 'New review',
+      body: `${req.dbUser.name} rated ${product.title} ${review.rating} out of 5`,
+      product: product._id,
+      review: review._id
+    });
+    
     // Populate user info and return review
     const populatedReview = await Review.findById(review._id)
       .populate({
@@ -458,4 +707,174 @@ exports.addReview = async (req, res) => {
     console.error('Add review error:', error);
     res.status(500).json({ message: 'Server error' });
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Update your own review
+ * @route   PUT /api/products/:id/reviews/:reviewId
+ * @access  Private
+ */
+exports.updateReview = async (req, res) => {
+  try {
+    const { rating, title, comment, deleteImages } = req.body;
+    
+    const review = await Review.findOne({
+      _id: req.params.reviewId,
+      product: req.params.id
+    });
+    
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    
+    // Check if user wrote the review
+    if (review.user.toString() !== req.dbUser._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to update this review' });
+    }
+    
+    if (rating) {
+      const ratingNum = Number(rating);
+      if (!(ratingNum >= 1 && ratingNum <= 5)) {
+        return res.status(400).json({ message: 'Rating must be between 1 and 5' });
+      }
+      review.rating = ratingNum;
+    }
+    if (title !== undefined) review.title = title;
+    if (comment) review.comment = comment;
+    
+    // Handle photo uploads
+    if (deleteImages === 'true') {
+      removeUploadedFiles(review.images);
+      review.images = [];
+    }
+    if (req.files && req.files.length > 0) {
+      review.images = [...review.images, ...req.files.map(file => `/uploads/${file.filename}`)];
+    }
+    
+    await review.save();
+    
+    const populatedReview = await Review.findById(review._id)
+      .populate({
+        path: 'user',
+        select: 'name profilePicture'
+      });
+    
+    res.status(200).json(populatedReview);
+  } catch (error) {
+    console.error('Update review error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Delete your own review (or any review as admin)
+ * @route   DELETE /api/products/:id/reviews/:reviewId
+ * @access  Private
+ */
+exports.deleteReview = async (req, res) => {
+  try {
+    const review = await Review.findOne({
+      _id: req.params.reviewId,
+      product: req.params.id
+    });
+    
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    
+    // Check if user wrote the review or is admin
+    if (review.user.toString() !== req.dbUser._id.toString() && 
+        req.dbUser.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to delete this review' });
+    }
+    
+    removeUploadedFiles(review.images);
+    
+    await review.remove();
+    
+    res.status(200).json({ message: 'Review deleted successfully' });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Mark a review as helpful
+ * @route   POST /api/products/:id/reviews/:reviewId/helpful
+ * @access  Private
+ */
+exports.voteReviewHelpful = async (req, res) => {
+  try {
+    const review = await Review.findOne({
+      _id: req.params.reviewId,
+      product: req.params.id
+    });
+    
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    
+    if (review.user.toString() === req.dbUser._id.toString()) {
+      return res.status(400).json({ message: 'You cannot vote on your own review' });
+    }
+    
+    // Only count each user once
+    await Review.updateOne(
+      { _id: review._id, helpfulVotes: { $ne: req.dbUser._id } },
+      { $push: { helpfulVotes: req.dbUser._id }, $inc: { helpfulCount: 1 } }
+    );
+    
+    const updatedReview = await Review.findById(review._id).select('helpfulCount');
+    
+    res.status(200).json({ helpfulCount: updatedReview.helpfulCount, voted: true });
+  } catch (error) {
+    console.error('Vote review helpful error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Remove your helpful vote from a review
+ * @route   DELETE /api/products/:id/reviews/:reviewId/helpful
+ * @access  Private
+ */
+exports.removeReviewHelpfulVote = async (req, res) => {
+  try {
+    await Review.updateOne(
+      { _id: req.params.reviewId, product: req.params.id, helpfulVotes: req.dbUser._id },
+      { $pull: { helpfulVotes: req.dbUser._id }, $inc: { helpfulCount: -1 } }
+    );
+    
+    const review = await Review.findById(req.params.reviewId).select('helpfulCount');
+    
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    
+    res.status(200).json({ helpfulCount: review.helpfulCount, voted: false });
+  } catch (error) {
+    console.error('Remove review helpful vote error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    
+    res.status(500).json({ message: 'Server error' });
+  }
+};
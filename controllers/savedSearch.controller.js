@@ -0,0 +1,111 @@
+const SavedSearch = require('../models/SavedSearch');
+const Product = require('../models/Product');
+
+// Most saved searches a user can keep
+const MAX_SAVED_SEARCHES = 20;
+
+/**
+ * Get the current user's saved searches
+ * @route   GET /api/saved-searches
+ * @access  Private
+ */
+exports.getSavedSearches = async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.dbUser._id })
+      .select('-pendingMatches -keywords')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json(searches);
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Save a search with the same filters as GET /api/products
+ * @route   POST /api/saved-searches
+ * @access  Private
+ */
+exports.createSavedSearch = async (req, res) => {
+  try {
+    const { name, category, condition, priceMin, priceMax, search, alerts = {} } = req.body;
+
+    if (!category && !condition && !priceMin && !priceMax && !search) {
+      return res.status(400).json({ message: 'At least one search filter is required' });
+    }
+
+    if (category && !Product.schema.path('category').enumValues.includes(category)) {
+      return res.status(400).json({ message: 'Invalid category' });
+    }
+
+    if (condition && !Product.schema.path('condition').enumValues.includes(condition)) {
+      return res.status(400).json({ message: 'Invalid condition' });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.dbUser._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ message: `You can save up to ${MAX_SAVED_SEARCHES} searches` });
+    }
+
+    const savedSearch = new SavedSearch({
+      user: req.dbUser._id,
+      name,
+      filters: {
+        category: category || null,
+        condition: condition || null,
+        priceMin: priceMin ? Number(priceMin) : null,
+        priceMax: priceMax ? Number(priceMax) : null,
+        search: search || ''
+      },
+      alerts: {
+        inApp: alerts.inApp !== undefined ? alerts.inApp === true || alerts.inApp === 'true' : true,
+        emailDigest: alerts.emailDigest === true || alerts.emailDigest === 'true'
+      }
+    });
+
+    await savedSearch.save();
+
+    res.status(201).json(savedSearch);
+  } catch (error) {
+    console.error('Create saved search error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Delete a saved search
+ * @route   DELETE /api/saved-searches/:id
+ * @access  Private
+ */
+exports.deleteSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findById(req.params.id);
+
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    // Check if the search belongs to the user
+    if (savedSearch.user.toString() !== req.dbUser._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to delete this saved search' });
+    }
+
+    await savedSearch.remove();
+
+    res.status(200).json({ message: 'Saved search removed' });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
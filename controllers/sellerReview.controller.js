@@ -0,0 +1,178 @@
+const SellerReview = require('../models/SellerReview');
+const Offer = require('../models/Offer');
+const Order = require('../models/Order');
+const User = require('../models/User');
+
+// Order statuses that mean the buyer paid, so the seller can be reviewed
+const REVIEWABLE_ORDER_STATUSES = ['paid', 'shipped', 'delivered'];
+
+/**
+ * Review the seller of a paid-for offer (buyer only, once per transaction)
+ * @route   POST /api/seller-reviews
+ * @access  Private
+ */
+exports.addSellerReview = async (req, res) => {
+  try {
+    const { offerId, rating, comment } = req.body;
+
+    if (!offerId) {
+      return res.status(400).json({ message: 'Offer is required' });
+    }
+
+    const offer = await Offer.findById(offerId);
+
+    if (!offer) {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    // Only the buyer of an accepted offer can review the seller
+    if (offer.buyer.toString() !== req.dbUser._id.toString()) {
+      return res.status(403).json({ message: 'Only the buyer can review this seller' });
+    }
+
+    // An accepted offer only counts once its order has been paid
+    const order = offer.status === 'accepted' && offer.order
+      ? await Order.findById(offer.order).select('status')
+      : null;
+
+    if (!order || !REVIEWABLE_ORDER_STATUSES.includes(order.status)) {
+      return res.status(400).json({ message: 'Only completed transactions can be reviewed' });
+    }
+
+    const existingReview = await SellerReview.findOne({ offer: offer._id });
+    if (existingReview) {
+      return res.status(400).json({ message: 'You have already reviewed this transaction' });
+    }
+
+    const review = new SellerReview({
+      offer: offer._id,
+      order: order._id,
+      product: offer.product,
+      seller: offer.seller,
+      buyer: offer.buyer,
+      rating: Number(rating),
+      comment
+    });
+
+    await review.save();
+
+    const populatedReview = await SellerReview.findById(review._id)
+      .populate({
+        path: 'buyer',
+        select: 'name profilePicture'
+      });
+
+    res.status(201).json(populatedReview);
+  } catch (error) {
+    console.error('Add seller review error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Offer not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Reply to a review (seller only, once)
+ * @route   POST /api/seller-reviews/:id/reply
+ * @access  Private
+ */
+exports.replyToSellerReview = async (req, res) => {
+  try {
+    const { comment } = req.body;
+
+    if (!comment) {
+      return res.status(400).json({ message: 'Reply comment is required' });
+    }
+
+    const review = await SellerReview.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.seller.toString() !== req.dbUser._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to reply to this review' });
+    }
+
+    if (review.reply && review.reply.comment) {
+      return res.status(400).json({ message: 'You have already replied to this review' });
+    }
+
+    review.reply = {
+      comment,
+      createdAt: new Date()
+    };
+
+    await review.save();
+
+    res.status(200).json(review);
+  } catch (error) {
+    console.error('Reply to seller review error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Get a seller's rating summary and reviews
+ * @route   GET /api/seller-reviews/seller/:sellerId
+ * @access  Public
+ */
+exports.getSellerReviews = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const seller = await User.findById(req.params.sellerId)
+      .select('name profilePicture sellerRating');
+
+    if (!seller) {
+      return res.status(404).json({ message: 'Seller not found' });
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const reviews = await SellerReview.find({ seller: seller._id })
+      .populate({
+        path: 'buyer',
+        select: 'name profilePicture'
+      })
+      .populate({
+        path: 'product',
+        select: 'title images'
+      })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await SellerReview.countDocuments({ seller: seller._id });
+
+    res.status(200).json({
+      seller,
+      reviews,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum)
+    });
+  } catch (error) {
+    console.error('Get seller reviews error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Seller not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
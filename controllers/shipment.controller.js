@@ -0,0 +1,278 @@
+const Shipment = require('../models/Shipment');
+const Offer = require('../models/Offer');
+const Order = require('../models/Order');
+const {
+  getAutoConfirmDate,
+  refreshTracking,
+  confirmDelivery
+} = require('../utils/shipments');
+
+/**
+ * Add tracking for an accepted offer or a paid order (seller only)
+ * @route   POST /api/shipments
+ * @access  Private
+ */
+exports.createShipment = async (req, res) => {
+  try {
+    const { offerId, orderId, carrier, trackingNumber } = req.body;
+
+    if (!carrier || !trackingNumber) {
+      return res.status(400).json({ message: 'Carrier and tracking number are required' });
+    }
+
+    if (!offerId && !orderId) {
+      return res.status(400).json({ message: 'An offer or order is required' });
+    }
+
+    let offer = null;
+    let order = null;
+
+    if (offerId) {
+      offer = await Offer.findById(offerId);
+      if (!offer) {
+        return res.status(404).json({ message: 'Offer not found' });
+      }
+      if (offer.status !== 'accepted') {
+        return res.status(400).json({ message: 'Only accepted offers can be shipped' });
+      }
+      if (offer.order) {
+        order = await Order.findById(offer.order);
+      }
+    } else {
+      order = await Order.findById(orderId);
+      if (!order) {
+        return res.status(404).json({ message: 'Order not found' });
+      }
+    }
+
+    const seller = (offer || order).seller;
+    const buyer = (offer || order).buyer;
+
+    // Check if user is the seller
+    if (seller.toString() !== req.dbUser._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to ship this item' });
+    }
+
+    if (order && order.status !== 'paid') {
+      return res.status(400).json({ message: 'Only paid orders can be shipped' });
+    }
+
+    // Only one shipment per offer or order; the unique indexes catch concurrent requests
+    const existing = await Shipment.findOne(order ? { order: order._id } : { offer: offer._id });
+    if (existing) {
+      return res.status(400).json({ message: 'Tracking has already been added' });
+    }
+
+    const shipment = new Shipment({
+      offer: offer ? offer._id : order.offer,
+      order: order ? order._id : undefined,
+      buyer,
+      seller,
+      carrier,
+      trackingNumber,
+      autoConfirmAt: getAutoConfirmDate()
+    });
+    shipment.addStatus('label_created', { description: 'Tracking added by seller' });
+
+    // Pick up anything the carrier already knows
+    await refreshTracking(shipment);
+    await shipment.save();
+
+    if (order) {
+      order.setStatus('shipped', req.dbUser._id);
+      await order.save();
+    }
+
+    res.status(201).json(shipment);
+  } catch (error) {
+    console.error('Create shipment error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Tracking has already been added' });
+    }
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Offer or order not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Get shipments for the current user
+ * @route   GET /api/shipments
+ * @access  Private
+ */
+exports.getShipments = async (req, res) => {
+  try {
+    const { role = 'buyer', offerId, orderId } = req.query;
+
+    if (!['buyer', 'seller'].includes(role)) {
+      return res.status(400).json({ message: 'Role must be buyer or seller' });
+    }
+
+    const query = { [role]: req.dbUser._id };
+    if (offerId) query.offer = offerId;
+    if (orderId) query.order = orderId;
+
+    const shipments = await Shipment.find(query)
+      .sort({ createdAt: -1 });
+
+    res.status(200).json(shipments);
+  } catch (error) {
+    console.error('Get shipments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Get shipment by ID
+ * @route   GET /api/shipments/:id
+ * @access  Private
+ */
+exports.getShipmentById = async (req, res) => {
+  try {
+    const shipment = await Shipment.findById(req.params.id)
+      .populate({
+        path: 'buyer',
+        select: 'name profilePicture'
+      })
+      .populate({
+        path: 'seller',
+        select: 'name profilePicture'
+      });
+
+    if (!shipment) {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+
+    // Check if user is the buyer or seller
+    if (!shipment.getRole(req.dbUser._id)) {
+      return res.status(403).json({ message: 'Not authorized to view this shipment' });
+    }
+
+    res.status(200).json(shipment);
+  } catch (error) {
+    console.error('Get shipment error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Pull the latest tracking status from the carrier
+ * @route   POST /api/shipments/:id/refresh
+ * @access  Private
+ */
+exports.refreshShipment = async (req, res) => {
+  try {
+    const shipment = await Shipment.findById(req.params.id);
+
+    if (!shipment) {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+
+    if (!shipment.getRole(req.dbUser._id)) {
+      return res.status(403).json({ message: 'Not authorized to view this shipment' });
+    }
+
+    const refreshed = await refreshTracking(shipment);
+    if (!refreshed) {
+      return res.status(400).json({ message: `Tracking is not available for ${shipment.carrier}` });
+    }
+
+    await shipment.save();
+
+    res.status(200).json(shipment);
+  } catch (error) {
+    console.error('Refresh shipment error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Add a status update by hand, for carriers without tracking (seller only)
+ * @route   PUT /api/shipments/:id/status
+ * @access  Private
+ */
+exports.updateShipmentStatus = async (req, res) => {
+  try {
+    const { status, description, location } = req.body;
+
+    if (!Shipment.STATUSES.includes(status)) {
+      return res.status(400).json({ message: 'Invalid shipment status' });
+    }
+
+    const shipment = await Shipment.findById(req.params.id);
+
+    if (!shipment) {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+
+    if (shipment.getRole(req.dbUser._id) !== 'seller') {
+      return res.status(403).json({ message: 'Not authorized to update this shipment' });
+    }
+
+    if (shipment.deliveryConfirmedAt) {
+      return res.status(400).json({ message: 'Delivery has already been confirmed' });
+    }
+
+    shipment.addStatus(status, { description, location });
+    await shipment.save();
+
+    res.status(200).json(shipment);
+  } catch (error) {
+    console.error('Update shipment status error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Confirm the item arrived (buyer only)
+ * @route   POST /api/shipments/:id/confirm-delivery
+ * @access  Private
+ */
+exports.confirmDelivery = async (req, res) => {
+  try {
+    const shipment = await Shipment.findById(req.params.id);
+
+    if (!shipment) {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+
+    if (shipment.getRole(req.dbUser._id) !== 'buyer') {
+      return res.status(403).json({ message: 'Not authorized to confirm this delivery' });
+    }
+
+    if (shipment.deliveryConfirmedAt) {
+      return res.status(400).json({ message: 'Delivery has already been confirmed' });
+    }
+
+    await confirmDelivery(shipment, 'buyer');
+
+    res.status(200).json(shipment);
+  } catch (error) {
+    console.error('Confirm delivery error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
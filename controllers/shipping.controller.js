@@ -0,0 +1,89 @@
+const Product = require('../models/Product');
+const User = require('../models/User');
+const {
+  getShippingMethods,
+  quoteProduct,
+  quoteCart,
+  resolveDestination
+} = require('../utils/shipping');
+
+/**
+ * Get the available shipping methods
+ * @route   GET /api/shipping/methods
+ * @access  Public
+ */
+exports.getMethods = async (req, res) => {
+  try {
+    res.status(200).json(getShippingMethods());
+  } catch (error) {
+    console.error('Get shipping methods error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Quote shipping for a product
+ * @route   GET /api/shipping/products/:productId
+ * @access  Public (uses the caller's address when signed in)
+ */
+exports.quoteProduct = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId)
+      .select('seller shipping');
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const quote = await quoteProduct(
+      product,
+      resolveDestination(req.dbUser, req.query),
+      req.query.shippingMethod
+    );
+
+    res.status(200).json(quote);
+  } catch (error) {
+    console.error('Quote product shipping error:', error);
+
+    if (error.name === 'ShippingError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Quote shipping for the current cart
+ * @route   GET /api/shipping/cart
+ * @access  Private
+ */
+exports.quoteCart = async (req, res) => {
+  try {
+    const user = await User.findById(req.dbUser._id)
+      .populate({
+        path: 'cart.product',
+        select: 'seller shipping'
+      });
+
+    const quote = await quoteCart(
+      user.cart,
+      resolveDestination(user, req.query),
+      req.query.shippingMethod
+    );
+
+    res.status(200).json(quote);
+  } catch (error) {
+    console.error('Quote cart shipping error:', error);
+
+    if (error.name === 'ShippingError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Server error' });
+  }
+};
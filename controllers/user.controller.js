@@ -1,8 +1,47 @@
 const User = require('../models/User');
 const Product = require('../models/Product');
 const Offer = require('../models/Offer');
-const fs = require('fs');
-const path = require('path');
+const Dispute = require('../models/Dispute');
+const { checkoutCart } = require('../utils/orders');
+const { quoteCart, resolveDestination } = require('../utils/shipping');
+const { types: notificationTypes } = require('../config/notifications');
+const { categories: emailCategories } = require('../config/email');
+const { notifyUsers } = require('../utils/notifications');
+const { getTargetPrice } = require('../utils/priceAlerts');
+const { isCursorRequest, parseLimit, findPageByCursor } = require('../utils/pagination');
+const { geocode } = require('../utils/geo');
+const { removeImage } = require('../utils/images');
+
+/**
+ * Get a user's favorite products, each with the user's target price
+ */
+const getFavoritesWithTargets = async (userId) => {
+  const user = await User.findById(userId)
+    .populate({
+      path: 'favorites',
+      select: 'title price images condition category brand'
+    });
+  
+  return user.favorites.map(product => ({
+    ...product.toJSON(),
+    targetPrice: getTargetPrice(user, product._id)
+  }));
+};
+
+/**
+ * Read a profile field sent as an object or, from multipart forms, as a JSON string
+ * @returns {*} Parsed value, or undefined if the string is not valid JSON
+ */
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
 
 /**
  * Get current user profile
@@ -29,23 +68,60 @@ exports.getCurrentUser = async (req, res) => {
 exports.updateProfile = async (req, res) => {
   try {
     const userId = req.dbUser._id;
-    const { name, phone, address } = req.body;
+    const { name, phone, address, notificationPreferences, emailUnsubscribed } = req.body;
     
     const updateData = {};
     if (name) updateData.name = name;
     if (phone) updateData.phone = phone;
-    if (address) updateData.address = JSON.parse(address);
+    
+    // Geocode the address city; clients cannot set its coordinates
+    if (address) {
+      const parsedAddress = parseJsonField(address);
+      if (!isPlainObject(parsedAddress)) {
+        return res.status(400).json({ message: 'Address must be a JSON object' });
+      }
+      
+      const fields = { ...parsedAddress };
+      delete fields.point;
+      
+      const location = geocode({ city: fields.city, region: fields.state, country: fields.country });
+      updateData.address = location ? { ...fields, point: location.point } : fields;
+    }
+    
+    // Update only the notification types that were sent
+    if (notificationPreferences) {
+      const preferences = parseJsonField(notificationPreferences);
+      if (!isPlainObject(preferences)) {
+        return res.status(400).json({ message: 'Notification preferences must be a JSON object' });
+      }
+      
+      for (const [type, enabled] of Object.entries(preferences)) {
+        if (!notificationTypes[type] || typeof enabled !== 'boolean') {
+          return res.status(400).json({ message: `Invalid notification preference: ${type}` });
+        }
+        updateData[`notificationPreferences.${type}`] = enabled;
+      }
+    }
+    
+    // Replace the list of email categories the user opted out of
+    if (emailUnsubscribed) {
+      const categories = parseJsonField(emailUnsubscribed);
+      if (!Array.isArray(categories)) {
+        return res.status(400).json({ message: 'Email unsubscribes must be a JSON array' });
+      }
+      
+      const invalid = categories.find(category => category !== 'all' && !emailCategories[category]);
+      if (invalid) {
+        return res.status(400).json({ message: `Invalid email category: ${invalid}` });
+      }
+      updateData.emailUnsubscribed = categories;
+    }
     
     // Handle profile picture upload
     if (req.file) {
       // If there's already a profile picture, delete the old one
       const user = await User.findById(userId);
-      if (user.profilePicture) {
-        const oldPicturePath = path.join(__dirname, '..', user.profilePicture);
-        if (fs.existsSync(oldPicturePath)) {
-          fs.unlinkSync(oldPicturePath);
-        }
-      }
+      removeImage(user.profilePicture);
       
       updateData.profilePicture = `/uploads/${req.file.filename}`;
     }
@@ -70,13 +146,9 @@ exports.updateProfile = async (req, res) => {
  */
 exports.getFavorites = async (req, res) => {
   try {
-    const user = await User.findById(req.dbUser._id)
-      .populate({
-        path: 'favorites',
-        select: 'title price images condition category brand'
-      });
+    const favorites = await getFavoritesWithTargets(req.dbUser._id);
     
-    res.status(200).json(user.favorites);
+    res.status(200).json(favorites);
   } catch (error) {
     console.error('Get favorites error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -91,6 +163,11 @@ exports.getFavorites = async (req, res) => {
 exports.addToFavorites = async (req, res) => {
   try {
     const { productId } = req.params;
+    const { targetPrice } = req.body;
+    
+    if (targetPrice !== undefined && targetPrice !== null && !(Number(targetPrice) > 0)) {
+      return res.status(400).json({ message: 'Target price must be a positive number' });
+    }
     
     // Check if product exists
     const product = await Product.findById(productId);
@@ -99,21 +176,66 @@ exports.addToFavorites = async (req, res) => {
     }
     
     const user = await User.findById(req.dbUser._id);
+    const alreadyFavorite = user.favorites.some(id => id.toString() === productId);
+    if (targetPrice !== undefined && targetPrice !== null) {
+      user.favoriteTargetPrices.set(productId, Number(targetPrice));
+    }
     await user.addToFavorites(productId);
     
-    const updatedUser = await User.findById(req.dbUser._id)
-      .populate({
-        path: 'favorites',
-        select: 'title price images condition category brand'
+    // Let the seller know someone saved their listing
+    if (!alreadyFavorite && product.seller.toString() !== user._id.toString()) {
+      notifyUsers([product.seller], 'product_favorited', {
+        title: 'New favorite',
+        body: `${user.name} added ${product.title} to their favorites`,
+        product: product._id
       });
+    }
     
-    res.status(200).json(updatedUser.favorites);
+    const favorites = await getFavoritesWithTargets(req.dbUser._id);
+    
+    res.status(200).json(favorites);
   } catch (error) {
     console.error('Add to favorites error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
 
+/**
+ * Set or clear the price a favorite must drop to before you are notified
+ * @route   PUT /api/users/favorites/:productId/target-price
+ * @access  Private
+ */
+exports.setFavoriteTargetPrice = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { targetPrice } = req.body;
+    
+    const clear = targetPrice === undefined || targetPrice === null || targetPrice === '';
+    if (!clear && !(Number(targetPrice) > 0)) {
+      return res.status(400).json({ message: 'Target price must be a positive number' });
+    }
+    
+    const user = await User.findById(req.dbUser._id);
+    if (!user.favorites.some(id => id.toString() === productId)) {
+      return res.status(404).json({ message: 'Product is not in your favorites' });
+    }
+    
+    if (clear) {
+      user.favoriteTargetPrices.delete(productId);
+    } else {
+      user.favoriteTargetPrices.set(productId, Number(targetPrice));
+    }
+    await user.save();
+    
+    const favorites = await getFavoritesWithTargets(req.dbUser._id);
+    
+    res.status(200).json(favorites);
+  } catch (error) {
+    console.error('Set favorite target price error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 /**
  * Remove product from favorites
  * @route   DELETE /api/users/favorites/:productId
@@ -126,13 +248,9 @@ exports.removeFromFavorites = async (req, res) => {
     const user = await User.findById(req.dbUser._id);
     await user.removeFromFavorites(productId);
     
-    const updatedUser = await User.findById(req.dbUser._id)
-      .populate({
-        path: 'favorites',
-        select: 'title price images condition category brand'
-      });
+    const favorites = await getFavoritesWithTargets(req.dbUser._id);
     
-    res.status(200).json(updatedUser.favorites);
+    res.status(200).json(favorites);
   } catch (error) {
     console.error('Remove from favorites error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -149,7 +267,7 @@ exports.getCart = async (req, res) => {
     const user = await User.findById(req.dbUser._id)
       .populate({
         path: 'cart.product',
-        select: 'title price images condition category brand seller'
+        select: 'title price images condition category brand seller shipping'
       });
     
     // Calculate total
@@ -157,9 +275,18 @@ exports.getCart = async (req, res) => {
       return sum + (item.product.price * item.quantity);
     }, 0);
     
+    // Quote shipping per seller to the user's address (or ?country=&zipCode=)
+    const shipping = await quoteCart(
+      user.cart,
+      resolveDestination(user, req.query),
+      req.query.shippingMethod
+    );
+    
     res.status(200).json({
       items: user.cart,
-      total
+      total,
+      shipping,
+      grandTotal: total + shipping.total
     });
   } catch (error) {
     console.error('Get cart error:', error);
@@ -310,6 +437,35 @@ exports.clearCart = async (req, res) => {
   }
 };
 
+/**
+ * Checkout the cart, creating one order per seller
+ * @route   POST /api/users/cart/checkout
+ * @access  Private
+ */
+exports.checkout = async (req, res) => {
+  try {
+    const user = await User.findById(req.dbUser._id);
+    
+    if (user.cart.length === 0) {
+      return res.status(400).json({ message: 'Your cart is empty' });
+    }
+    
+    const { orders, unavailableItems } = await checkoutCart(user, req.body.shippingMethod);
+    
+    if (orders.length === 0) {
+      return res.status(400).json({ message: 'None of the items in your cart are available' });
+    }
+    
+    res.status(201).json({
+      orders,
+      unavailableItems
+    });
+  } catch (error) {
+    console.error('Checkout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 /**
  * Get user's product listings
  * @route   GET /api/users/listings
@@ -317,13 +473,34 @@ exports.clearCart = async (req, res) => {
  */
 exports.getUserListings = async (req, res) => {
   try {
-    const products = await Product.find({ seller: req.dbUser._id })
-      .select('title price images condition category createdAt isAvailable views')
+    const query = { seller: req.dbUser._id };
+    const fields = 'title price images condition category createdAt isAvailable views';
+    
+    // Cursor pagination (send `cursor`, empty for the first page);
+    // without it the full list is returned
+    if (isCursorRequest(req.query)) {
+      const { items, nextCursor, hasMore } = await findPageByCursor(Product, query, {
+        sort: { createdAt: -1 },
+        cursor: req.query.cursor,
+        limit: parseLimit(req.query.limit, 20),
+        build: findQuery => findQuery.select(fields)
+      });
+      
+      return res.status(200).json({ products: items, nextCursor, hasMore });
+    }
+    
+    const products = await Product.find(query)
+      .select(fields)
       .sort({ createdAt: -1 });
     
     res.status(200).json(products);
   } catch (error) {
     console.error('Get user listings error:', error);
+    
+    if (error.name === 'CursorError') {
+      return res.status(400).json({ message: error.message });
+    }
+    
     res.status(500).json({ message: 'Server error' });
   }
 };
@@ -335,7 +512,8 @@ exports.getUserListings = async (req, res) => {
  */
 exports.getReceivedOffers = async (req, res) => {
   try {
-    const offers = await Offer.find({ seller: req.dbUser._id })
+    const query = { seller: req.dbUser._id };
+    const populateOffer = findQuery => findQuery
       .populate({
         path: 'product',
         select: 'title price images'
@@ -343,12 +521,32 @@ exports.getReceivedOffers = async (req, res) => {
       .populate({
         path: 'buyer',
         select: 'name profilePicture'
-      })
+      });
+    
+    // Cursor pagination (send `cursor`, empty for the first page);
+    // without it the full list is returned
+    if (isCursorRequest(req.query)) {
+      const { items, nextCursor, hasMore } = await findPageByCursor(Offer, query, {
+        sort: { createdAt: -1 },
+        cursor: req.query.cursor,
+        limit: parseLimit(req.query.limit, 20),
+        build: populateOffer
+      });
+      
+      return res.status(200).json({ offers: items, nextCursor, hasMore });
+    }
+    
+    const offers = await populateOffer(Offer.find(query))
       .sort({ createdAt: -1 });
     
     res.status(200).json(offers);
   } catch (error) {
     console.error('Get received offers error:', error);
+    
+    if (error.name === 'CursorError') {
+      return res.status(400).json({ message: error.message });
+    }
+    
     res.status(500).json({ message: 'Server error' });
   }
 };
@@ -360,7 +558,8 @@ exports.getReceivedOffers = async (req, res) => {
  */
 exports.getSentOffers = async (req, res) => {
   try {
-    const offers = await Offer.find({ buyer: req.dbUser._id })
+    const query = { buyer: req.dbUser._id };
+    const populateOffer = findQuery => findQuery
       .populate({
         path: 'product',
         select: 'title price images'
@@ -368,12 +567,32 @@ exports.getSentOffers = async (req, res) => {
       .populate({
         path: 'seller',
         select: 'name profilePicture'
-      })
+      });
+    
+    // Cursor pagination (send `cursor`, empty for the first page);
+    // without it the full list is returned
+    if (isCursorRequest(req.query)) {
+      const { items, nextCursor, hasMore } = await findPageByCursor(Offer, query, {
+        sort: { createdAt: -1 },
+        cursor: req.query.cursor,
+        limit: parseLimit(req.query.limit, 20),
+        build: populateOffer
+      });
+      
+      return res.status(200).json({ offers: items, nextCursor, hasMore });
+    }
+    
+    const offers = await populateOffer(Offer.find(query))
       .sort({ createdAt: -1 });
     
     res.status(200).json(offers);
   } catch (error) {
     console.error('Get sent offers error:', error);
+    
+    if (error.name === 'CursorError') {
+      return res.status(400).json({ message: error.message });
+    }
+    
     res.status(500).json({ message: 'Server error' });
   }
 };
@@ -534,12 +753,24 @@ exports.getUserActivity = async (req, res) => {
         select: 'name'
       });
       
+    // Get open disputes the user is a party to (as buyer or seller)
+    const disputes = await Dispute.find({
+      status: 'open',
+      $or: [{ buyer: userId }, { seller: userId }]
+    })
+      .sort({ createdAt: -1 })
+      .populate({
+        path: 'product',
+        select: 'title price images'
+      });
+      
     // Combine all activity
     const activity = {
       listings,
       favorites: favorites?.favorites || [],
       sentOffers,
-      receivedOffers
+      receivedOffers,
+      disputes
     };
     
     res.status(200).json(activity);
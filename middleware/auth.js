@@ -1,5 +1,26 @@
 const { admin } = require('../config/firebase');
 const User = require('../models/User');
+const { sendEmail } = require('../utils/email');
+
+/**
+ * Find the database user for a decoded Firebase token, creating it on first sign-in
+ */
+const findOrCreateUser = async (decodedToken) => {
+  let user = await User.findOne({ firebaseUid: decodedToken.uid });
+  
+  if (!user) {
+    console.log('Creating new user record for:', decodedToken.uid);
+    user = new User({
+      firebaseUid: decodedToken.uid,
+      email: decodedToken.email,
+      name: decodedToken.name || decodedToken.email.split('@')[0]
+    });
+    await user.save();
+    sendEmail(user, 'welcome');
+  }
+  
+  return user;
+};
 
 /**
  * Middleware to verify JWT token from Firebase
@@ -33,17 +54,7 @@ const verifyToken = async (req, res, next) => {
       };
       
       // Find or create user record in the database
-      let user = await User.findOne({ firebaseUid: decodedToken.uid });
-      
-      if (!user) {
-        console.log('Creating new user record for:', decodedToken.uid);
-        user = new User({
-          firebaseUid: decodedToken.uid,
-          email: decodedToken.email,
-          name: decodedToken.name || decodedToken.email.split('@')[0]
-        });
-        await user.save();
-      }
+      const user = await findOrCreateUser(decodedToken);
       
       // Attach database user to request
       req.dbUser = user;
@@ -59,6 +70,47 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware that attaches the user when a valid token is sent, but lets
+ * anonymous requests through (for public routes with per-user extras)
+ */
+const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+  
+  try {
+    const decodedToken = await admin.auth().verifyIdToken(authHeader.split(' ')[1]);
+    
+    req.user = {
+      uid: decodedToken.uid,
+      email: decodedToken.email,
+      ...decodedToken
+    };
+    req.dbUser = await findOrCreateUser(decodedToken);
+  } catch (error) {
+    // Treat an invalid token as an anonymous request
+    console.error('Optional auth token error:', error.message);
+  }
+  
+  next();
+};
+
+/**
+ * Middleware for event streams: browsers' EventSource cannot send headers,
+ * so the token may also be passed as `?token=`. Prefer the header when the
+ * client supports it, since query strings can end up in access logs.
+ */
+const verifyStreamToken = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  
+  return verifyToken(req, res, next);
+};
+
 /**
  * Middleware to check if user has admin role
  */
@@ -84,5 +136,7 @@ const isAdmin = async (req, res, next) => {
 
 module.exports = {
   verifyToken,
+  optionalAuth,
+  verifyStreamToken,
   isAdmin
 }; 
\ No newline at end of file
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const morgan = require('morgan');
+
+// Query parameters that carry credentials, e.g. the event stream's ?token=
+const SECRET_PARAMS = ['token'];
+
+const SECRET_PARAM_PATTERN = new RegExp(`([?&](?:${SECRET_PARAMS.join('|')})=)[^&#]*`, 'gi');
+
+/**
+ * Replace credential query parameters in a URL before it is logged
+ * @param {string} url - Request URL
+ * @returns {string} URL with secret values replaced by [REDACTED]
+ */
+const redactUrl = (url) => String(url || '').replace(SECRET_PARAM_PATTERN, '$1[REDACTED]');
+
+// Every morgan format logs the URL through this token
+morgan.token('url', (req) => redactUrl(req.originalUrl || req.url));
+
+/**
+ * Request logging middleware: colored output in development, otherwise
+ * Apache combined format appended to logs/access.log
+ */
+const requestLogger = () => {
+  if (process.env.NODE_ENV === 'development') {
+    return morgan('dev');
+  }
+
+  // Create a log directory if it doesn't exist
+  const logDir = path.join(__dirname, '../logs');
+  if (!fs.existsSync(logDir)) {
+    fs.mkdirSync(logDir);
+  }
+
+  // Create a write stream for access logs
+  const accessLogStream = fs.createWriteStream(
+    path.join(logDir, 'access.log'),
+    { flags: 'a' }
+  );
+  return morgan('combined', { stream: accessLogStream });
+};
+
+module.exports = { requestLogger, redactUrl };
@@ -1,6 +1,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { processImage } = require('../utils/images');
 
 // Ensure the upload directory exists
 const uploadDir = path.join(__dirname, '../uploads');
@@ -35,8 +36,47 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
-// Export the configured multer instance
+/**
+ * Check uploaded files are real images and replace each with its processed
+ * renditions (see utils/images.js). Afterwards `file.filename` and `file.path`
+ * point at the full rendition and `file.renditions` holds every URL.
+ */
+const processImages = async (req, res, next) => {
+  const files = req.file ? [req.file] : (req.files || []);
+  
+  try {
+    for (const file of files) {
+      const processed = await processImage(file.path);
+      Object.assign(file, {
+        filename: processed.filename,
+        path: processed.path,
+        mimetype: 'image/jpeg',
+        renditions: processed.renditions
+      });
+    }
+    next();
+  } catch (error) {
+    // Remove this request's files, processed or not
+    files.forEach(file => {
+      if (file.renditions) {
+        Object.values(file.renditions).forEach(url => {
+          fs.rmSync(path.join(uploadDir, path.basename(url)), { force: true });
+        });
+      } else {
+        fs.rmSync(file.path, { force: true });
+      }
+    });
+    
+    if (error.name === 'ImageError') {
+      return res.status(400).json({ message: error.message });
+    }
+    
+    next(error);
+  }
+};
+
+// Export the configured multer instance, followed by image processing
 module.exports = {
-  singleUpload: upload.single('profilePicture'),
-  multiUpload: upload.array('images', 5)
+  singleUpload: [upload.single('profilePicture'), processImages],
+  multiUpload: [upload.array('images', 5), processImages]
 };
\ No newline at end of file
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const ConversationSchema = new Schema({
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  buyer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastMessage: {
+    body: String,
+    sender: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: Date
+  },
+  // Unread message count for each participant
+  unread: {
+    buyer: {
+      type: Number,
+      default: 0
+    },
+    seller: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// One thread per buyer and listing
+ConversationSchema.index({ product: 1, buyer: 1 }, { unique: true });
+ConversationSchema.index({ buyer: 1, updatedAt: -1 });
+ConversationSchema.index({ seller: 1, updatedAt: -1 });
+
+// Get the role ('buyer' or 'seller') a user has in this conversation
+ConversationSchema.methods.getRole = function(userId) {
+  const id = userId.toString();
+  if (id === (this.buyer._id || this.buyer).toString()) return 'buyer';
+  if (id === (this.seller._id || this.seller).toString()) return 'seller';
+  return null;
+};
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
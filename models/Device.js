@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const DeviceSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  platform: {
+    type: String,
+    enum: ['ios', 'android', 'web'],
+    required: [true, 'Platform is required']
+  },
+  // Push token issued to the device by the push provider
+  token: {
+    type: String,
+    required: [true, 'Device token is required'],
+    unique: true,
+    trim: true
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+DeviceSchema.index({ user: 1 });
+
+module.exports = mongoose.model('Device', DeviceSchema);
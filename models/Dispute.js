@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const DisputeSchema = new Schema({
+  offer: {
+    type: Schema.Types.ObjectId,
+    ref: 'Offer',
+    required: true
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  buyer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Dispute reason is required'],
+    enum: ['not_as_described', 'damaged', 'not_received', 'wrong_item', 'other']
+  },
+  description: {
+    type: String,
+    required: [true, 'Please describe the problem'],
+    trim: true,
+    maxlength: [2000, 'Description cannot be more than 2000 characters']
+  },
+  evidence: [{
+    type: String
+  }],
+  messages: [{
+    author: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['buyer', 'seller', 'admin'],
+      required: true
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Message cannot be more than 1000 characters']
+    },
+    images: [{
+      type: String
+    }],
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolution: {
+    outcome: {
+      type: String,
+      enum: ['refund', 'partial_refund', 'return_required', 'rejected']
+    },
+    // Amount refunded to the buyer, for refund outcomes
+    amount: Number,
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Note cannot be more than 1000 characters']
+    },
+    resolvedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+DisputeSchema.index({ offer: 1 });
+DisputeSchema.index({ buyer: 1, status: 1 });
+DisputeSchema.index({ seller: 1, status: 1 });
+
+// Get the role ('buyer' or 'seller') a user has on this dispute
+DisputeSchema.methods.getRole = function(userId) {
+  const id = userId.toString();
+  if (id === (this.buyer._id || this.buyer).toString()) return 'buyer';
+  if (id === (this.seller._id || this.seller).toString()) return 'seller';
+  return null;
+};
+
+module.exports = mongoose.model('Dispute', DisputeSchema);
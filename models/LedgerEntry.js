@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Seller ledger entry
+ * The ledger is append-only: entries are never updated or deleted, corrections
+ * are recorded as new reversing entries. Related entries (e.g. a sale and its
+ * platform fee) share a `transaction` ID.
+ */
+const LedgerEntrySchema = new Schema({
+  seller: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  transaction: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  type: {
+    type: String,
+    enum: ['sale', 'shipping', 'platform_fee', 'refund', 'fee_reversal', 'payout', 'payout_reversal'],
+    required: true,
+    immutable: true
+  },
+  // Credits are positive, debits negative
+  amount: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  currency: {
+    type: String,
+    default: 'usd',
+    immutable: true
+  },
+  // Funds count as pending until this date, then as available
+  availableAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    immutable: true
+  },
+  payment: {
+    type: Schema.Types.ObjectId,
+    ref: 'Payment',
+    immutable: true
+  },
+  payout: {
+    type: Schema.Types.ObjectId,
+    ref: 'Payout',
+    immutable: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+LedgerEntrySchema.index({ seller: 1, createdAt: -1 });
+LedgerEntrySchema.index({ order: 1, type: 1 });
+// One sale entry per order, so an order paid twice cannot credit its seller twice
+LedgerEntrySchema.index({ order: 1 }, { unique: true, partialFilterExpression: { type: 'sale' } });
+
+// Refuse changes to existing entries
+LedgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries cannot be modified'));
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Ledger entries cannot be modified or deleted'));
+};
+
+LedgerEntrySchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove',
+  'remove'
+], rejectChange);
+
+module.exports = mongoose.model('LedgerEntry', LedgerEntrySchema);
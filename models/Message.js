@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const MessageSchema = new Schema({
+  conversation: {
+    type: Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Message cannot be more than 2000 characters']
+  },
+  images: [{
+    type: String
+  }],
+  // Optional offer referenced in the message
+  offer: {
+    type: Schema.Types.ObjectId,
+    ref: 'Offer'
+  },
+  // Read receipt, set when the recipient reads the message
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+MessageSchema.index({ conversation: 1, createdAt: -1 });
+MessageSchema.index({ recipient: 1, readAt: 1 });
+
+module.exports = mongoose.model('Message', MessageSchema);
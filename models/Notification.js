@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { types } = require('../config/notifications');
+const Schema = mongoose.Schema;
+
+const NotificationSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(types),
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  body: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Records the notification is about, for linking in the client
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  offer: {
+    type: Schema.Types.ObjectId,
+    ref: 'Offer'
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  review: {
+    type: Schema.Types.ObjectId,
+    ref: 'Review'
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+NotificationSchema.index({ user: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
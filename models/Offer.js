@@ -1,6 +1,42 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+// Maximum number of offers and counter offers in one negotiation
+const MAX_ROUNDS = Number(process.env.OFFER_MAX_ROUNDS) || 6;
+
+// A single offer or counter offer in the negotiation; entries are never changed
+const RoundSchema = new Schema({
+  by: {
+    type: String,
+    enum: ['buyer', 'seller'],
+    required: true,
+    immutable: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: [1, 'Price must be at least 1'],
+    immutable: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot be more than 500 characters'],
+    immutable: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
 const OfferSchema = new Schema({
   product: {
     type: Schema.Types.ObjectId,
@@ -32,10 +68,31 @@ const OfferSchema = new Schema({
     enum: ['pending', 'accepted', 'rejected', 'countered', 'expired'],
     default: 'pending'
   },
+  // Latest counter offer, kept alongside the rounds for existing clients
   counterOffer: {
     price: Number,
     message: String
   },
+  // Full negotiation timeline, starting with the buyer's initial offer
+  rounds: [RoundSchema],
+  maxRounds: {
+    type: Number,
+    default: MAX_ROUNDS
+  },
+  // Price agreed on when the offer (or counter offer) was accepted
+  acceptedPrice: {
+    type: Number
+  },
+  // End of the window in which the buyer can purchase at the accepted price
+  reservedUntil: {
+    type: Date
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // Refreshed whenever a counter offer is made
   expiresAt: {
     type: Date,
     default: function() {
@@ -45,7 +102,66 @@ const OfferSchema = new Schema({
     }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Party expected to respond next ('buyer' or 'seller'), or null once closed
+OfferSchema.virtual('turn').get(function() {
+  if (!['pending', 'countered'].includes(this.status)) return null;
+  const lastRound = this.rounds && this.rounds[this.rounds.length - 1];
+  if (!lastRound) return this.status === 'countered' ? 'buyer' : 'seller';
+  return lastRound.by === 'buyer' ? 'seller' : 'buyer';
+});
+
+// Price currently on the table
+OfferSchema.virtual('currentPrice').get(function() {
+  const lastRound = this.rounds && this.rounds[this.rounds.length - 1];
+  return lastRound ? lastRound.price : this.offerPrice;
 });
 
+// Get the role ('buyer' or 'seller') a user has on this offer
+OfferSchema.methods.getRole = function(userId) {
+  const id = userId.toString();
+  if (id === (this.buyer._id || this.buyer).toString()) return 'buyer';
+  if (id === (this.seller._id || this.seller).toString()) return 'seller';
+  return null;
+};
+
+// Add a round to the negotiation timeline
+OfferSchema.methods.addRound = function(role, userId, price, message) {
+  this.rounds.push({ by: role, user: userId, price, message: message || '' });
+};
+
+// Build the timeline for offers created before rounds were recorded
+OfferSchema.methods.backfillRounds = function() {
+  if (this.rounds.length > 0) return;
+
+  this.rounds.push({
+    by: 'buyer',
+    user: this.buyer._id || this.buyer,
+    price: this.offerPrice,
+    message: this.message,
+    createdAt: this.createdAt
+  });
+
+  if (this.counterOffer && this.counterOffer.price) {
+    this.rounds.push({
+      by: 'seller',
+      user: this.seller._id || this.seller,
+      price: this.counterOffer.price,
+      message: this.counterOffer.message,
+      createdAt: this.updatedAt
+    });
+  }
+};
+
+// Index for the expiry sweeper
+OfferSchema.index({ status: 1, expiresAt: 1 });
+
+// Indexes for paging through a user's received and sent offers
+OfferSchema.index({ seller: 1, createdAt: -1, _id: -1 });
+OfferSchema.index({ buyer: 1, createdAt: -1, _id: -1 });
+
 module.exports = mongoose.model('Offer', OfferSchema); 
\ No newline at end of file
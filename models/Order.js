@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Allowed status transitions and which party may perform them
+const STATUS_TRANSITIONS = {
+  placed: { paid: ['seller'], cancelled: ['buyer', 'seller'] },
+  paid: { shipped: ['seller'], cancelled: ['seller'] },
+  shipped: { delivered: ['buyer'] },
+  delivered: {},
+  cancelled: {}
+};
+
+const OrderSchema = new Schema({
+  buyer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set when the order was created from an accepted offer
+  offer: {
+    type: Schema.Types.ObjectId,
+    ref: 'Offer'
+  },
+  // Item details are snapshotted at purchase time so later listing edits
+  // do not change what the buyer paid for
+  items: [{
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    title: {
+      type: String,
+      required: true
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: [0, 'Price must be a positive number']
+    },
+    images: [{
+      type: String
+    }],
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+      default: 1
+    }
+  }],
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  shippingCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  shippingMethod: {
+    type: String
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'placed'
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: Object.keys(STATUS_TRANSITIONS)
+    },
+    changedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+OrderSchema.index({ buyer: 1, createdAt: -1 });
+OrderSchema.index({ seller: 1, createdAt: -1 });
+
+OrderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+// Get the role ('buyer' or 'seller') a user has on this order
+OrderSchema.methods.getRole = function(userId) {
+  const id = userId.toString();
+  const buyerId = (this.buyer._id || this.buyer).toString();
+  const sellerId = (this.seller._id || this.seller).toString();
+  if (id === buyerId) return 'buyer';
+  if (id === sellerId) return 'seller';
+  return null;
+};
+
+// Check whether a role may move the order to the given status
+OrderSchema.methods.canTransition = function(status, role) {
+  const allowedRoles = (STATUS_TRANSITIONS[this.status] || {})[status];
+  return Boolean(allowedRoles && allowedRoles.includes(role));
+};
+
+// Apply a status change and record it in the history
+OrderSchema.methods.setStatus = function(status, userId) {
+  this.status = status;
+  this.statusHistory.push({ status, changedBy: userId, changedAt: new Date() });
+};
+
+module.exports = mongoose.model('Order', OrderSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const PaymentSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  providerIntentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount must be a positive number']
+  },
+  currency: {
+    type: String,
+    default: 'usd'
+  },
+  status: {
+    type: String,
+    enum: ['requires_confirmation', 'succeeded', 'failed', 'refunded'],
+    default: 'requires_confirmation'
+  },
+  // What is being paid for
+  purpose: {
+    type: String,
+    enum: ['offer', 'cart', 'order'],
+    required: true
+  },
+  offer: {
+    type: Schema.Types.ObjectId,
+    ref: 'Offer'
+  },
+  orders: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  products: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  refunds: [{
+    providerRefundId: String,
+    amount: Number,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Provider events received for this payment, kept for reconciliation
+  events: [{
+    type: {
+      type: String
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+PaymentSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payment', PaymentSchema);
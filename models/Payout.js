@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const PayoutSchema = new Schema({
+  seller: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Payout amount must be at least 1']
+  },
+  currency: {
+    type: String,
+    default: 'usd'
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'paid', 'rejected'],
+    default: 'requested'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  },
+  reviewedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+PayoutSchema.index({ seller: 1, createdAt: -1 });
+PayoutSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Payout', PayoutSchema);
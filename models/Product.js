@@ -1,5 +1,46 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const shippingConfig = require('../config/shipping');
+const { getImageRenditions } = require('../utils/images');
+
+// Where a listing is, for local search. `point` is a GeoJSON point
+// ([longitude, latitude]) rounded to about 1 km (see utils/geo.js) and is
+// left out of JSON responses
+const LocationSchema = new Schema({
+  city: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  region: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  country: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  point: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  }
+}, {
+  _id: false,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.point;
+      return ret;
+    }
+  }
+});
 
 const ProductSchema = new Schema({
   title: {
@@ -23,6 +64,17 @@ const ProductSchema = new Schema({
     type: Number,
     min: [0, 'Original price must be a positive number']
   },
+  // Every price the product has had, oldest first
+  priceHistory: [{
+    price: {
+      type: Number,
+      required: true
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   category: {
     type: String,
     required: [true, 'Product category is required'],
@@ -75,13 +127,28 @@ const ProductSchema = new Schema({
     required: [true, 'Seller information is required']
   },
   location: {
-    type: String,
-    default: ''
+    type: LocationSchema,
+    default: () => ({})
   },
   isAvailable: {
     type: Boolean,
     default: true
   },
+  // Set while the product is held for the buyer of an accepted offer
+  reservedFor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reservedUntil: {
+    type: Date
+  },
+  // How long offers on this listing stay open before expiring
+  offerExpiryHours: {
+    type: Number,
+    default: 48,
+    min: [1, 'Offer expiry must be at least 1 hour'],
+    max: [336, 'Offer expiry cannot be more than 14 days']
+  },
   isFeatured: {
     type: Boolean,
     default: false
@@ -90,6 +157,15 @@ const ProductSchema = new Schema({
     type: Number,
     default: 0
   },
+  // Aggregated from product reviews (see models/Review.js)
+  ratingAverage: {
+    type: Number,
+    default: 0
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
   tags: [{
     type: String,
     trim: true
@@ -105,10 +181,16 @@ const ProductSchema = new Schema({
       type: Boolean,
       default: false
     },
+    // Flat shipping cost set by the seller; replaces the rate tables when set
     cost: {
       type: Number,
       default: 0
-    }
+    },
+    // Shipping methods the seller offers (see config/shipping.js)
+    methods: [{
+      type: String,
+      enum: Object.keys(shippingConfig.methods)
+    }]
   }
 }, {
   timestamps: true,
@@ -147,12 +229,44 @@ ProductSchema.index(
   }
 );
 
+// Indexes for cursor pagination by date and price, and a seller's listings
+ProductSchema.index({ createdAt: -1, _id: -1 });
+ProductSchema.index({ price: 1, _id: 1 });
+ProductSchema.index({ seller: 1, createdAt: -1, _id: -1 });
+
+// Index for searching listings near a point
+ProductSchema.index({ 'location.point': '2dsphere' });
+
+// Most price changes kept in `priceHistory`
+ProductSchema.statics.PRICE_HISTORY_LIMIT = 50;
+
+// Record the starting price and any price changed through save()
+ProductSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('price')) {
+    this.priceHistory.push({ price: this.price });
+    if (this.priceHistory.length > this.constructor.PRICE_HISTORY_LIMIT) {
+      this.priceHistory.splice(0, this.priceHistory.length - this.constructor.PRICE_HISTORY_LIMIT);
+    }
+  }
+  next();
+});
+
 // Virtual for discount percentage
 ProductSchema.virtual('discountPercentage').get(function() {
   if (!this.originalPrice) return 0;
   return Math.round(((this.originalPrice - this.price) / this.originalPrice) * 100);
 });
 
+// Virtuals for image renditions; list views use the first image's thumbnail
+ProductSchema.virtual('imageRenditions').get(function() {
+  return (this.images || []).map(getImageRenditions);
+});
+
+ProductSchema.virtual('thumbnail').get(function() {
+  const [firstImage] = this.images || [];
+  return firstImage ? getImageRenditions(firstImage).thumbnail : null;
+});
+
 // Virtual for reviews
 ProductSchema.virtual('reviews', {
   ref: 'Review',
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { getImageRenditions } = require('../utils/images');
 
 const ReviewSchema = new Schema({
   product: {
@@ -31,12 +32,66 @@ const ReviewSchema = new Schema({
   },
   images: [{
     type: String
-  }]
+  }],
+  // Users who found the review helpful
+  helpfulVotes: [{
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  helpfulCount: {
+    type: Number,
+    default: 0
+  }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Thumbnail, medium, full and WebP URLs for each photo
+ReviewSchema.virtual('imageRenditions').get(function() {
+  return (this.images || []).map(getImageRenditions);
 });
 
 // Prevent user from submitting more than one review per product
 ReviewSchema.index({ product: 1, user: 1 }, { unique: true });
 
+// Indexes for sorting a product's reviews
+ReviewSchema.index({ product: 1, helpfulCount: -1, createdAt: -1 });
+ReviewSchema.index({ product: 1, rating: -1, createdAt: -1 });
+
+// Recalculate the product's rating average and count
+ReviewSchema.statics.updateProductRating = async function(productId) {
+  const [result] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId) } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await mongoose.model('Product').findByIdAndUpdate(productId, {
+    $set: {
+      ratingAverage: result ? Math.round(result.average * 10) / 10 : 0,
+      ratingCount: result ? result.count : 0
+    }
+  });
+};
+
+// Set helpfulCount on reviews saved before it existed, so sorting and
+// cursor pagination by helpfulness include them
+ReviewSchema.statics.backfillHelpfulCounts = async function() {
+  const result = await this.updateMany(
+    { helpfulCount: { $exists: false } },
+    [{ $set: { helpfulCount: { $size: { $ifNull: ['$helpfulVotes', []] } } } }]
+  );
+  return result.modifiedCount;
+};
+
+// Keep the product's rating in sync when reviews are created, edited or deleted
+ReviewSchema.post('save', async function() {
+  await this.constructor.updateProductRating(this.product);
+});
+
+ReviewSchema.post('remove', async function() {
+  await this.constructor.updateProductRating(this.product);
+});
+
 module.exports = mongoose.model('Review', ReviewSchema); 
\ No newline at end of file
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Common words the text index ignores, so they never count as a match
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in',
+  'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+const SavedSearchSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please give the search a name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Same filters as GET /api/products; unset filters match everything
+  filters: {
+    category: {
+      type: String,
+      default: null
+    },
+    condition: {
+      type: String,
+      default: null
+    },
+    priceMin: {
+      type: Number,
+      default: null
+    },
+    priceMax: {
+      type: Number,
+      default: null
+    },
+    search: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  },
+  // Normalized words from `filters.search`, for matching new listings
+  keywords: [{
+    type: String
+  }],
+  alerts: {
+    inApp: {
+      type: Boolean,
+      default: true
+    },
+    emailDigest: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // New matches waiting for the next email digest
+  pendingMatches: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  lastMatchedAt: Date,
+  // When the user was last emailed a digest
+  lastDigestAt: Date
+}, {
+  timestamps: true
+});
+
+SavedSearchSchema.index({ user: 1, createdAt: -1 });
+// Narrows the searches a new listing can match (see utils/savedSearches.js)
+SavedSearchSchema.index({ 'filters.category': 1, 'filters.condition': 1, keywords: 1 });
+SavedSearchSchema.index({ 'alerts.emailDigest': 1, 'pendingMatches.0': 1 });
+
+// Reduce an English plural to its singular ('dresses' -> 'dress', 'boots' -> 'boot')
+const singularize = (word) => {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(ss|sh|ch|x|z)es$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+// Split text into lowercase singular words, dropping stop words
+SavedSearchSchema.statics.tokenize = function(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(singularize);
+
+  return [...new Set(words)];
+};
+
+SavedSearchSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('filters.search')) {
+    this.keywords = this.constructor.tokenize(this.filters.search);
+  }
+  next();
+});
+
+module.exports = mongoose.model('SavedSearch', SavedSearchSchema);
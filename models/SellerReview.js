@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Review of a seller by the buyer of a paid-for offer, one per transaction.
+ * Product reviews (models/Review.js) are kept separately.
+ */
+const SellerReviewSchema = new Schema({
+  offer: {
+    type: Schema.Types.ObjectId,
+    ref: 'Offer',
+    required: true
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  seller: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  buyer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Please add a rating between 1 and 5'],
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot be more than 1000 characters']
+  },
+  // The seller can reply once
+  reply: {
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reply cannot be more than 1000 characters']
+    },
+    createdAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One review per transaction
+SellerReviewSchema.index({ offer: 1 }, { unique: true });
+SellerReviewSchema.index({ seller: 1, createdAt: -1 });
+
+// Recalculate the seller's rating average, count and distribution
+SellerReviewSchema.statics.updateSellerRating = async function(sellerId) {
+  const results = await this.aggregate([
+    { $match: { seller: new mongoose.Types.ObjectId(sellerId) } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let sum = 0;
+  results.forEach(result => {
+    distribution[result._id] = result.count;
+    count += result.count;
+    sum += result._id * result.count;
+  });
+
+  await mongoose.model('User').findByIdAndUpdate(sellerId, {
+    $set: {
+      sellerRating: {
+        average: count > 0 ? Math.round((sum / count) * 10) / 10 : 0,
+        count,
+        distribution
+      }
+    }
+  });
+};
+
+SellerReviewSchema.post('save', async function() {
+  await this.constructor.updateSellerRating(this.seller);
+});
+
+module.exports = mongoose.model('SellerReview', SellerReviewSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const SHIPMENT_STATUSES = ['label_created', 'in_transit', 'out_for_delivery', 'delivered', 'exception'];
+
+const ShipmentSchema = new Schema({
+  // A shipment belongs to an accepted offer, an order, or both
+  offer: {
+    type: Schema.Types.ObjectId,
+    ref: 'Offer'
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  buyer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  carrier: {
+    type: String,
+    required: [true, 'Carrier is required'],
+    trim: true,
+    lowercase: true
+  },
+  trackingNumber: {
+    type: String,
+    required: [true, 'Tracking number is required'],
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    default: 'label_created'
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: SHIPMENT_STATUSES
+    },
+    description: String,
+    location: String,
+    // Who reported the status
+    source: {
+      type: String,
+      enum: ['seller', 'carrier'],
+      default: 'seller'
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  shippedAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: {
+    type: Date
+  },
+  // Delivery is confirmed by the buyer, or automatically after a grace period
+  deliveryConfirmedAt: {
+    type: Date
+  },
+  confirmedBy: {
+    type: String,
+    enum: ['buyer', 'auto']
+  },
+  autoConfirmAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Only one shipment per offer or order
+ShipmentSchema.index({ offer: 1 }, { unique: true, sparse: true });
+ShipmentSchema.index({ order: 1 }, { unique: true, sparse: true });
+ShipmentSchema.index({ buyer: 1, createdAt: -1 });
+ShipmentSchema.index({ seller: 1, createdAt: -1 });
+ShipmentSchema.index({ deliveryConfirmedAt: 1, autoConfirmAt: 1 });
+
+// Get the role ('buyer' or 'seller') a user has on this shipment
+ShipmentSchema.methods.getRole = function(userId) {
+  const id = userId.toString();
+  if (id === (this.buyer._id || this.buyer).toString()) return 'buyer';
+  if (id === (this.seller._id || this.seller).toString()) return 'seller';
+  return null;
+};
+
+// Record a status change
+ShipmentSchema.methods.addStatus = function(status, details = {}) {
+  this.statusHistory.push({ status, ...details });
+  this.status = status;
+
+  if (status === 'delivered' && !this.deliveredAt) {
+    this.deliveredAt = details.occurredAt || new Date();
+  }
+};
+
+ShipmentSchema.statics.STATUSES = SHIPMENT_STATUSES;
+
+module.exports = mongoose.model('Shipment', ShipmentSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
+const { categories: emailCategories } = require('../config/email');
 const Schema = mongoose.Schema;
+const { getImageRenditions } = require('../utils/images');
 
 const UserSchema = new Schema({
   firebaseUid: {
@@ -32,7 +34,13 @@ const UserSchema = new Schema({
     city: { type: String, default: '' },
     state: { type: String, default: '' },
     zipCode: { type: String, default: '' },
-    country: { type: String, default: '' }
+    country: { type: String, default: '' },
+    // Coarse GeoJSON point for the city, set from the local geocoding table
+    // (see utils/geo.js) and left out of JSON responses
+    point: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }
+    }
   },
   role: {
     type: String,
@@ -43,6 +51,25 @@ const UserSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'Product'
   }],
+  // Only notify price drops to or below these prices, by favorite product ID
+  favoriteTargetPrices: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  // Products the user opened most recently, newest first (see utils/feed.js)
+  recentlyViewed: [{
+    _id: false,
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    viewedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   cart: [{
     product: {
       type: Schema.Types.ObjectId,
@@ -60,6 +87,41 @@ const UserSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'Product'
   }],
+  // Aggregated from seller reviews (see models/SellerReview.js)
+  sellerRating: {
+    average: {
+      type: Number,
+      default: 0
+    },
+    count: {
+      type: Number,
+      default: 0
+    },
+    // Number of reviews per star rating, keyed '1' to '5'
+    distribution: {
+      type: Map,
+      of: Number,
+      default: {}
+    }
+  },
+  // In-app notification switches by type (see config/notifications.js);
+  // types without an entry are on
+  notificationPreferences: {
+    type: Map,
+    of: Boolean,
+    default: {}
+  },
+  // Email categories the user unsubscribed from (see config/email.js), or 'all'
+  emailUnsubscribed: [{
+    type: String,
+    enum: [...Object.keys(emailCategories), 'all']
+  }],
+  // Held while a payout request checks and withdraws the seller's balance
+  // (see utils/ledger.js); expires in case the request never finishes
+  payoutLockedUntil: {
+    type: Date,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -69,14 +131,30 @@ const UserSchema = new Schema({
     default: Date.now
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      if (ret.address) delete ret.address.point;
+      // Only this virtual is serialized; the others stay server-side
+      if (ret.profilePicture) ret.profilePictureRenditions = doc.profilePictureRenditions;
+      return ret;
+    }
+  }
 });
 
+// Find the users who saved a product
+UserSchema.index({ favorites: 1 });
+
 // Virtual for user's full name
 UserSchema.virtual('fullName').get(function() {
   return this.name;
 });
 
+// Thumbnail, medium, full and WebP URLs for the profile picture
+UserSchema.virtual('profilePictureRenditions').get(function() {
+  return getImageRenditions(this.profilePicture);
+});
+
 // Cart total calculation
 UserSchema.methods.getCartTotal = function() {
   return this.cart.reduce((total, item) => {
@@ -94,6 +172,7 @@ UserSchema.methods.addToFavorites = function(productId) {
 
 UserSchema.methods.removeFromFavorites = function(productId) {
   this.favorites = this.favorites.filter(id => id.toString() !== productId.toString());
+  this.favoriteTargetPrices.delete(productId.toString());
   return this.save();
 };
 
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const conversationController = require('../controllers/conversation.controller');
+const { verifyToken } = require('../middleware/auth');
+const { multiUpload } = require('../middleware/upload');
+
+// Start a conversation about a listing or offer, with an optional first message
+router.post('/', verifyToken, multiUpload, conversationController.startConversation);
+
+// Conversations for the current user
+router.get('/', verifyToken, conversationController.getConversations);
+router.get('/unread-count', verifyToken, conversationController.getUnreadCount);
+
+// Messages in a conversation with optional photos
+router.get('/:id/messages', verifyToken, conversationController.getMessages);
+router.post('/:id/messages', verifyToken, multiUpload, conversationController.addMessage);
+router.put('/:id/read', verifyToken, conversationController.markAsRead);
+
+module.exports = router;
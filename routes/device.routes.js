@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const deviceController = require('../controllers/device.controller');
+const { verifyToken } = require('../middleware/auth');
+
+// Push notification devices for the current user
+router.get('/', verifyToken, deviceController.getDevices);
+router.post('/', verifyToken, deviceController.registerDevice);
+router.delete('/:token', verifyToken, deviceController.unregisterDevice);
+
+module.exports = router;
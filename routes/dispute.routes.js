@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const disputeController = require('../controllers/dispute.controller');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { multiUpload } = require('../middleware/upload');
+
+// Admin routes (verify token first, then check admin role)
+router.get('/admin', verifyToken, isAdmin, disputeController.getAllDisputes);
+router.put('/:id/resolve', verifyToken, isAdmin, disputeController.resolveDispute);
+
+// Open a dispute with evidence photos
+router.post('/', verifyToken, multiUpload, disputeController.openDispute);
+
+// Disputes for the current user
+router.get('/', verifyToken, disputeController.getDisputes);
+router.get('/:id', verifyToken, disputeController.getDisputeById);
+
+// Dispute messages with optional photos
+router.post('/:id/messages', verifyToken, multiUpload, disputeController.addMessage);
+
+module.exports = router;
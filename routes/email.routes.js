@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const emailController = require('../controllers/email.controller');
+
+// Signed unsubscribe links (public, so they work from any mail client)
+router.get('/unsubscribe', emailController.unsubscribe);
+router.post('/unsubscribe', emailController.unsubscribe);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/event.controller');
+const { verifyStreamToken } = require('../middleware/auth');
+
+// Real-time event stream for the current user
+router.get('/', verifyStreamToken, eventController.streamEvents);
+
+module.exports = router;
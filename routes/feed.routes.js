@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const feedController = require('../controllers/feed.controller');
+const { optionalAuth } = require('../middleware/auth');
+
+// Home feed, personalized when signed in
+router.get('/', optionalAuth, feedController.getFeed);
+
+module.exports = router;
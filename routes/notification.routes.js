@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notification.controller');
+const { verifyToken } = require('../middleware/auth');
+
+// Notifications for the current user
+router.get('/', verifyToken, notificationController.getNotifications);
+router.get('/unread-count', verifyToken, notificationController.getUnreadCount);
+router.get('/preferences', verifyToken, notificationController.getPreferences);
+
+// Mark as read
+router.put('/read-all', verifyToken, notificationController.markAllAsRead);
+router.put('/:id/read', verifyToken, notificationController.markAsRead);
+
+module.exports = router;
@@ -6,10 +6,13 @@ const { verifyToken } = require('../middleware/auth');
 // Get offer by ID
 router.get('/:offerId', verifyToken, offerController.getOfferById);
 
-// Respond to an offer (accept, reject, or counter)
+// Respond to an offer (accept, reject, or counter) when it is your turn
 router.put('/:offerId', verifyToken, offerController.respondToOffer);
 
-// Respond to a counter offer (accept or reject)
-router.put('/:offerId/counter-response', verifyToken, offerController.respondToCounterOffer);
+// Kept for existing clients, same turn-based handler as above
+router.put('/:offerId/counter-response', verifyToken, offerController.respondToOffer);
+
+// Buy the product at the accepted offer price
+router.post('/:offerId/purchase', verifyToken, offerController.purchaseOffer);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const orderController = require('../controllers/order.controller');
+const { verifyToken } = require('../middleware/auth');
+
+// Get orders for the current user (as buyer or seller)
+router.get('/', verifyToken, orderController.getOrders);
+
+// Get order by ID
+router.get('/:id', verifyToken, orderController.getOrderById);
+
+// Update order status
+router.put('/:id/status', verifyToken, orderController.updateOrderStatus);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/payment.controller');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+
+// Provider webhook (public, verified by signature)
+router.post('/webhook', paymentController.handleWebhook);
+
+// Start a payment
+router.post('/cart', verifyToken, paymentController.payForCart);
+router.post('/offers/:offerId', verifyToken, paymentController.payForOffer);
+router.post('/orders/:orderId', verifyToken, paymentController.payForOrder);
+
+// Get payment by ID
+router.get('/:id', verifyToken, paymentController.getPaymentById);
+
+// Confirm a payment
+router.post('/:id/confirm', verifyToken, paymentController.confirmPayment);
+
+// Refund a payment (admin only)
+router.post('/:id/refund', verifyToken, isAdmin, paymentController.refundPayment);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const payoutController = require('../controllers/payout.controller');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+
+// Seller balance and ledger
+router.get('/balance', verifyToken, payoutController.getBalance);
+router.get('/ledger', verifyToken, payoutController.getLedger);
+
+// Seller payout requests
+router.get('/', verifyToken, payoutController.getPayouts);
+router.post('/', verifyToken, payoutController.requestPayout);
+
+// Admin routes (verify token first, then check admin role)
+router.get('/admin', verifyToken, isAdmin, payoutController.getAllPayouts);
+router.put('/:id', verifyToken, isAdmin, payoutController.updatePayoutStatus);
+
+module.exports = router;
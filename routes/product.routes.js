@@ -2,15 +2,17 @@ const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/product.controller');
 const offerController = require('../controllers/offer.controller');
-const { verifyToken, isAdmin } = require('../middleware/auth');
+const { verifyToken, optionalAuth, isAdmin } = require('../middleware/auth');
 const uploadMiddleware = require('../middleware/upload');
 
 // Public routes
-router.get('/', productController.getProducts);
+router.get('/', optionalAuth, productController.getProducts);
 router.get('/search', productController.searchProducts);
+router.get('/suggest', productController.suggestProducts);
+router.get('/faceted', optionalAuth, productController.getFacetedProducts);
 router.get('/categories', productController.getCategories);
-router.get('/:id', productController.getProductById);
-router.get('/:id/related', productController.getRelatedProducts);
+router.get('/:id', optionalAuth, productController.getProductById);
+router.get('/:id/related', optionalAuth, productController.getRelatedProducts);
 router.get('/:id/reviews', productController.getProductReviews);
 
 // Protected routes
@@ -21,8 +23,12 @@ router.post('/', uploadMiddleware.multiUpload, productController.createProduct);
 router.put('/:id', uploadMiddleware.multiUpload, productController.updateProduct);
 router.delete('/:id', productController.deleteProduct);
 
-// Review operations
-router.post('/:id/reviews', productController.addReview);
+// Review operations (with optional photo uploads)
+router.post('/:id/reviews', uploadMiddleware.multiUpload, productController.addReview);
+router.put('/:id/reviews/:reviewId', uploadMiddleware.multiUpload, productController.updateReview);
+router.delete('/:id/reviews/:reviewId', productController.deleteReview);
+router.post('/:id/reviews/:reviewId/helpful', productController.voteReviewHelpful);
+router.delete('/:id/reviews/:reviewId/helpful', productController.removeReviewHelpfulVote);
 
 // Image analysis
 router.post('/analyze-image', uploadMiddleware.multiUpload, productController.analyzeProductImage);
@@ -37,7 +43,7 @@ router.get('/:productId/offers', offerController.getProductOffers);
 router.put('/offers/:offerId', verifyToken, offerController.respondToOffer);
 
 // Respond to a counter offer
-router.put('/offers/:offerId/counter-response', verifyToken, offerController.respondToCounterOffer);
+router.put('/offers/:offerId/counter-response', verifyToken, offerController.respondToOffer);
 
 // Get offer by ID
 router.get('/offers/:offerId', verifyToken, offerController.getOfferById);
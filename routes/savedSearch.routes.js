@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const savedSearchController = require('../controllers/savedSearch.controller');
+const { verifyToken } = require('../middleware/auth');
+
+// Saved searches for the current user
+router.get('/', verifyToken, savedSearchController.getSavedSearches);
+router.post('/', verifyToken, savedSearchController.createSavedSearch);
+router.delete('/:id', verifyToken, savedSearchController.deleteSavedSearch);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const sellerReviewController = require('../controllers/sellerReview.controller');
+const { verifyToken } = require('../middleware/auth');
+
+// Public seller rating summary and reviews
+router.get('/seller/:sellerId', sellerReviewController.getSellerReviews);
+
+// Review the seller of an accepted offer
+router.post('/', verifyToken, sellerReviewController.addSellerReview);
+
+// Seller reply
+router.post('/:id/reply', verifyToken, sellerReviewController.replyToSellerReview);
+
+module.exports = router;
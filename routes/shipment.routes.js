@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const shipmentController = require('../controllers/shipment.controller');
+const { verifyToken } = require('../middleware/auth');
+
+// Shipments for the current user (as buyer or seller)
+router.get('/', verifyToken, shipmentController.getShipments);
+
+// Add tracking for an accepted offer or paid order
+router.post('/', verifyToken, shipmentController.createShipment);
+
+// Get shipment by ID
+router.get('/:id', verifyToken, shipmentController.getShipmentById);
+
+// Tracking updates
+router.post('/:id/refresh', verifyToken, shipmentController.refreshShipment);
+router.put('/:id/status', verifyToken, shipmentController.updateShipmentStatus);
+
+// Buyer confirms delivery
+router.post('/:id/confirm-delivery', verifyToken, shipmentController.confirmDelivery);
+
+module.exports = router;
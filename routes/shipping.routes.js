@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const shippingController = require('../controllers/shipping.controller');
+const { verifyToken, optionalAuth } = require('../middleware/auth');
+
+// Shipping methods sellers can offer
+router.get('/methods', shippingController.getMethods);
+
+// Shipping quotes
+router.get('/products/:productId', optionalAuth, shippingController.quoteProduct);
+router.get('/cart', verifyToken, shippingController.quoteCart);
+
+module.exports = router;
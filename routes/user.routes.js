@@ -15,9 +15,11 @@ router.put('/me', verifyToken, singleUpload, userController.updateProfile);
 router.get('/favorites', verifyToken, userController.getFavorites);
 router.post('/favorites/:productId', verifyToken, userController.addToFavorites);
 router.delete('/favorites/:productId', verifyToken, userController.removeFromFavorites);
+router.put('/favorites/:productId/target-price', verifyToken, userController.setFavoriteTargetPrice);
 
 // Cart
 router.get('/cart', verifyToken, userController.getCart);
+router.post('/cart/checkout', verifyToken, userController.checkout);
 router.post('/cart/:productId', verifyToken, userController.addToCart);
 router.put('/cart/:productId', verifyToken, userController.updateCartItem);
 router.delete('/cart/:productId', verifyToken, userController.removeFromCart);
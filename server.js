@@ -1,15 +1,38 @@
+// Load environment variables before any module reads them
+const dotenv = require('dotenv');
+dotenv.config();
+
 const express = require('express');
 const cors = require('cors');
-const dotenv = require('dotenv');
 const path = require('path');
-const morgan = require('morgan');
-const fs = require('fs');
 const { initializeFirebaseAdmin } = require('./config/firebase');
 const connectDB = require('./config/db');
+const Review = require('./models/Review');
 const errorHandler = require('./middleware/errorHandler');
-
-// Load environment variables
-dotenv.config();
+const { requestLogger } = require('./middleware/requestLogger');
+const { scheduleJob, stopJob } = require('./utils/scheduler');
+const { releaseExpiredReservations } = require('./utils/reservations');
+const { expireOverdueOffers } = require('./utils/offerExpiry');
+const { autoConfirmDeliveries, refreshOpenShipments } = require('./utils/shipments');
+const { sendSavedSearchDigests } = require('./utils/savedSearches');
+const { convertLegacyLocations } = require('./utils/geo');
+const { cancelUnpaidOrders } = require('./utils/orders');
+const { checkPaymentConfig } = require('./utils/payments');
+const { checkEmailConfig } = require('./utils/email');
+
+// Refuse to start production with development defaults. With NODE_ENV=production
+// these must be set:
+//   PAYMENT_PROVIDER              payment provider name, e.g. 'mock'
+//   MOCK_PAYMENT_WEBHOOK_SECRET   webhook signing secret, for the mock provider
+//   EMAIL_TRANSPORT               'file' or 'smtp' (with the SMTP_* settings)
+//   EMAIL_UNSUBSCRIBE_SECRET      signs the unsubscribe links in emails
+try {
+  checkPaymentConfig();
+  checkEmailConfig();
+} catch (error) {
+  console.error('Configuration error:', error.message);
+  process.exit(1);
+}
 
 // Initialize Express app
 const app = express();
@@ -20,32 +43,46 @@ initializeFirebaseAdmin();
 // Connect to MongoDB
 connectDB();
 
+// Background jobs
+// Put products back on sale when an accepted offer is not purchased in time
+scheduleJob('release-expired-reservations', releaseExpiredReservations, 60 * 1000);
+// Move open offers past their expiry date to expired
+scheduleJob('expire-overdue-offers', expireOverdueOffers, 60 * 1000);
+// Cancel orders that were never paid for and put their items back on sale
+scheduleJob('cancel-unpaid-orders', cancelUnpaidOrders, 60 * 60 * 1000);
+// Pull carrier tracking updates and auto-confirm deliveries the buyer never confirmed
+scheduleJob('refresh-open-shipments', refreshOpenShipments, 60 * 60 * 1000);
+scheduleJob('auto-confirm-deliveries', autoConfirmDeliveries, 60 * 60 * 1000);
+// Email new matches for saved searches, at most once a day per user
+scheduleJob('send-saved-search-digests', sendSavedSearchDigests, 60 * 60 * 1000);
+// Convert listings saved with a plain-text location, stopping once none are left
+scheduleJob('convert-legacy-locations', async () => {
+  if (await convertLegacyLocations() === 0) {
+    stopJob('convert-legacy-locations');
+  }
+}, 60 * 1000);
+// Give reviews saved before helpful votes a helpfulCount, once
+scheduleJob('backfill-review-helpful-counts', async () => {
+  await Review.backfillHelpfulCounts();
+  stopJob('backfill-review-helpful-counts');
+}, 60 * 1000);
+
 // Middleware
 app.use(cors({
   origin: ['https://gloupwebapp.vercel.app', 'http://localhost:5173'],
   credentials: true
 }));
 
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body so payment webhooks can verify their signature
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Logging middleware
-if (process.env.NODE_ENV === 'development') {
-  app.use(morgan('dev'));
-} else {
-  // Create a log directory if it doesn't exist
-  const logDir = path.join(__dirname, 'logs');
-  if (!fs.existsSync(logDir)) {
-    fs.mkdirSync(logDir);
-  }
-
-  // Create a write stream for access logs
-  const accessLogStream = fs.createWriteStream(
-    path.join(logDir, 'access.log'),
-    { flags: 'a' }
-  );
-  app.use(morgan('combined', { stream: accessLogStream }));
-}
+app.use(requestLogger());
 
 // Set static folder for uploads
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
@@ -55,12 +92,40 @@ const authRoutes = require('./routes/auth.routes');
 const userRoutes = require('./routes/user.routes');
 const productRoutes = require('./routes/product.routes');
 const offerRoutes = require('./routes/offer.routes');
+const orderRoutes = require('./routes/order.routes');
+const paymentRoutes = require('./routes/payment.routes');
+const payoutRoutes = require('./routes/payout.routes');
+const shippingRoutes = require('./routes/shipping.routes');
+const shipmentRoutes = require('./routes/shipment.routes');
+const disputeRoutes = require('./routes/dispute.routes');
+const sellerReviewRoutes = require('./routes/sellerReview.routes');
+const conversationRoutes = require('./routes/conversation.routes');
+const eventRoutes = require('./routes/event.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const emailRoutes = require('./routes/email.routes');
+const deviceRoutes = require('./routes/device.routes');
+const savedSearchRoutes = require('./routes/savedSearch.routes');
+const feedRoutes = require('./routes/feed.routes');
 
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/offers', offerRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/shipments', shipmentRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/seller-reviews', sellerReviewRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/email', emailRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/feed', feedRoutes);
 
 // Health check route
 app.get('/health', (req, res) => {
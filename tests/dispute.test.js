@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const Dispute = require('../models/Dispute');
+const Offer = require('../models/Offer');
+const LedgerEntry = require('../models/LedgerEntry');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Product = require('../models/Product');
+const mockProvider = require('../utils/payments/mockProvider');
+const { removeImage } = require('../utils/images');
+const { openDispute, addMessage, resolveDispute } = require('../controllers/dispute.controller');
+const { mockQuery, mockResponse } = require('./helpers');
+
+jest.mock('../utils/images', () => ({
+  ...jest.requireActual('../utils/images'),
+  removeImage: jest.fn()
+}));
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const makeOrder = (total) => new Order({
+  buyer: newId(),
+  seller: newId(),
+  items: [{ product: newId(), title: 'Jacket', price: total, quantity: 1 }],
+  subtotal: total,
+  total,
+  status: 'paid'
+});
+
+describe('resolveDispute', () => {
+  let disputedOrder;
+  let otherOrder;
+  let payment;
+  let dispute;
+  let refundedForOrder;
+
+  const resolve = async (body) => {
+    const res = mockResponse();
+    await resolveDispute({ params: { id: dispute._id.toString() }, body, dbUser: { _id: newId() } }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    disputedOrder = makeOrder(40);
+    otherOrder = makeOrder(60);
+    payment = new Payment({
+      user: disputedOrder.buyer,
+      provider: 'mock',
+      providerIntentId: 'mock_pi_test',
+      amount: 100,
+      status: 'succeeded',
+      purpose: 'cart',
+      orders: [disputedOrder._id, otherOrder._id]
+    });
+    dispute = new Dispute({
+      offer: newId(),
+      order: disputedOrder._id,
+      product: newId(),
+      buyer: disputedOrder.buyer,
+      seller: disputedOrder.seller,
+      reason: 'not_as_described',
+      description: 'Torn sleeve'
+    });
+    refundedForOrder = 0;
+
+    const orders = [disputedOrder, otherOrder];
+    jest.spyOn(Dispute, 'findById').mockResolvedValue(dispute);
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+    jest.spyOn(Order, 'findById').mockResolvedValue(disputedOrder);
+    jest.spyOn(Order, 'find').mockImplementation(({ _id }) => mockQuery(
+      orders.filter(order => _id.$in.some(id => id.toString() === order._id.toString()))
+    ));
+    jest.spyOn(LedgerEntry, 'aggregate').mockImplementation(async () =>
+      refundedForOrder ? [{ _id: null, amount: -refundedForOrder }] : []
+    );
+    jest.spyOn(LedgerEntry, 'insertMany').mockResolvedValue([]);
+    jest.spyOn(Product, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Dispute.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Payment.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Order.prototype, 'save').mockResolvedValue();
+    jest.spyOn(mockProvider, 'refund').mockImplementation(async (intentId, amount) => ({
+      id: 'mock_re_test', amount, status: 'succeeded'
+    }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refunds only the disputed order in a cart payment', async () => {
+    const res = await resolve({ outcome: 'refund' });
+
+    expect(res.statusCode).toBe(200);
+    expect(mockProvider.refund).toHaveBeenCalledWith('mock_pi_test', 40);
+    expect(dispute.resolution.amount).toBe(40);
+    expect(payment.status).toBe('succeeded');
+
+    const entries = LedgerEntry.insertMany.mock.calls[0][0];
+    expect(entries.every(entry => entry.order.equals(disputedOrder._id))).toBe(true);
+    expect(entries.find(entry => entry.type === 'refund').amount).toBe(-40);
+  });
+
+  it('subtracts earlier refunds for the order', async () => {
+    refundedForOrder = 15;
+
+    const res = await resolve({ outcome: 'refund' });
+
+    expect(res.statusCode).toBe(200);
+    expect(mockProvider.refund).toHaveBeenCalledWith('mock_pi_test', 25);
+  });
+
+  it('cancels the order and releases its item once fully refunded', async () => {
+    LedgerEntry.insertMany.mockImplementation(async () => {
+      refundedForOrder = 40;
+    });
+
+    await resolve({ outcome: 'refund' });
+
+    expect(disputedOrder.status).toBe('cancelled');
+    expect(otherOrder.status).toBe('paid');
+    expect(Product.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [disputedOrder.items[0].product] } },
+      { $set: { isAvailable: true } }
+    );
+  });
+
+  it('rejects partial refunds larger than the order', async () => {
+    const res = await resolve({ outcome: 'partial_refund', amount: 50 });
+
+    expect(res.statusCode).toBe(400);
+    expect(mockProvider.refund).not.toHaveBeenCalled();
+  });
+
+  it('rejects refunds for an order that was already refunded', async () => {
+    refundedForOrder = 40;
+
+    const res = await resolve({ outcome: 'refund' });
+
+    expect(res.statusCode).toBe(400);
+    expect(mockProvider.refund).not.toHaveBeenCalled();
+  });
+});
+
+describe('dispute evidence uploads', () => {
+  const files = [{ filename: 'evidence-1-full.jpg' }, { filename: 'evidence-2-full.jpg' }];
+  const urls = ['/uploads/evidence-1-full.jpg', '/uploads/evidence-2-full.jpg'];
+
+  beforeEach(() => {
+    removeImage.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('deletes the uploaded evidence when a dispute cannot be opened', async () => {
+    const offer = new Offer({ product: newId(), buyer: newId(), seller: newId(), amount: 40, status: 'pending' });
+    jest.spyOn(Offer, 'findById').mockResolvedValue(offer);
+
+    const res = mockResponse();
+    await openDispute({ body: { offerId: offer._id.toString() }, files, dbUser: { _id: offer.buyer } }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(removeImage.mock.calls.map(([url]) => url)).toEqual(urls);
+  });
+
+  it('keeps the uploaded evidence once the dispute is saved', async () => {
+    const offer = new Offer({ product: newId(), buyer: newId(), seller: newId(), amount: 40, status: 'accepted' });
+    jest.spyOn(Offer, 'findById').mockResolvedValue(offer);
+    jest.spyOn(Dispute, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Dispute.prototype, 'save').mockResolvedValue();
+
+    const res = mockResponse();
+    await openDispute({
+      body: { offerId: offer._id.toString(), reason: 'not_as_described', description: 'Torn sleeve' },
+      files,
+      dbUser: { _id: offer.buyer }
+    }, res);
+
+    expect(res.statusCode).toBe(201);
+    expect(removeImage).not.toHaveBeenCalled();
+  });
+
+  it('deletes the uploaded photos when a message is refused', async () => {
+    const dispute = new Dispute({
+      offer: newId(),
+      product: newId(),
+      buyer: newId(),
+      seller: newId(),
+      reason: 'not_as_described',
+      description: 'Torn sleeve'
+    });
+    jest.spyOn(Dispute, 'findById').mockResolvedValue(dispute);
+
+    const res = mockResponse();
+    await addMessage({ params: { id: dispute._id.toString() }, body: {}, files, dbUser: { _id: newId() } }, res);
+
+    expect(res.statusCode).toBe(403);
+    expect(removeImage.mock.calls.map(([url]) => url)).toEqual(urls);
+  });
+});
@@ -0,0 +1,47 @@
+const { checkEmailConfig, getUnsubscribeToken, verifyUnsubscribeToken } = require('../utils/email');
+
+describe('checkEmailConfig', () => {
+  const env = process.env;
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  const check = (overrides) => {
+    process.env = { ...env, ...overrides };
+    return checkEmailConfig;
+  };
+
+  it('allows the development defaults in development', () => {
+    expect(check({ NODE_ENV: 'development', EMAIL_TRANSPORT: '', EMAIL_UNSUBSCRIBE_SECRET: '' })).not.toThrow();
+  });
+
+  it('allows the development defaults when NODE_ENV is not set', () => {
+    expect(check({ NODE_ENV: undefined, EMAIL_TRANSPORT: '', EMAIL_UNSUBSCRIBE_SECRET: '' })).not.toThrow();
+  });
+
+  it('requires a delivering transport in production', () => {
+    expect(check({ NODE_ENV: 'production', EMAIL_TRANSPORT: '', EMAIL_UNSUBSCRIBE_SECRET: 'secret' }))
+      .toThrow('EMAIL_TRANSPORT');
+    expect(check({ NODE_ENV: 'production', EMAIL_TRANSPORT: 'memory', EMAIL_UNSUBSCRIBE_SECRET: 'secret' }))
+      .toThrow('EMAIL_TRANSPORT');
+  });
+
+  it('requires the unsubscribe secret in production', () => {
+    expect(check({ NODE_ENV: 'production', EMAIL_TRANSPORT: 'smtp', EMAIL_UNSUBSCRIBE_SECRET: '' }))
+      .toThrow('EMAIL_UNSUBSCRIBE_SECRET');
+    expect(check({ NODE_ENV: 'production', EMAIL_TRANSPORT: 'smtp', EMAIL_UNSUBSCRIBE_SECRET: 'secret' }))
+      .not.toThrow();
+  });
+});
+
+describe('unsubscribe tokens', () => {
+  it('only verify for the user and category they were made for', () => {
+    const token = getUnsubscribeToken('user-1', 'offers');
+
+    expect(verifyUnsubscribeToken('user-1', 'offers', token)).toBe(true);
+    expect(verifyUnsubscribeToken('user-1', 'all', token)).toBe(false);
+    expect(verifyUnsubscribeToken('user-2', 'offers', token)).toBe(false);
+    expect(verifyUnsubscribeToken('user-1', 'offers', undefined)).toBe(false);
+  });
+});
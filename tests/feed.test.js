@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const config = require('../config/feed');
+const { getFeed } = require('../utils/feed');
+const { mockQuery } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// [lng, lat]: Leeds, a few km outside Leeds, and London (well outside the nearby radius)
+const LEEDS = [-1.55, 53.8];
+const NEAR_LEEDS = [-1.6, 53.82];
+const LONDON = [-0.13, 51.51];
+
+const makeProduct = (overrides = {}) => new Product({
+  title: 'Jacket',
+  description: 'Denim jacket',
+  price: 40,
+  category: 'Jackets',
+  condition: 'Good',
+  images: ['/uploads/jacket.jpg'],
+  seller: new mongoose.Types.ObjectId(),
+  createdAt: new Date(Date.now() - 10 * DAY_MS),
+  ...overrides
+});
+
+const at = (coordinates) => ({ city: 'Somewhere', point: { type: 'Point', coordinates } });
+
+describe('getFeed', () => {
+  let products;
+
+  beforeEach(() => {
+    products = [];
+    jest.spyOn(Product, 'find').mockImplementation(() => mockQuery(products));
+    jest.spyOn(Product, 'populate').mockImplementation(async (docs) => docs);
+    jest.spyOn(Order, 'find').mockReturnValue(mockQuery([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('searches near a geocoded address within the nearby radius', async () => {
+    const user = new User({
+      name: 'Sam',
+      email: 'sam@example.com',
+      firebaseUid: 'uid-sam',
+      address: { city: 'Leeds', country: 'GB', point: { type: 'Point', coordinates: LEEDS } }
+    });
+
+    await getFeed(user);
+
+    const nearFilter = Product.find.mock.calls
+      .map(([filter]) => filter['location.point'])
+      .find(Boolean);
+    const [center, radius] = nearFilter.$geoWithin.$centerSphere;
+    expect(center).toEqual(LEEDS);
+    expect(Number.isFinite(radius)).toBe(true);
+    expect(radius).toBeCloseTo(config.nearbyRadiusKm / 6378.1);
+  });
+
+  it('ranks listings near the user first and explains why', async () => {
+    const near = makeProduct({ title: 'Near', location: at(NEAR_LEEDS) });
+    const far = makeProduct({ title: 'Far', location: at(LONDON) });
+    products = [far, near];
+    const user = new User({
+      name: 'Sam',
+      email: 'sam@example.com',
+      firebaseUid: 'uid-sam',
+      address: { city: 'Leeds', country: 'GB' }
+    });
+
+    const feed = await getFeed(user);
+
+    expect(feed.products.map(product => product.title)).toEqual(['Near', 'Far']);
+    expect(feed.products[0].reasons).toContainEqual({ type: 'nearby', label: 'Near you' });
+    expect(feed.products[1].reasons).not.toContainEqual(expect.objectContaining({ type: 'nearby' }));
+  });
+
+  it('ranks by taste once the user has history', async () => {
+    const liked = makeProduct({ brand: 'Levi\'s', size: 'M' });
+    const match = makeProduct({ title: 'Match', brand: 'levi\'s', size: 'M' });
+    const other = makeProduct({ title: 'Other', brand: 'Gap', size: 'XL', price: 400 });
+    products = [other, match];
+    Product.find.mockImplementation((filter) => mockQuery(filter._id && filter._id.$in ? [liked] : products));
+    const user = new User({ name: 'Sam', email: 'sam@example.com', firebaseUid: 'uid-sam', favorites: [liked._id] });
+
+    const feed = await getFeed(user);
+
+    expect(feed.personalized).toBe(true);
+    expect(feed.products[0].title).toBe('Match');
+    expect(feed.products[0].reasons.map(reason => reason.type)).toEqual(
+      expect.arrayContaining(['brand', 'size', 'price'])
+    );
+  });
+
+  it('falls back to fresh and popular listings for anonymous users', async () => {
+    const popular = makeProduct({ title: 'Popular', views: 500 });
+    const fresh = makeProduct({ title: 'Fresh', createdAt: new Date() });
+    const stale = makeProduct({ title: 'Stale', createdAt: new Date(Date.now() - 60 * DAY_MS) });
+    products = [stale, popular, fresh];
+
+    const feed = await getFeed(null);
+
+    expect(feed.personalized).toBe(false);
+    expect(feed.products.map(product => product.title)).toEqual(['Popular', 'Fresh', 'Stale']);
+    expect(feed.products[1].reasons).toContainEqual({ type: 'new', label: 'Just listed' });
+    expect(Product.find.mock.calls.some(([filter]) => filter['location.point'])).toBe(false);
+  });
+
+  it('spreads out listings from the same seller', async () => {
+    const seller = new mongoose.Types.ObjectId();
+    const createdAt = new Date();
+    products = [
+      makeProduct({ title: 'A1', seller, createdAt }),
+      makeProduct({ title: 'A2', seller, createdAt }),
+      makeProduct({ title: 'B1', createdAt: new Date(Date.now() - DAY_MS) })
+    ];
+
+    const feed = await getFeed(null, { page: 1, limit: 3 });
+
+    expect(feed.products.map(product => product.title)).toEqual(['A1', 'B1', 'A2']);
+  });
+
+  it('pages through the ranked listings', async () => {
+    products = [1, 2, 3].map(day => makeProduct({
+      title: `Day ${day}`,
+      createdAt: new Date(Date.now() - day * DAY_MS)
+    }));
+
+    const feed = await getFeed(null, { page: 2, limit: 2 });
+
+    expect(feed.products.map(product => product.title)).toEqual(['Day 3']);
+    expect(feed).toMatchObject({ candidates: 3, page: 2, pages: 2 });
+  });
+});
@@ -0,0 +1,155 @@
+const {
+  parseCoordinates,
+  toPoint,
+  geocode,
+  parseLocationInput,
+  resolveLocation,
+  addressToLocation,
+  resolveSearchOrigin,
+  buildNearFilter,
+  getDistanceKm,
+  withDistances
+} = require('../utils/geo');
+
+describe('parseCoordinates', () => {
+  it('accepts numbers and numeric strings in range', () => {
+    expect(parseCoordinates('51.5', '-0.12')).toEqual({ lat: 51.5, lng: -0.12 });
+  });
+
+  it('rejects missing, invalid and out-of-range values', () => {
+    expect(parseCoordinates(undefined, 1)).toBeNull();
+    expect(parseCoordinates('x', 1)).toBeNull();
+    expect(parseCoordinates(91, 0)).toBeNull();
+    expect(parseCoordinates(0, 181)).toBeNull();
+  });
+});
+
+describe('toPoint', () => {
+  it('rounds to about 1 km and orders coordinates [lng, lat]', () => {
+    expect(toPoint(51.507412, -0.127812)).toEqual({ type: 'Point', coordinates: [-0.13, 51.51] });
+  });
+});
+
+describe('geocode', () => {
+  it('finds a city by name or alias', () => {
+    expect(geocode({ city: 'Bombay' })).toMatchObject({ city: 'Mumbai', country: 'IN' });
+  });
+
+  it('narrows by country and region', () => {
+    expect(geocode({ city: 'London', country: 'Canada' })).toMatchObject({ region: 'Ontario', country: 'CA' });
+    expect(geocode({ city: 'Portland', region: 'ME' })).toMatchObject({ region: 'Maine' });
+  });
+
+  it('returns null for unknown cities', () => {
+    expect(geocode({ city: 'Nowhereville' })).toBeNull();
+    expect(geocode({})).toBeNull();
+  });
+});
+
+describe('parseLocationInput', () => {
+  it('reads plain text, with a country as the second part when known', () => {
+    expect(parseLocationInput('Leeds, UK')).toEqual({ city: 'Leeds', country: 'UK' });
+    expect(parseLocationInput('Portland, Maine')).toEqual({ city: 'Portland', region: 'Maine' });
+    expect(parseLocationInput('London, Ontario, Canada'))
+      .toEqual({ city: 'London', region: 'Ontario', country: 'Canada' });
+  });
+
+  it('reads objects and JSON strings', () => {
+    expect(parseLocationInput('{"city":"Leeds","lat":53.8,"lng":-1.55}'))
+      .toMatchObject({ city: 'Leeds', lat: 53.8, lng: -1.55 });
+  });
+
+  it('returns null for empty input', () => {
+    expect(parseLocationInput('')).toBeNull();
+    expect(parseLocationInput(' , ')).toBeNull();
+  });
+});
+
+describe('resolveLocation', () => {
+  it('rounds explicit coordinates', () => {
+    expect(resolveLocation({ city: 'Home', lat: 53.80123, lng: -1.54876 }).point.coordinates)
+      .toEqual([-1.55, 53.8]);
+  });
+
+  it('keeps unknown cities as text without a point', () => {
+    expect(resolveLocation({ city: 'Nowhereville' }))
+      .toEqual({ city: 'Nowhereville', region: '', country: '' });
+  });
+});
+
+describe('addressToLocation', () => {
+  it('uses the stored point when there is one', () => {
+    const location = addressToLocation({ city: 'Leeds', point: { type: 'Point', coordinates: [1, 2] } });
+    expect(location.point.coordinates).toEqual([1, 2]);
+  });
+
+  it('geocodes addresses without a point, and ignores addresses without a city', () => {
+    expect(addressToLocation({ city: 'Leeds', country: 'GB' }).point).toBeDefined();
+    expect(addressToLocation({ street: '1 High St' })).toBeNull();
+  });
+});
+
+describe('resolveSearchOrigin', () => {
+  it('returns null when no location was sent', () => {
+    expect(resolveSearchOrigin({})).toBeNull();
+  });
+
+  it('uses coordinates with the default radius', () => {
+    expect(resolveSearchOrigin({ lat: '51.5', lng: '-0.1' }))
+      .toEqual({ coordinates: [-0.1, 51.5], radiusKm: 25 });
+  });
+
+  it('geocodes near=<city> and near=me', () => {
+    expect(resolveSearchOrigin({ near: 'Leeds', radius: '10' }).radiusKm).toBe(10);
+    expect(resolveSearchOrigin({ near: 'me' }, { address: { city: 'Leeds' } }).coordinates)
+      .toEqual([-1.55, 53.8]);
+  });
+
+  it('throws a LocationError for bad input', () => {
+    expect(() => resolveSearchOrigin({ near: 'me' })).toThrow(expect.objectContaining({ name: 'LocationError' }));
+    expect(() => resolveSearchOrigin({ near: 'me' }, { address: { city: 'Nowhereville' } }))
+      .toThrow(expect.objectContaining({ name: 'LocationError' }));
+    expect(() => resolveSearchOrigin({ near: 'Nowhereville' })).toThrow('Unknown location');
+    expect(() => resolveSearchOrigin({ lat: 'x', lng: '1' })).toThrow('Invalid coordinates');
+    expect(() => resolveSearchOrigin({ near: 'Leeds', radius: '0' })).toThrow(/Radius/);
+    expect(() => resolveSearchOrigin({ near: 'Leeds', radius: '9999' })).toThrow(/Radius/);
+  });
+});
+
+describe('buildNearFilter', () => {
+  it('converts the radius to radians', () => {
+    const filter = buildNearFilter({ coordinates: [0, 0], radiusKm: 6378.1 });
+    expect(filter['location.point'].$geoWithin.$centerSphere).toEqual([[0, 0], 1]);
+  });
+});
+
+describe('getDistanceKm', () => {
+  it('measures great-circle distance', () => {
+    const london = [-0.1278, 51.5074];
+    const manchester = [-2.2426, 53.4808];
+    expect(getDistanceKm(london, manchester)).toBeGreaterThan(255);
+    expect(getDistanceKm(london, manchester)).toBeLessThan(265);
+    expect(getDistanceKm(london, london)).toBe(0);
+  });
+});
+
+describe('withDistances', () => {
+  const product = (point) => ({
+    location: { point },
+    toJSON: () => ({ title: 'Jacket' })
+  });
+
+  it('rounds distances up to whole km, at least 1 km', () => {
+    const origin = { coordinates: [-1.55, 53.8] };
+    const [same, far, none] = withDistances([
+      product({ coordinates: [-1.55, 53.8] }),
+      product({ coordinates: [-2.24, 53.48] }),
+      product(undefined)
+    ], origin);
+
+    expect(same).toEqual({ title: 'Jacket', distance: 1 });
+    expect(Number.isInteger(far.distance)).toBe(true);
+    expect(far.distance).toBeGreaterThan(50);
+    expect(none.distance).toBeNull();
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Shared test helpers
+ * There is no database in unit tests: model calls are replaced with jest
+ * mocks that resolve to fixed results.
+ */
+
+/**
+ * Build a chainable stand-in for a Mongoose query that resolves to `result`
+ * @param {*} result - What awaiting the query returns
+ * @returns {Object} Query with the usual chain methods
+ */
+exports.mockQuery = (result) => {
+  const query = {};
+  ['select', 'sort', 'skip', 'limit', 'populate', 'lean'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.exec = jest.fn(() => Promise.resolve(result));
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+};
+
+/**
+ * Build a minimal Express response that records its status and body
+ * @returns {Object} Response with `statusCode` and `body` after a handler runs
+ */
+exports.mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  res.set = jest.fn(() => res);
+  return res;
+};
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Offer = require('../models/Offer');
+const Product = require('../models/Product');
+const { respondToOffer } = require('../controllers/offer.controller');
+const { mockQuery, mockResponse } = require('./helpers');
+
+jest.mock('../utils/notifications');
+jest.mock('../utils/email');
+jest.mock('../utils/realtime');
+
+describe('respondToOffer', () => {
+  let offer;
+
+  const counter = async (counterPrice) => {
+    const res = mockResponse();
+    await respondToOffer({
+      params: { offerId: offer._id.toString() },
+      body: { action: 'counter', counterPrice },
+      dbUser: { _id: offer.seller, name: 'Sam' }
+    }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    const product = new Product({ title: 'Jacket', images: [], seller: new mongoose.Types.ObjectId() });
+    offer = new Offer({
+      product: product._id,
+      buyer: new mongoose.Types.ObjectId(),
+      seller: product.seller,
+      offerPrice: 30,
+      status: 'pending'
+    });
+    offer.product = product;
+
+    jest.spyOn(Offer, 'findById').mockImplementation(() => mockQuery(offer));
+    jest.spyOn(Offer.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('answers a non-numeric or negative counter price with 400', async () => {
+    for (const counterPrice of ['abc', '-5']) {
+      const res = await counter(counterPrice);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Counter offer price must be a positive number');
+    }
+    expect(Offer.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('records a valid counter offer', async () => {
+    const res = await counter('35');
+
+    expect(res.statusCode).toBe(200);
+    expect(offer.status).toBe('countered');
+    expect(offer.counterOffer.price).toBe(35);
+  });
+});
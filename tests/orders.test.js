@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Offer = require('../models/Offer');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { quoteProduct } = require('../utils/shipping');
+const { purchaseAcceptedOffer } = require('../utils/orders');
+const { mockQuery } = require('./helpers');
+
+jest.mock('../utils/shipping', () => ({
+  ...jest.requireActual('../utils/shipping'),
+  quoteProduct: jest.fn()
+}));
+jest.mock('../utils/notifications');
+jest.mock('../utils/email');
+jest.mock('../utils/realtime');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+describe('purchaseAcceptedOffer', () => {
+  let offer;
+  let product;
+
+  beforeEach(() => {
+    product = new Product({ title: 'Jacket', images: [], seller: newId() });
+    offer = new Offer({
+      product: product._id,
+      buyer: newId(),
+      seller: product.seller,
+      amount: 40,
+      acceptedPrice: 40,
+      status: 'accepted',
+      reservedUntil: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    jest.spyOn(offer, 'populate').mockImplementation(async () => {
+      offer.product = product;
+    });
+    jest.spyOn(offer, 'save').mockResolvedValue();
+    jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery({ address: {} }));
+    jest.spyOn(User, 'find').mockReturnValue(mockQuery([]));
+    quoteProduct.mockResolvedValue({ selected: { method: 'standard', cost: 5 } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('consumes the reservation and creates the order', async () => {
+    jest.spyOn(Order.prototype, 'save').mockResolvedValue();
+
+    const order = await purchaseAcceptedOffer(offer);
+
+    expect(order.total).toBe(45);
+    expect(offer.order).toEqual(order._id);
+    expect(Product.updateOne).toHaveBeenCalledTimes(1);
+    expect(Product.updateOne.mock.calls[0][1]).toEqual({ $unset: { reservedFor: '', reservedUntil: '' } });
+  });
+
+  it('returns null when the reservation has lapsed', async () => {
+    Product.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    expect(await purchaseAcceptedOffer(offer)).toBeNull();
+    expect(offer.populate).not.toHaveBeenCalled();
+  });
+
+  it('restores the reservation when the order cannot be created', async () => {
+    jest.spyOn(Order.prototype, 'save').mockRejectedValue(new Error('write failed'));
+
+    await expect(purchaseAcceptedOffer(offer)).rejects.toThrow('write failed');
+
+    expect(Product.updateOne).toHaveBeenLastCalledWith(
+      { _id: product._id, reservedFor: { $exists: false } },
+      { $set: { reservedFor: offer.buyer, reservedUntil: offer.reservedUntil } }
+    );
+    expect(offer.save).not.toHaveBeenCalled();
+  });
+
+  it('restores the reservation when shipping cannot be quoted', async () => {
+    quoteProduct.mockRejectedValue(new Error('no rates'));
+
+    await expect(purchaseAcceptedOffer(offer)).rejects.toThrow('no rates');
+
+    expect(Product.updateOne).toHaveBeenCalledTimes(2);
+  });
+});
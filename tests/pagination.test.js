@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { isCursorRequest, parseLimit, findPageByCursor } = require('../utils/pagination');
+const { mockQuery } = require('./helpers');
+
+const makeDocs = (count) => Array.from({ length: count }, (_, index) => ({
+  _id: new mongoose.Types.ObjectId(),
+  price: 10 + index,
+  createdAt: new Date(Date.UTC(2024, 0, count - index))
+}));
+
+describe('isCursorRequest', () => {
+  it('is true when a cursor is sent, even an empty one', () => {
+    expect(isCursorRequest({ cursor: '' })).toBe(true);
+    expect(isCursorRequest({ page: '2' })).toBe(false);
+  });
+});
+
+describe('parseLimit', () => {
+  it('uses the default for missing or invalid limits', () => {
+    expect(parseLimit(undefined, 12)).toBe(12);
+    expect(parseLimit('abc', 12)).toBe(12);
+    expect(parseLimit('-3', 12)).toBe(12);
+  });
+
+  it('caps the limit at 100', () => {
+    expect(parseLimit('20', 12)).toBe(20);
+    expect(parseLimit('500', 12)).toBe(100);
+  });
+});
+
+describe('findPageByCursor', () => {
+  const Model = { find: jest.fn() };
+
+  beforeEach(() => {
+    Model.find.mockReset();
+  });
+
+  it('returns a cursor when there are more items', async () => {
+    const docs = makeDocs(3);
+    Model.find.mockReturnValue(mockQuery(docs));
+
+    const page = await findPageByCursor(Model, {}, { sort: { createdAt: -1 }, limit: 2 });
+
+    expect(page.items).toHaveLength(2);
+    expect(page.hasMore).toBe(true);
+    expect(typeof page.nextCursor).toBe('string');
+    expect(Model.find.mock.results[0].value.limit).toHaveBeenCalledWith(3);
+    expect(Model.find.mock.results[0].value.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+  });
+
+  it('has no cursor on the last page', async () => {
+    Model.find.mockReturnValue(mockQuery(makeDocs(2)));
+
+    const page = await findPageByCursor(Model, {}, { sort: { createdAt: -1 }, limit: 2 });
+
+    expect(page.hasMore).toBe(false);
+    expect(page.nextCursor).toBeNull();
+  });
+
+  it('continues strictly after the cursor, with _id breaking ties', async () => {
+    const docs = makeDocs(3);
+    Model.find.mockReturnValue(mockQuery(docs));
+    const first = await findPageByCursor(Model, { category: 'Bag' }, { sort: { price: 1 }, limit: 2 });
+
+    Model.find.mockReturnValue(mockQuery([]));
+    await findPageByCursor(Model, { category: 'Bag' }, { sort: { price: 1 }, cursor: first.nextCursor, limit: 2 });
+
+    const filter = Model.find.mock.calls[1][0];
+    expect(filter.category).toBe('Bag');
+    expect(filter.$or).toEqual([
+      { price: { $gt: docs[1].price } },
+      { price: docs[1].price, _id: { $gt: docs[1]._id } }
+    ]);
+  });
+
+  it('restores dates from the cursor', async () => {
+    const docs = makeDocs(3);
+    Model.find.mockReturnValue(mockQuery(docs));
+    const first = await findPageByCursor(Model, {}, { sort: { createdAt: -1 }, limit: 2 });
+
+    Model.find.mockReturnValue(mockQuery([]));
+    await findPageByCursor(Model, {}, { sort: { createdAt: -1 }, cursor: first.nextCursor, limit: 2 });
+
+    const [clause] = Model.find.mock.calls[1][0].$or;
+    expect(clause.createdAt.$lt).toEqual(docs[1].createdAt);
+  });
+
+  it('rejects cursor values that MongoDB would read as operators', async () => {
+    const id = new mongoose.Types.ObjectId().toString();
+    const encode = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+    for (const value of [{ $ne: null }, { d: '2024-01-01', $gt: 0 }, { d: 'not a date' }, [1], null, true]) {
+      await expect(findPageByCursor(Model, {}, { sort: { price: 1 }, cursor: encode([value, id]), limit: 2 }))
+        .rejects.toMatchObject({ name: 'CursorError' });
+    }
+    await expect(findPageByCursor(Model, {}, { sort: { price: 1 }, cursor: encode([10, { $ne: null }]), limit: 2 }))
+      .rejects.toMatchObject({ name: 'CursorError' });
+    expect(Model.find).not.toHaveBeenCalled();
+  });
+
+  it('rejects malformed cursors with a CursorError', async () => {
+    await expect(findPageByCursor(Model, {}, { sort: { price: 1 }, cursor: 'not-a-cursor', limit: 2 }))
+      .rejects.toMatchObject({ name: 'CursorError' });
+    expect(Model.find).not.toHaveBeenCalled();
+  });
+});
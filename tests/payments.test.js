@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Offer = require('../models/Offer');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Product = require('../models/Product');
+const mockProvider = require('../utils/payments/mockProvider');
+const { applyPaymentSucceeded } = require('../utils/payments/lifecycle');
+const { cancelUnpaidOrders } = require('../utils/orders');
+const { payForOrder, confirmPayment } = require('../controllers/payment.controller');
+const { mockQuery, mockResponse } = require('./helpers');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const makeOrder = (total, status = 'placed') => new Order({
+  buyer: newId(),
+  seller: newId(),
+  items: [{ product: newId(), title: 'Jacket', price: total, quantity: 1 }],
+  subtotal: total,
+  total,
+  status
+});
+
+const makePayment = (orders, status = 'requires_confirmation') => new Payment({
+  user: orders[0].buyer,
+  provider: 'mock',
+  providerIntentId: `mock_pi_${newId()}`,
+  amount: orders.reduce((sum, order) => sum + order.total, 0),
+  status,
+  purpose: 'cart',
+  orders: orders.map(order => order._id)
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Payment.prototype, 'save').mockResolvedValue();
+  jest.spyOn(Order.prototype, 'save').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkPaymentConfig', () => {
+  const env = process.env;
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  const loadCheck = (overrides) => {
+    process.env = { ...env, ...overrides };
+    let checkPaymentConfig;
+    jest.isolateModules(() => {
+      ({ checkPaymentConfig } = require('../utils/payments'));
+    });
+    return checkPaymentConfig;
+  };
+
+  it('allows the mock defaults in development', () => {
+    expect(() => loadCheck({ NODE_ENV: 'development', PAYMENT_PROVIDER: '' })()).not.toThrow();
+  });
+
+  it('requires PAYMENT_PROVIDER in production', () => {
+    expect(loadCheck({ NODE_ENV: 'production', PAYMENT_PROVIDER: '' }))
+      .toThrow('PAYMENT_PROVIDER must be set in production');
+  });
+
+  it('allows the mock defaults when NODE_ENV is not set', () => {
+    expect(() => loadCheck({ NODE_ENV: undefined, PAYMENT_PROVIDER: '', MOCK_PAYMENT_WEBHOOK_SECRET: '' })()).not.toThrow();
+  });
+
+  it('requires the webhook secret in production', () => {
+    expect(loadCheck({ NODE_ENV: 'production', PAYMENT_PROVIDER: 'mock', MOCK_PAYMENT_WEBHOOK_SECRET: '' }))
+      .toThrow('missing its webhook secret');
+    expect(() => loadCheck({
+      NODE_ENV: 'production',
+      PAYMENT_PROVIDER: 'mock',
+      MOCK_PAYMENT_WEBHOOK_SECRET: 'whsec_test'
+    })()).not.toThrow();
+  });
+});
+
+describe('payForOrder', () => {
+  it('refuses a second intent for an order with an open payment', async () => {
+    const order = makeOrder(40);
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(Payment, 'exists').mockResolvedValue({ _id: newId() });
+    jest.spyOn(mockProvider, 'createIntent');
+
+    const res = mockResponse();
+    await payForOrder({ params: { orderId: order._id.toString() }, body: {}, dbUser: { _id: order.buyer } }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('This order already has a payment in progress');
+    expect(mockProvider.createIntent).not.toHaveBeenCalled();
+  });
+});
+
+describe('confirmPayment', () => {
+  it('refuses once the orders are no longer awaiting payment', async () => {
+    const order = makeOrder(40, 'paid');
+    const payment = makePayment([order]);
+    jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+    jest.spyOn(Order, 'exists').mockResolvedValue({ _id: order._id });
+    jest.spyOn(mockProvider, 'confirmIntent');
+
+    const res = mockResponse();
+    await confirmPayment({ params: { id: payment._id.toString() }, body: {}, dbUser: { _id: payment.user } }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(mockProvider.confirmIntent).not.toHaveBeenCalled();
+  });
+
+  it('refuses to retry a failed payment once another one was started', async () => {
+    const order = makeOrder(40);
+    const payment = makePayment([order], 'failed');
+    jest.spyOn(Payment, 'findById').mockResolvedValue(payment);
+    jest.spyOn(Order, 'exists').mockResolvedValue(null);
+    jest.spyOn(Payment, 'exists').mockResolvedValue({ _id: newId() });
+    jest.spyOn(mockProvider, 'confirmIntent');
+
+    const res = mockResponse();
+    await confirmPayment({ params: { id: payment._id.toString() }, body: {}, dbUser: { _id: payment.user } }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(mockProvider.confirmIntent).not.toHaveBeenCalled();
+  });
+});
+
+describe('applyPaymentSucceeded', () => {
+  beforeEach(() => {
+    jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async ({ _id }) => ({ _id }));
+    jest.spyOn(Product, 'updateMany').mockResolvedValue({});
+    jest.spyOn(LedgerEntry, 'insertMany').mockResolvedValue([]);
+    jest.spyOn(mockProvider, 'refund').mockImplementation(async (intentId, amount) => ({
+      id: 'mock_re_test', amount, status: 'succeeded'
+    }));
+  });
+
+  it('marks placed orders paid and credits their sellers', async () => {
+    const order = makeOrder(40);
+    const payment = makePayment([order]);
+    jest.spyOn(Order, 'find').mockReturnValue(mockQuery([order]));
+
+    await applyPaymentSucceeded(payment);
+
+    expect(payment.status).toBe('succeeded');
+    expect(order.status).toBe('paid');
+    expect(LedgerEntry.insertMany).toHaveBeenCalledTimes(1);
+    expect(mockProvider.refund).not.toHaveBeenCalled();
+  });
+
+  it('credits shipping apart from the sale and takes the fee on the items only', async () => {
+    const order = makeOrder(45);
+    order.subtotal = 40;
+    order.shippingCost = 5;
+    const payment = makePayment([order]);
+    jest.spyOn(Order, 'find').mockReturnValue(mockQuery([order]));
+
+    await applyPaymentSucceeded(payment);
+
+    const entries = LedgerEntry.insertMany.mock.calls[0][0];
+    expect(entries.map(({ type, amount }) => ({ type, amount }))).toEqual([
+      { type: 'sale', amount: 40 },
+      { type: 'shipping', amount: 5 },
+      { type: 'platform_fee', amount: -4 }
+    ]);
+  });
+
+  it('skips orders that were already paid and refunds their share', async () => {
+    const placedOrder = makeOrder(40);
+    const paidOrder = makeOrder(60, 'paid');
+    const payment = makePayment([placedOrder, paidOrder]);
+    jest.spyOn(Order, 'find').mockReturnValue(mockQuery([placedOrder, paidOrder]));
+
+    await applyPaymentSucceeded(payment);
+
+    expect(mockProvider.refund).toHaveBeenCalledWith(payment.providerIntentId, 60);
+    expect(payment.refunds[0].amount).toBe(60);
+    expect(payment.status).toBe('succeeded');
+    expect(Product.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [placedOrder.items[0].product] } },
+      { $set: { isAvailable: false } }
+    );
+    expect(LedgerEntry.insertMany).toHaveBeenCalledTimes(1);
+    expect(LedgerEntry.insertMany.mock.calls[0][0][0].order).toEqual(placedOrder._id);
+  });
+
+  it('refunds everything when no order is still awaiting payment', async () => {
+    const cancelledOrder = makeOrder(40, 'cancelled');
+    const payment = makePayment([cancelledOrder]);
+    jest.spyOn(Order, 'find').mockReturnValue(mockQuery([cancelledOrder]));
+
+    await applyPaymentSucceeded(payment);
+
+    expect(mockProvider.refund).toHaveBeenCalledWith(payment.providerIntentId, 40);
+    expect(payment.status).toBe('refunded');
+    expect(LedgerEntry.insertMany).not.toHaveBeenCalled();
+  });
+
+  it('does nothing when a concurrent caller claimed the payment first', async () => {
+    const payment = makePayment([makeOrder(40)]);
+    Payment.findOneAndUpdate.mockResolvedValue(null);
+    jest.spyOn(Order, 'find');
+
+    await applyPaymentSucceeded(payment);
+
+    expect(Payment.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: payment._id, status: { $nin: ['succeeded', 'refunded'] } },
+      { $set: { status: 'succeeded' } }
+    );
+    expect(Order.find).not.toHaveBeenCalled();
+    expect(mockProvider.refund).not.toHaveBeenCalled();
+    expect(payment.save).not.toHaveBeenCalled();
+  });
+
+  it('credits an order once even if its sale is recorded twice', async () => {
+    const order = makeOrder(40);
+    const payment = makePayment([order]);
+    jest.spyOn(Order, 'find').mockReturnValue(mockQuery([order]));
+    LedgerEntry.insertMany.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    await expect(applyPaymentSucceeded(payment)).resolves.toBeUndefined();
+    expect(order.status).toBe('paid');
+  });
+
+  it('does nothing for a payment that already succeeded', async () => {
+    const payment = makePayment([makeOrder(40)], 'succeeded');
+    jest.spyOn(Order, 'find');
+
+    await applyPaymentSucceeded(payment);
+
+    expect(Order.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('cancelUnpaidOrders', () => {
+  it('cancels stale unpaid orders, releases their items and expires their offers', async () => {
+    const offerOrder = makeOrder(40);
+    offerOrder.offer = newId();
+    const paidMeanwhile = makeOrder(60);
+    jest.spyOn(Order, 'find').mockReturnValue(mockQuery([offerOrder, paidMeanwhile]));
+    jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async ({ _id }) =>
+      _id === offerOrder._id ? offerOrder : null
+    );
+    jest.spyOn(Product, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Offer, 'updateOne').mockResolvedValue({});
+
+    await cancelUnpaidOrders();
+
+    const [filter] = Order.find.mock.calls[0];
+    expect(filter.status).toBe('placed');
+    expect(filter.createdAt.$lte.getTime()).toBeLessThanOrEqual(Date.now() - 24 * 60 * 60 * 1000);
+    expect(Order.findOneAndUpdate.mock.calls[0][1].$set).toEqual({ status: 'cancelled' });
+    expect(Product.updateMany).toHaveBeenCalledTimes(1);
+    expect(Product.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [offerOrder.items[0].product] } },
+      { $set: { isAvailable: true } }
+    );
+    expect(Offer.updateOne).toHaveBeenCalledWith(
+      { _id: offerOrder.offer, status: 'accepted' },
+      { $set: { status: 'expired' } }
+    );
+  });
+});
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payout = require('../models/Payout');
+const User = require('../models/User');
+const { requestPayout, updatePayoutStatus } = require('../controllers/payout.controller');
+const { mockQuery, mockResponse } = require('./helpers');
+
+describe('requestPayout', () => {
+  const sellerId = new mongoose.Types.ObjectId();
+  let entries;
+  let lockedUntil;
+
+  const request = async (amount) => {
+    const res = mockResponse();
+    await requestPayout({ body: { amount }, dbUser: { _id: sellerId } }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    entries = [{ amount: 100 }];
+    lockedUntil = null;
+
+    // Stand-ins for the seller's lock and ledger, with the same conditions as MongoDB
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const now = filter.$or[1].payoutLockedUntil.$lte;
+      if (lockedUntil && lockedUntil > now) return null;
+      lockedUntil = update.$set.payoutLockedUntil;
+      return { _id: sellerId };
+    });
+    jest.spyOn(User, 'updateOne').mockImplementation(async () => {
+      lockedUntil = null;
+    });
+    jest.spyOn(LedgerEntry, 'aggregate').mockImplementation(async () => {
+      // Let the other request run between the balance check and the withdrawal
+      await new Promise(resolve => setImmediate(resolve));
+      const available = entries.reduce((sum, entry) => sum + entry.amount, 0);
+      return [{ _id: null, available, pending: 0 }];
+    });
+    jest.spyOn(LedgerEntry, 'create').mockImplementation(async (entry) => {
+      entries.push(entry);
+    });
+    jest.spyOn(Payout.prototype, 'save').mockResolvedValue();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('withdraws the payout from the balance', async () => {
+    const res = await request(80);
+
+    expect(res.statusCode).toBe(201);
+    expect(entries).toContainEqual(expect.objectContaining({ type: 'payout', amount: -80 }));
+    expect(lockedUntil).toBeNull();
+  });
+
+  it('answers amounts below the minimum with 400', async () => {
+    const res = await request(0.5);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Payout amount must be at least 1');
+    expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects payouts above the available balance', async () => {
+    const res = await request(120);
+
+    expect(res.statusCode).toBe(400);
+    expect(LedgerEntry.create).not.toHaveBeenCalled();
+    expect(lockedUntil).toBeNull();
+  });
+
+  it('lets only one of two concurrent requests spend the balance', async () => {
+    const [first, second] = await Promise.all([request(80), request(80)]);
+
+    expect([first.statusCode, second.statusCode].sort()).toEqual([201, 409]);
+    expect(entries.filter(entry => entry.type === 'payout')).toHaveLength(1);
+
+    const retry = await request(80);
+    expect(retry.statusCode).toBe(400);
+  });
+
+  it('takes over a lock left behind by a request that never finished', async () => {
+    lockedUntil = new Date(Date.now() - 1000);
+
+    const res = await request(80);
+
+    expect(res.statusCode).toBe(201);
+  });
+});
+
+describe('updatePayoutStatus', () => {
+  const adminId = new mongoose.Types.ObjectId();
+  let payout;
+
+  const update = async (status) => {
+    const res = mockResponse();
+    await updatePayoutStatus({ params: { id: payout._id.toString() }, body: { status }, dbUser: { _id: adminId } }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    payout = new Payout({ seller: new mongoose.Types.ObjectId(), amount: 50 });
+
+    // Stand-in for an atomic conditional update on the stored payout
+    jest.spyOn(Payout, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+      await new Promise(resolve => setImmediate(resolve));
+      if (!filter.status.$in.includes(payout.status)) return null;
+      payout.set($set);
+      return payout;
+    });
+    jest.spyOn(Payout, 'findById').mockImplementation(() => mockQuery(payout));
+    jest.spyOn(LedgerEntry, 'create').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns a payout rejected twice at once to the seller only once', async () => {
+    const [first, second] = await Promise.all([update('rejected'), update('rejected')]);
+
+    expect([first.statusCode, second.statusCode].sort()).toEqual([200, 400]);
+    expect(LedgerEntry.create).toHaveBeenCalledTimes(1);
+    expect(LedgerEntry.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'payout_reversal', amount: 50 }));
+  });
+
+  it('refuses transitions the payout cannot make', async () => {
+    payout.status = 'paid';
+
+    const res = await update('approved');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Cannot change payout from paid to approved');
+  });
+});
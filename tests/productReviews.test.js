@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const { getProductReviews, updateReview } = require('../controllers/product.controller');
+const { mockQuery, mockResponse } = require('./helpers');
+
+describe('getProductReviews', () => {
+  const productId = new mongoose.Types.ObjectId().toString();
+  const reviews = [{ rating: 5 }, { rating: 3 }];
+
+  const get = async (query) => {
+    const res = mockResponse();
+    await getProductReviews({ params: { id: productId }, query }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Review, 'find').mockImplementation(() => mockQuery(reviews));
+    jest.spyOn(Review, 'countDocuments').mockResolvedValue(12);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns a bare array of every review by default', async () => {
+    const res = await get({});
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toBe(reviews);
+    expect(Review.find.mock.results[0].value.sort).toHaveBeenCalledWith({ createdAt: -1 });
+    expect(Review.find.mock.results[0].value.limit).not.toHaveBeenCalled();
+  });
+
+  it('returns a page when sort or paging parameters are sent', async () => {
+    const res = await get({ sort: 'helpful', page: '2', limit: '5' });
+
+    expect(res.body).toEqual({ reviews, total: 12, page: 2, pages: 3 });
+    const query = Review.find.mock.results[0].value;
+    expect(query.sort).toHaveBeenCalledWith({ helpfulCount: -1, createdAt: -1 });
+    expect(query.skip).toHaveBeenCalledWith(5);
+    expect(query.limit).toHaveBeenCalledWith(5);
+  });
+});
+
+describe('Review.backfillHelpfulCounts', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts the helpful votes of reviews without a helpfulCount', async () => {
+    jest.spyOn(Review, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+
+    expect(await Review.backfillHelpfulCounts()).toBe(3);
+    expect(Review.updateMany).toHaveBeenCalledWith(
+      { helpfulCount: { $exists: false } },
+      [{ $set: { helpfulCount: { $size: { $ifNull: ['$helpfulVotes', []] } } } }]
+    );
+  });
+});
+
+describe('updateReview', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('answers an out-of-range rating with 400', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const review = new Review({ product: new mongoose.Types.ObjectId(), user: userId, rating: 4, comment: 'Nice' });
+    jest.spyOn(Review, 'findOne').mockResolvedValue(review);
+    jest.spyOn(Review.prototype, 'save').mockResolvedValue();
+
+    for (const rating of ['9', '0.5', 'great']) {
+      const res = mockResponse();
+      await updateReview({
+        params: { id: review.product.toString(), reviewId: review._id.toString() },
+        body: { rating },
+        dbUser: { _id: userId }
+      }, res);
+
+      expect(res.statusCode).toBe(400);
+    }
+    expect(review.rating).toBe(4);
+    expect(Review.prototype.save).not.toHaveBeenCalled();
+  });
+});
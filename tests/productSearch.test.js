@@ -0,0 +1,16 @@
+const { buildFilters } = require('../utils/productSearch');
+
+describe('buildFilters', () => {
+  it('searches synonyms without requiring multi-word ones as phrases', () => {
+    const { base } = buildFilters({ search: 'black hoodie' });
+
+    expect(base.$text.$search).toBe('black hoodie hooded sweatshirt');
+  });
+
+  it('splits facet lists and price bounds', () => {
+    const { facets } = buildFilters({ brand: 'Nike,Adidas', priceMin: '10', priceMax: '50' });
+
+    expect(facets.brand).toEqual({ brand: { $in: ['Nike', 'Adidas'] } });
+    expect(facets.price).toEqual({ price: { $gte: 10, $lte: 50 } });
+  });
+});
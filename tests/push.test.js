@@ -0,0 +1,59 @@
+const Device = require('../models/Device');
+const recordingSender = require('../utils/push/recordingSender');
+const { getPushSender, sendPush } = require('../utils/push');
+const { mockQuery } = require('./helpers');
+
+describe('getPushSender', () => {
+  const env = process.env;
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  it('only logs pushes when PUSH_SENDER is not set', () => {
+    process.env = { ...env, PUSH_SENDER: '' };
+
+    expect(getPushSender().name).toBe('log');
+  });
+
+  it('rejects unknown senders', () => {
+    expect(() => getPushSender('pigeon')).toThrow('Unknown push sender: pigeon');
+  });
+});
+
+describe('sendPush', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    process.env = { ...env, PUSH_SENDER: 'recording' };
+    recordingSender.reset();
+    jest.spyOn(Device, 'find').mockReturnValue(mockQuery([{ token: 'good' }, { token: 'stale' }]));
+    jest.spyOn(Device, 'deleteMany').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    process.env = env;
+    jest.restoreAllMocks();
+  });
+
+  it('sends to every device and prunes tokens the provider rejects', async () => {
+    recordingSender.markTokenInvalid('stale');
+
+    const count = await sendPush(['user-1'], { title: 'Offer accepted', body: 'Pay now' });
+
+    expect(count).toBe(1);
+    expect(recordingSender.getSentPushes()).toEqual([
+      expect.objectContaining({ tokens: ['good'], title: 'Offer accepted' })
+    ]);
+    expect(Device.deleteMany).toHaveBeenCalledWith({ token: { $in: ['stale'] } });
+  });
+
+  it('logs through the default sender without keeping anything', async () => {
+    process.env = { ...env, PUSH_SENDER: '' };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    expect(await sendPush(['user-1'], { title: 'Hi', body: '' })).toBe(2);
+    expect(console.log).toHaveBeenCalledTimes(1);
+    expect(recordingSender.getSentPushes()).toEqual([]);
+  });
+});
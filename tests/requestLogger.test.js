@@ -0,0 +1,31 @@
+const express = require('express');
+const morgan = require('morgan');
+const request = require('supertest');
+const { redactUrl } = require('../middleware/requestLogger');
+
+describe('redactUrl', () => {
+  it('redacts token query parameters', () => {
+    expect(redactUrl('/api/events?token=abc.def&since=5')).toBe('/api/events?token=[REDACTED]&since=5');
+    expect(redactUrl('/api/events?since=5&TOKEN=abc')).toBe('/api/events?since=5&TOKEN=[REDACTED]');
+  });
+
+  it('leaves other URLs alone', () => {
+    expect(redactUrl('/api/products?search=tokens')).toBe('/api/products?search=tokens');
+    expect(redactUrl('/api/products?mytoken=1')).toBe('/api/products?mytoken=1');
+  });
+});
+
+describe('access log', () => {
+  it('never writes the stream token', async () => {
+    const lines = [];
+    const app = express();
+    app.use(morgan('combined', { stream: { write: line => lines.push(line) } }));
+    app.get('/api/events', (req, res) => res.status(200).end());
+
+    await request(app).get('/api/events?token=secret-id-token');
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toContain('/api/events?token=[REDACTED]');
+    expect(lines[0]).not.toContain('secret-id-token');
+  });
+});
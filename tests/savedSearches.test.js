@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const SavedSearch = require('../models/SavedSearch');
+const { createSavedSearch } = require('../controllers/savedSearch.controller');
+const { sendSavedSearchDigests } = require('../utils/savedSearches');
+const { sendEmail } = require('../utils/email');
+const { mockQuery, mockResponse } = require('./helpers');
+
+jest.mock('../utils/email', () => ({
+  ...jest.requireActual('../utils/email'),
+  sendEmail: jest.fn()
+}));
+
+const newId = () => new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  sendEmail.mockReset();
+});
+
+describe('createSavedSearch', () => {
+  const create = async (alerts) => {
+    jest.spyOn(SavedSearch, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(SavedSearch.prototype, 'save').mockResolvedValue();
+    const res = mockResponse();
+    await createSavedSearch({ body: { name: 'Jackets', search: 'jacket', alerts }, dbUser: { _id: newId() } }, res);
+    return res.body;
+  };
+
+  it('reads string alert switches from form posts', async () => {
+    expect((await create({ inApp: 'false', emailDigest: 'false' })).alerts)
+      .toMatchObject({ inApp: false, emailDigest: false });
+    expect((await create({ inApp: 'true', emailDigest: 'true' })).alerts)
+      .toMatchObject({ inApp: true, emailDigest: true });
+  });
+
+  it('defaults to in-app alerts only', async () => {
+    expect((await create(undefined)).alerts).toMatchObject({ inApp: true, emailDigest: false });
+  });
+});
+
+describe('sendSavedSearchDigests', () => {
+  const userId = newId();
+
+  const makeSearch = (products) => ({
+    _id: newId(),
+    user: userId,
+    name: 'Jackets',
+    pendingMatches: products,
+    populated: () => products.map(product => product._id)
+  });
+
+  beforeEach(() => {
+    jest.spyOn(SavedSearch, 'updateOne').mockResolvedValue({});
+    jest.spyOn(SavedSearch, 'updateMany').mockResolvedValue({});
+  });
+
+  it('skips users who had a digest within the last day', async () => {
+    jest.spyOn(SavedSearch, 'find').mockReturnValue(mockQuery([]));
+
+    await sendSavedSearchDigests();
+
+    const [filter] = SavedSearch.find.mock.calls[0];
+    const cutoff = filter.$or[1].lastDigestAt.$lte;
+    expect(filter.$or[0]).toEqual({ lastDigestAt: null });
+    expect(Date.now() - cutoff.getTime()).toBeGreaterThanOrEqual(24 * 60 * 60 * 1000);
+  });
+
+  it('sends one email per user and records when', async () => {
+    const available = { _id: newId(), title: 'Denim jacket', price: 40, isAvailable: true };
+    const sold = { _id: newId(), title: 'Leather jacket', price: 90, isAvailable: false };
+    const search = makeSearch([available, sold]);
+    jest.spyOn(SavedSearch, 'find').mockReturnValue(mockQuery([search]));
+
+    await sendSavedSearchDigests();
+
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail.mock.calls[0][2].searches[0].products).toEqual([
+      expect.objectContaining({ title: 'Denim jacket' })
+    ]);
+    expect(SavedSearch.updateMany).toHaveBeenCalledWith(
+      { user: userId.toString(), 'alerts.emailDigest': true },
+      { $set: { lastDigestAt: expect.any(Date) } }
+    );
+    expect(SavedSearch.updateOne).toHaveBeenCalledWith(
+      { _id: search._id },
+      { $pullAll: { pendingMatches: [available._id, sold._id] } }
+    );
+  });
+
+  it('clears sold matches without emailing or starting the interval', async () => {
+    const sold = { _id: newId(), title: 'Leather jacket', price: 90, isAvailable: false };
+    jest.spyOn(SavedSearch, 'find').mockReturnValue(mockQuery([makeSearch([sold])]));
+
+    await sendSavedSearchDigests();
+
+    expect(sendEmail).not.toHaveBeenCalled();
+    expect(SavedSearch.updateMany).not.toHaveBeenCalled();
+    expect(SavedSearch.updateOne).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,52 @@
+const { tokenize, escapeRegex, expandSynonyms, editDistance } = require('../utils/searchTerms');
+
+describe('tokenize', () => {
+  it('lowercases and drops one-letter words and punctuation', () => {
+    expect(tokenize('Vintage Levi\'s 501 Jeans!')).toEqual(['vintage', 'levi', '501', 'jeans']);
+  });
+});
+
+describe('escapeRegex', () => {
+  it('escapes regex characters', () => {
+    expect(escapeRegex('a.b*(c)')).toBe('a\\.b\\*\\(c\\)');
+  });
+});
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    expect(editDistance('jeans', 'jeans', 2)).toBe(0);
+    expect(editDistance('jean', 'jeans', 2)).toBe(1);
+    expect(editDistance('jeans', 'beans', 2)).toBe(1);
+  });
+
+  it('counts swapping neighbouring letters as one edit', () => {
+    expect(editDistance('jaens', 'jeans', 2)).toBe(1);
+  });
+
+  it('gives up past the maximum', () => {
+    expect(editDistance('sneakers', 'boots', 2)).toBe(3);
+    expect(editDistance('a', 'abcdef', 2)).toBe(3);
+  });
+});
+
+describe('expandSynonyms', () => {
+  it('appends the other terms in a synonym group', () => {
+    const expanded = expandSynonyms('sneakers');
+    expect(expanded.startsWith('sneakers')).toBe(true);
+    expect(expanded).toContain('trainers');
+    expect(expanded).toContain('kicks');
+  });
+
+  it('adds the words of multi-word synonyms unquoted, so they stay optional', () => {
+    expect(expandSynonyms('hoodie')).toBe('hoodie hooded sweatshirt');
+    expect(expandSynonyms('hoodie')).not.toContain('"');
+  });
+
+  it('expands a multi-word query that is itself a synonym', () => {
+    expect(expandSynonyms('Hooded Sweatshirt')).toBe('Hooded Sweatshirt hoodie');
+  });
+
+  it('leaves searches without synonyms unchanged', () => {
+    expect(expandSynonyms('  red scarf ')).toBe('red scarf');
+  });
+});
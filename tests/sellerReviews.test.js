@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const Offer = require('../models/Offer');
+const Order = require('../models/Order');
+const SellerReview = require('../models/SellerReview');
+const { addSellerReview } = require('../controllers/sellerReview.controller');
+const { mockQuery, mockResponse } = require('./helpers');
+
+describe('addSellerReview', () => {
+  const newId = () => new mongoose.Types.ObjectId();
+  let offer;
+
+  const review = async () => {
+    const res = mockResponse();
+    await addSellerReview({
+      body: { offerId: offer._id.toString(), rating: 5, comment: 'Great seller' },
+      dbUser: { _id: offer.buyer }
+    }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    offer = new Offer({
+      product: newId(),
+      buyer: newId(),
+      seller: newId(),
+      amount: 40,
+      status: 'accepted'
+    });
+    jest.spyOn(Offer, 'findById').mockResolvedValue(offer);
+    jest.spyOn(SellerReview, 'findOne').mockResolvedValue(null);
+    jest.spyOn(SellerReview, 'findById').mockImplementation(() => mockQuery({}));
+    jest.spyOn(SellerReview.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses an accepted offer that was never turned into an order', async () => {
+    const res = await review();
+
+    expect(res.statusCode).toBe(400);
+    expect(SellerReview.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses an accepted offer whose order was never paid', async () => {
+    offer.order = newId();
+    jest.spyOn(Order, 'findById').mockImplementation(() => mockQuery({ _id: offer.order, status: 'placed' }));
+
+    const res = await review();
+
+    expect(res.statusCode).toBe(400);
+    expect(SellerReview.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('accepts a review once the order is paid', async () => {
+    offer.order = newId();
+    jest.spyOn(Order, 'findById').mockImplementation(() => mockQuery({ _id: offer.order, status: 'shipped' }));
+
+    const res = await review();
+
+    expect(res.statusCode).toBe(201);
+    expect(SellerReview.prototype.save).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Shipment = require('../models/Shipment');
+const { createShipment } = require('../controllers/shipment.controller');
+const { autoConfirmDeliveries } = require('../utils/shipments');
+const { mockResponse } = require('./helpers');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createShipment', () => {
+  it('answers a shipment the unique index rejects with 400', async () => {
+    const order = new Order({
+      buyer: newId(),
+      seller: newId(),
+      items: [{ product: newId(), title: 'Jacket', price: 40, quantity: 1 }],
+      subtotal: 40,
+      total: 40,
+      status: 'paid'
+    });
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(Order.prototype, 'save').mockResolvedValue();
+    // Another request added tracking between the check and the insert
+    jest.spyOn(Shipment, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Shipment.prototype, 'save')
+      .mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = mockResponse();
+    await createShipment({
+      body: { orderId: order._id.toString(), carrier: 'ups', trackingNumber: '1Z999' },
+      dbUser: { _id: order.seller }
+    }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Tracking has already been added');
+    expect(order.status).toBe('paid');
+  });
+});
+
+describe('autoConfirmDeliveries', () => {
+  it('leaves shipments with a carrier exception for the buyer to confirm', async () => {
+    jest.spyOn(Shipment, 'find').mockResolvedValue([]);
+
+    await autoConfirmDeliveries();
+
+    expect(Shipment.find.mock.calls[0][0].status).toEqual({ $ne: 'exception' });
+  });
+});
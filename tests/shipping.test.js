@@ -0,0 +1,72 @@
+const Product = require('../models/Product');
+const { parseShippingInput, resolveDestination } = require('../utils/shipping');
+const { createProduct } = require('../controllers/product.controller');
+const shippingController = require('../controllers/shipping.controller');
+const { mockQuery, mockResponse } = require('./helpers');
+
+describe('parseShippingInput', () => {
+  it('parses JSON strings from multipart forms', () => {
+    expect(parseShippingInput('{"weight":"1.5","free":"true","methods":"express"}'))
+      .toEqual({ weight: 1.5, free: true, methods: ['express'] });
+  });
+
+  it('returns undefined when nothing was sent', () => {
+    expect(parseShippingInput('')).toBeUndefined();
+  });
+
+  it('throws a ShippingError for malformed input', () => {
+    ['{weight: 1', '"heavy"', '[1]', 'null'].forEach(input => {
+      expect(() => parseShippingInput(input)).toThrow(expect.objectContaining({ name: 'ShippingError' }));
+    });
+  });
+});
+
+describe('resolveDestination', () => {
+  it('prefers query values over the saved address', () => {
+    expect(resolveDestination({ address: { country: 'US', zipCode: '10001' } }, { country: 'CA' }))
+      .toEqual({ country: 'CA', zipCode: '10001' });
+  });
+
+  it('throws a ShippingError for repeated query parameters', () => {
+    expect(() => resolveDestination(null, { country: ['US', 'CA'] }))
+      .toThrow(expect.objectContaining({ name: 'ShippingError' }));
+  });
+});
+
+describe('shipping quote handlers', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('answers a repeated country with 400', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Product, 'findById').mockReturnValue(mockQuery(new Product({ title: 'Jacket' })));
+
+    const res = mockResponse();
+    await shippingController.quoteProduct({
+      params: { productId: 'product-1' },
+      query: { country: ['US', 'CA'] }
+    }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Only one country can be given');
+  });
+});
+
+describe('createProduct', () => {
+  it('answers malformed shipping JSON with 400', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = mockResponse();
+    await createProduct({
+      body: { title: 'Jacket', price: '40', shipping: '{weight: 1' },
+      files: [],
+      dbUser: { id: 'seller-1', address: {} }
+    }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Shipping details must be a JSON object');
+    jest.restoreAllMocks();
+  });
+});
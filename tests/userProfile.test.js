@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { updateProfile } = require('../controllers/user.controller');
+const { mockQuery, mockResponse } = require('./helpers');
+
+describe('updateProfile', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  const update = async (body) => {
+    const res = mockResponse();
+    await updateProfile({ body, dbUser: { _id: userId } }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findByIdAndUpdate').mockImplementation(() => mockQuery({ _id: userId }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('answers malformed JSON fields with 400', async () => {
+    for (const body of [
+      { notificationPreferences: '{offer_received: false' },
+      { notificationPreferences: '[true]' },
+      { emailUnsubscribed: '["offers"' },
+      { emailUnsubscribed: '"offers"' },
+      { address: '{"city": "Leeds"' }
+    ]) {
+      const res = await update(body);
+      expect(res.statusCode).toBe(400);
+    }
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('applies JSON fields sent from multipart forms', async () => {
+    const res = await update({
+      notificationPreferences: '{"product_sold": false}',
+      emailUnsubscribed: '["offers"]'
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(User.findByIdAndUpdate.mock.calls[0][1].$set).toEqual({
+      'notificationPreferences.product_sold': false,
+      emailUnsubscribed: ['offers']
+    });
+  });
+});
+
+describe('User toJSON', () => {
+  it('adds profile picture renditions without exposing other virtuals', () => {
+    const user = new User({ name: 'Sam', email: 'sam@example.com', firebaseUid: 'uid-sam', profilePicture: '/uploads/sam.jpg' });
+
+    const json = user.toJSON();
+
+    expect(json.profilePictureRenditions).toMatchObject({ thumbnail: '/uploads/sam.jpg' });
+    expect(json).not.toHaveProperty('id');
+    expect(json).not.toHaveProperty('fullName');
+  });
+});
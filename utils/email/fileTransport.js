@@ -0,0 +1,29 @@
+/**
+ * Local file email transport for development
+ * Writes every email to the outbox directory as JSON plus a viewable HTML file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/email');
+
+exports.name = 'file';
+
+/**
+ * Write an email to the outbox directory
+ * @param {Object} email - `from`, `to`, `subject`, `html`, `text` and `headers`
+ * @returns {Object} `messageId`
+ */
+exports.send = async (email) => {
+  const outboxDir = path.resolve(config.outboxDir);
+  await fs.promises.mkdir(outboxDir, { recursive: true });
+
+  const messageId = `file-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  await fs.promises.writeFile(
+    path.join(outboxDir, `${messageId}.json`),
+    JSON.stringify({ ...email, messageId, sentAt: new Date() }, null, 2)
+  );
+  await fs.promises.writeFile(path.join(outboxDir, `${messageId}.html`), email.html);
+
+  return { messageId };
+};
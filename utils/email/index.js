@@ -0,0 +1,164 @@
+/**
+ * Transactional email delivery
+ *
+ * Templates live in utils/emailTemplates.js. Every transport implements:
+ *   send({ from, to, subject, html, text, headers }) -> { messageId }
+ *
+ * The transport is chosen with EMAIL_TRANSPORT ('memory', 'file' or 'smtp').
+ * In production it must be set, and not to 'memory', which keeps every
+ * email forever.
+ */
+
+const crypto = require('crypto');
+const User = require('../../models/User');
+const config = require('../../config/email');
+const { getEmailTemplate, renderEmail } = require('../emailTemplates');
+const memoryTransport = require('./memoryTransport');
+const fileTransport = require('./fileTransport');
+const smtpTransport = require('./smtpTransport');
+
+const transports = {
+  [memoryTransport.name]: memoryTransport,
+  [fileTransport.name]: fileTransport,
+  [smtpTransport.name]: smtpTransport
+};
+
+/**
+ * Register an additional email transport
+ * @param {string} name - Transport name, as used in EMAIL_TRANSPORT
+ * @param {Object} transport - Transport implementation
+ */
+exports.registerEmailTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+/**
+ * Get an email transport by name
+ * @param {string} [name] - Transport name, defaults to EMAIL_TRANSPORT or 'memory'
+ * @returns {Object} Transport implementation
+ */
+exports.getEmailTransport = (name = config.transport) => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown email transport: ${name}`);
+  }
+  return transport;
+};
+
+/**
+ * Check email is configured for production
+ * Only enforced when NODE_ENV is 'production'
+ * @throws {Error} If EMAIL_TRANSPORT or EMAIL_UNSUBSCRIBE_SECRET is missing,
+ *   or the memory transport is used in production
+ */
+exports.checkEmailConfig = () => {
+  if (process.env.NODE_ENV !== 'production') return;
+
+  if (!process.env.EMAIL_TRANSPORT || process.env.EMAIL_TRANSPORT === memoryTransport.name) {
+    throw new Error('EMAIL_TRANSPORT must be set to a delivering transport in production');
+  }
+
+  // The development fallback secret is public, so anyone could forge unsubscribe links
+  if (!process.env.EMAIL_UNSUBSCRIBE_SECRET) {
+    throw new Error('EMAIL_UNSUBSCRIBE_SECRET must be set in production');
+  }
+};
+
+/**
+ * Sign an unsubscribe link for a user and category
+ * @param {string} userId - User ID
+ * @param {string} category - Email category, or 'all'
+ * @returns {string} Hex token
+ */
+exports.getUnsubscribeToken = (userId, category) => {
+  return crypto
+    .createHmac('sha256', config.unsubscribeSecret)
+    .update(`${userId}:${category}`)
+    .digest('hex');
+};
+
+/**
+ * Check an unsubscribe link's token
+ * @param {string} userId - User ID
+ * @param {string} category - Email category, or 'all'
+ * @param {string} token - Token from the link
+ * @returns {boolean} True if the token is valid
+ */
+exports.verifyUnsubscribeToken = (userId, category, token) => {
+  const expected = Buffer.from(exports.getUnsubscribeToken(userId, category));
+  const received = Buffer.from(String(token || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Build the unsubscribe link for a user and category
+ * @param {string} userId - User ID
+ * @param {string} category - Email category, or 'all'
+ * @returns {string} Unsubscribe URL
+ */
+exports.getUnsubscribeUrl = (userId, category) => {
+  const params = new URLSearchParams({
+    user: userId.toString(),
+    category,
+    token: exports.getUnsubscribeToken(userId, category)
+  });
+  return `${config.apiUrl}/api/email/unsubscribe?${params}`;
+};
+
+/**
+ * Check whether a user still receives emails of a category
+ * @param {Object} user - User document with `emailUnsubscribed`
+ * @param {string} category - Email category
+ * @returns {boolean} True unless the user unsubscribed from it or from everything
+ */
+exports.isSubscribed = (user, category) => {
+  const unsubscribed = user.emailUnsubscribed || [];
+  return !unsubscribed.includes('all') && !unsubscribed.includes(category);
+};
+
+/**
+ * Render a template for a user and send it, unless they unsubscribed
+ * Failures are logged, not thrown, so they never break the action that caused them
+ * @param {Object|string} recipient - User document or ID
+ * @param {string} templateName - Template name (see utils/emailTemplates.js)
+ * @param {Object} [variables] - Template variables
+ * @returns {Object|null} `messageId`, or null if nothing was sent
+ */
+exports.sendEmail = async (recipient, templateName, variables = {}) => {
+  try {
+    const template = getEmailTemplate(templateName);
+    if (!template) {
+      throw new Error(`Unknown email template: ${templateName}`);
+    }
+
+    const user = recipient.email
+      ? recipient
+      : await User.findById(recipient).select('name email emailUnsubscribed');
+    if (!user || !exports.isSubscribed(user, template.category)) {
+      return null;
+    }
+
+    const unsubscribeUrl = exports.getUnsubscribeUrl(user._id, template.category);
+    const { subject, html, text } = renderEmail(templateName, {
+      ...variables,
+      name: user.name,
+      appUrl: config.appUrl,
+      unsubscribeUrl
+    });
+
+    return await exports.getEmailTransport().send({
+      from: config.from,
+      to: user.email,
+      subject,
+      html,
+      text,
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    });
+  } catch (error) {
+    console.error(`Send "${templateName}" email error:`, error);
+    return null;
+  }
+};
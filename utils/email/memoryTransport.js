@@ -0,0 +1,32 @@
+/**
+ * In-memory email transport for development and tests
+ * Sent emails are kept in order and can be read back with `getSentEmails`.
+ */
+
+const sent = [];
+
+exports.name = 'memory';
+
+/**
+ * Record an email instead of delivering it
+ * @param {Object} email - `from`, `to`, `subject`, `html`, `text` and `headers`
+ * @returns {Object} `messageId`
+ */
+exports.send = async (email) => {
+  const messageId = `memory-${Date.now()}-${sent.length + 1}`;
+  sent.push({ ...email, messageId, sentAt: new Date() });
+  return { messageId };
+};
+
+/**
+ * Get every email sent since the last reset
+ * @returns {Array<Object>} Sent emails, oldest first
+ */
+exports.getSentEmails = () => sent.slice();
+
+/**
+ * Forget every sent email
+ */
+exports.reset = () => {
+  sent.length = 0;
+};
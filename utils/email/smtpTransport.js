@@ -0,0 +1,42 @@
+/**
+ * SMTP email transport, configured with the SMTP_* environment variables
+ */
+
+const nodemailer = require('nodemailer');
+const config = require('../../config/email');
+
+let transporter = null;
+
+/**
+ * Create the SMTP connection pool on first use
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    if (!config.smtp.host) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+
+    transporter = nodemailer.createTransport({
+      host: config.smtp.host,
+      port: config.smtp.port,
+      secure: config.smtp.secure,
+      pool: true,
+      auth: config.smtp.user
+        ? { user: config.smtp.user, pass: config.smtp.pass }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+exports.name = 'smtp';
+
+/**
+ * Deliver an email through the SMTP server
+ * @param {Object} email - `from`, `to`, `subject`, `html`, `text` and `headers`
+ * @returns {Object} `messageId`
+ */
+exports.send = async (email) => {
+  const info = await getTransporter().sendMail(email);
+  return { messageId: info.messageId };
+};
@@ -1,6 +1,183 @@
+/**
+ * Email template registry
+ *
+ * Every template has a `category` (see config/email.js) and renders a
+ * `subject`, `html` and `text` from per-user variables. The sender adds
+ * `name`, `appUrl` and `unsubscribeUrl` to every template's variables.
+ */
+
+/**
+ * Escape a value for use in HTML
+ */
+const escapeHtml = (value) => {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Wrap a template's HTML body with the shared footer
+ */
+const layout = (body, { unsubscribeUrl }) => {
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      ${body}
+      <hr>
+      <p style="font-size: 12px; color: #888;">
+        You are receiving this email because you have a GloUp account.
+        <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a>
+      </p>
+    </div>
+  `;
+};
+
+/**
+ * Add the shared footer to a template's plain text body
+ */
+const textLayout = (body, { unsubscribeUrl }) => {
+  return `${body}\n\n--\nUnsubscribe: ${unsubscribeUrl}\n`;
+};
+
 const welcomeEmail = (username) => {
   return `
-    <h1>Welcome to Relove, ${username}!</h1>
+    <h1>Welcome to Relove, ${escapeHtml(username)}!</h1>
     <p>Thank you for joining our community of sustainable fashion enthusiasts...</p>
   `;
-}; 
\ No newline at end of file
+};
+
+const templates = {
+  welcome: {
+    category: 'account',
+    subject: () => 'Welcome to GloUp!',
+    html: (vars) => `
+      ${welcomeEmail(vars.name)}
+      <p><a href="${escapeHtml(vars.appUrl)}">Start browsing</a></p>
+    `,
+    text: (vars) => `Welcome to Relove, ${vars.name}!\n\nThank you for joining our community of sustainable fashion enthusiasts...\n\nStart browsing: ${vars.appUrl}`
+  },
+
+  offer_received: {
+    category: 'offers',
+    subject: (vars) => `New offer on ${vars.productTitle}`,
+    html: (vars) => `
+      <h2>You have a new offer</h2>
+      <p>Hi ${escapeHtml(vars.name)}, ${escapeHtml(vars.buyerName)} offered ${escapeHtml(vars.price)} for ${escapeHtml(vars.productTitle)}.</p>
+      <p><a href="${escapeHtml(vars.offerUrl)}">Review the offer</a></p>
+    `,
+    text: (vars) => `Hi ${vars.name}, ${vars.buyerName} offered ${vars.price} for ${vars.productTitle}.\n\nReview the offer: ${vars.offerUrl}`
+  },
+
+  offer_countered: {
+    category: 'offers',
+    subject: (vars) => `Counter offer on ${vars.productTitle}`,
+    html: (vars) => `
+      <h2>You have a counter offer</h2>
+      <p>Hi ${escapeHtml(vars.name)}, ${escapeHtml(vars.senderName)} countered with ${escapeHtml(vars.price)} for ${escapeHtml(vars.productTitle)}.</p>
+      <p><a href="${escapeHtml(vars.offerUrl)}">Respond to the offer</a></p>
+    `,
+    text: (vars) => `Hi ${vars.name}, ${vars.senderName} countered with ${vars.price} for ${vars.productTitle}.\n\nRespond to the offer: ${vars.offerUrl}`
+  },
+
+  offer_accepted: {
+    category: 'offers',
+    subject: (vars) => `Your offer on ${vars.productTitle} was accepted`,
+    html: (vars) => `
+      <h2>Offer accepted</h2>
+      <p>Hi ${escapeHtml(vars.name)}, ${escapeHtml(vars.senderName)} accepted ${escapeHtml(vars.price)} for ${escapeHtml(vars.productTitle)}.</p>
+      <p><a href="${escapeHtml(vars.offerUrl)}">View the offer</a></p>
+    `,
+    text: (vars) => `Hi ${vars.name}, ${vars.senderName} accepted ${vars.price} for ${vars.productTitle}.\n\nView the offer: ${vars.offerUrl}`
+  },
+
+  offer_rejected: {
+    category: 'offers',
+    subject: (vars) => `Your offer on ${vars.productTitle} was declined`,
+    html: (vars) => `
+      <h2>Offer declined</h2>
+      <p>Hi ${escapeHtml(vars.name)}, ${escapeHtml(vars.senderName)} declined the offer for ${escapeHtml(vars.productTitle)}.</p>
+      <p><a href="${escapeHtml(vars.appUrl)}">Keep browsing</a></p>
+    `,
+    text: (vars) => `Hi ${vars.name}, ${vars.senderName} declined the offer for ${vars.productTitle}.\n\nKeep browsing: ${vars.appUrl}`
+  },
+
+  listing_sold: {
+    category: 'sales',
+    subject: (vars) => `${vars.productTitle} has sold`,
+    html: (vars) => `
+      <h2>Your item sold!</h2>
+      <p>Hi ${escapeHtml(vars.name)}, ${escapeHtml(vars.productTitle)} has been sold for ${escapeHtml(vars.price)}.</p>
+      <p><a href="${escapeHtml(vars.orderUrl)}">View the order</a></p>
+    `,
+    text: (vars) => `Hi ${vars.name}, ${vars.productTitle} has been sold for ${vars.price}.\n\nView the order: ${vars.orderUrl}`
+  },
+
+  saved_search_digest: {
+    category: 'searches',
+    subject: () => 'New listings matching your saved searches',
+    html: (vars) => `
+      <h2>New matches for your saved searches</h2>
+      <p>Hi ${escapeHtml(vars.name)}, here is what was listed since our last email.</p>
+      ${vars.searches.map(search => `
+        <h3>${escapeHtml(search.name)}</h3>
+        <ul>
+          ${search.products.map(product => `
+            <li><a href="${escapeHtml(product.url)}">${escapeHtml(product.title)}</a> - ${escapeHtml(product.price)}</li>
+          `).join('')}
+        </ul>
+      `).join('')}
+    `,
+    text: (vars) => [
+      `Hi ${vars.name}, here is what was listed since our last email.`,
+      ...vars.searches.map(search => [
+        `\n${search.name}`,
+        ...search.products.map(product => `- ${product.title} - ${product.price}: ${product.url}`)
+      ].join('\n'))
+    ].join('\n')
+  }
+};
+
+/**
+ * Register an additional email template
+ * @param {string} name - Template name
+ * @param {Object} template - `category`, and `subject`, `html` and `text` functions of the variables
+ */
+const registerEmailTemplate = (name, template) => {
+  templates[name] = template;
+};
+
+/**
+ * Get a template by name
+ * @param {string} name - Template name
+ * @returns {Object|undefined} Template
+ */
+const getEmailTemplate = (name) => templates[name];
+
+/**
+ * Render a template
+ * @param {string} name - Template name
+ * @param {Object} vars - Template variables, including `unsubscribeUrl`
+ * @returns {Object} `subject`, `html` and `text`
+ */
+const renderEmail = (name, vars) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return {
+    subject: template.subject(vars),
+    html: layout(template.html(vars), vars),
+    text: textLayout(template.text(vars), vars)
+  };
+};
+
+module.exports = {
+  escapeHtml,
+  welcomeEmail,
+  registerEmailTemplate,
+  getEmailTemplate,
+  renderEmail
+};
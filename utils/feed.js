@@ -0,0 +1,303 @@
+const Product = require('../models/Product');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const config = require('../config/feed');
+const { addressToLocation, buildNearFilter, getDistanceKm } = require('./geo');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Remember that a user viewed a product, keeping their newest
+ * `recentViewsLimit` views. Errors are logged, not thrown.
+ * @param {string} userId - Viewer
+ * @param {string} productId - Product viewed
+ */
+exports.recordProductView = async (userId, productId) => {
+  try {
+    // Move a repeat view to the front rather than listing it twice
+    await User.updateOne({ _id: userId }, { $pull: { recentlyViewed: { product: productId } } });
+    await User.updateOne({ _id: userId }, {
+      $push: {
+        recentlyViewed: {
+          $each: [{ product: productId, viewedAt: new Date() }],
+          $position: 0,
+          $slice: config.recentViewsLimit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Record product view error:', error);
+  }
+};
+
+/**
+ * Add weight to a taste entry, keeping the first spelling seen
+ */
+const addWeight = (map, value, weight) => {
+  const key = normalize(value);
+  if (!key) return;
+  const entry = map.get(key) || { text: value, weight: 0 };
+  entry.weight += weight;
+  map.set(key, entry);
+};
+
+/**
+ * Scale a taste map's weights to 0-1
+ */
+const toAffinities = (map) => {
+  const max = Math.max(0, ...[...map.values()].map(entry => entry.weight));
+  map.forEach(entry => {
+    entry.affinity = max > 0 ? entry.weight / max : 0;
+  });
+  return map;
+};
+
+/**
+ * Work out a user's taste from the products they favorited, bought and
+ * recently viewed; recent views count for less the older they are
+ * @param {Object} user - User document
+ * @returns {Object} `brands`, `sizes` and `categories` (key -> { text, affinity }),
+ *   `typicalPrice` and `engaged` (false for users with no history yet)
+ */
+exports.buildTaste = async (user) => {
+  const { engagementWeights } = config;
+
+  const orders = await Order.find({ buyer: user._id })
+    .select('items.product')
+    .sort({ createdAt: -1 })
+    .limit(config.recentOrdersLimit)
+    .lean();
+
+  // Product ID -> engagement weight
+  const engagement = new Map();
+  const engage = (productId, weight) => {
+    const key = productId.toString();
+    engagement.set(key, (engagement.get(key) || 0) + weight);
+  };
+
+  (user.favorites || []).forEach(productId => engage(productId, engagementWeights.favorite));
+  orders.forEach(order => {
+    order.items.forEach(item => engage(item.product, engagementWeights.purchase));
+  });
+  (user.recentlyViewed || []).forEach((view, index) => {
+    engage(view.product, engagementWeights.view * (1 - index / config.recentViewsLimit));
+  });
+
+  const brands = new Map();
+  const sizes = new Map();
+  const categories = new Map();
+  let priceWeight = 0;
+  let priceTotal = 0;
+
+  if (engagement.size > 0) {
+    const products = await Product.find({ _id: { $in: [...engagement.keys()] } })
+      .select('brand size category price')
+      .lean();
+
+    products.forEach(product => {
+      const weight = engagement.get(product._id.toString());
+      addWeight(brands, product.brand, weight);
+      addWeight(sizes, product.size, weight);
+      addWeight(categories, product.category, weight);
+      if (product.price > 0) {
+        priceWeight += weight;
+        priceTotal += product.price * weight;
+      }
+    });
+  }
+
+  return {
+    brands: toAffinities(brands),
+    sizes: toAffinities(sizes),
+    categories: toAffinities(categories),
+    typicalPrice: priceWeight > 0 ? priceTotal / priceWeight : null,
+    engaged: engagement.size > 0
+  };
+};
+
+/**
+ * Fetch the listings worth scoring: the newest, the most viewed (for new
+ * users), those matching the user's brands and sizes, and those nearby
+ */
+const findCandidates = async (user, taste, origin) => {
+  const base = { isAvailable: true };
+  if (user) {
+    base.seller = { $ne: user._id };
+    // Favorites are already saved, so they are not suggested again
+    if (user.favorites && user.favorites.length > 0) base._id = { $nin: user.favorites };
+  }
+
+  const find = (filter, sort) => Product.find({ ...base, ...filter })
+    .select('-priceHistory')
+    .sort(sort)
+    .limit(config.candidateLimit);
+
+  const queries = [find({}, { createdAt: -1 })];
+
+  if (taste.engaged) {
+    const tasteFilters = [];
+    if (taste.brands.size > 0) {
+      tasteFilters.push({ brand: { $in: [...taste.brands.values()].map(entry => entry.text) } });
+    }
+    if (taste.sizes.size > 0) {
+      tasteFilters.push({ size: { $in: [...taste.sizes.values()].map(entry => entry.text) } });
+    }
+    if (tasteFilters.length > 0) {
+      queries.push(find({ $or: tasteFilters }, { createdAt: -1 }));
+    }
+  } else {
+    queries.push(find({}, { views: -1 }));
+  }
+
+  if (origin) {
+    queries.push(find(buildNearFilter(origin), { createdAt: -1 }));
+  }
+
+  const results = await Promise.all(queries);
+
+  const candidates = new Map();
+  results.flat().forEach(product => candidates.set(product._id.toString(), product));
+  return [...candidates.values()];
+};
+
+/**
+ * Score a listing for the feed
+ * @returns {Object} `score` and `reasons` ({ type, label })
+ */
+const scoreCandidate = (product, taste, origin, maxViews, now) => {
+  const { weights } = config;
+  const reasons = [];
+  let score = 0;
+
+  if (taste.engaged) {
+    const matches = [
+      ['brand', taste.brands.get(normalize(product.brand)), `You like ${product.brand}`],
+      ['size', taste.sizes.get(normalize(product.size)), `In your size (${product.size})`],
+      ['category', taste.categories.get(normalize(product.category)), null]
+    ];
+    matches.forEach(([type, entry, label]) => {
+      if (!entry || entry.affinity === 0) return;
+      score += weights[type] * entry.affinity;
+      if (label) reasons.push({ type, label });
+    });
+
+    if (taste.typicalPrice && product.price > 0) {
+      const ratio = Math.min(product.price, taste.typicalPrice) / Math.max(product.price, taste.typicalPrice);
+      score += weights.price * ratio;
+      if (ratio >= 0.75) reasons.push({ type: 'price', label: 'In your price range' });
+    }
+  } else if (maxViews > 0) {
+    const popularity = Math.log1p(product.views || 0) / Math.log1p(maxViews);
+    score += weights.popularity * popularity;
+    if (popularity >= 0.5) reasons.push({ type: 'popular', label: 'Popular right now' });
+  }
+
+  const point = product.location && product.location.point;
+  if (origin && point && point.coordinates && point.coordinates.length === 2) {
+    const distance = getDistanceKm(origin.coordinates, point.coordinates);
+    if (distance <= config.nearbyRadiusKm) {
+      score += weights.nearby * (1 - distance / config.nearbyRadiusKm);
+      reasons.push({ type: 'nearby', label: 'Near you' });
+    }
+  }
+
+  const ageDays = Math.max(0, now - product.createdAt) / DAY_MS;
+  const freshness = Math.pow(0.5, ageDays / config.freshnessHalfLifeDays);
+  score += weights.freshness * freshness;
+  if (ageDays < 3) reasons.push({ type: 'new', label: 'Just listed' });
+
+  return { score: round(score), reasons };
+};
+
+/**
+ * Order scored listings best first, multiplying a listing's score by
+ * `sellerRepeatPenalty` for every listing already ranked from its seller
+ * @param {Array<Object>} scored - Items with `product`, `score` and `seller`
+ * @param {number} count - How many to rank
+ * @returns {Array<Object>} The first `count` items in feed order
+ */
+const diversify = (scored, count) => {
+  const remaining = [...scored];
+  const shownBySeller = new Map();
+  const ranked = [];
+
+  while (ranked.length < count && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    remaining.forEach((item, index) => {
+      const adjusted = item.score * Math.pow(config.sellerRepeatPenalty, shownBySeller.get(item.seller) || 0);
+      if (adjusted > bestScore) {
+        bestScore = adjusted;
+        bestIndex = index;
+      }
+    });
+
+    const [best] = remaining.splice(bestIndex, 1);
+    shownBySeller.set(best.seller, (shownBySeller.get(best.seller) || 0) + 1);
+    ranked.push(best);
+  }
+
+  return ranked;
+};
+
+/**
+ * Get a page of the home feed
+ * Signed-in users with history get listings ranked by their taste; new and
+ * anonymous users get fresh, popular listings instead. Both get points for
+ * listings near the user's saved address.
+ * Only a bounded pool of candidates is ranked (a few `candidateLimit`s at
+ * most), so `candidates` and `pages` describe that pool, not every available
+ * listing.
+ * @param {Object} [user] - Signed-in user document
+ * @param {Object} [options]
+ * @param {number} [options.page] - Page number, from 1
+ * @param {number} [options.limit] - Page size
+ * @returns {Object} `products` (with `score` and `reasons`), `candidates`,
+ *   `page`, `pages` and `personalized`
+ */
+exports.getFeed = async (user, { page = 1, limit = config.defaultLimit } = {}) => {
+  const taste = user
+    ? await exports.buildTaste(user)
+    : { brands: new Map(), sizes: new Map(), categories: new Map(), typicalPrice: null, engaged: false };
+
+  const location = user ? addressToLocation(user.address) : null;
+  const origin = location && location.point
+    ? { coordinates: location.point.coordinates, radiusKm: config.nearbyRadiusKm }
+    : null;
+
+  const candidates = await findCandidates(user, taste, origin);
+
+  const now = Date.now();
+  const maxViews = Math.max(0, ...candidates.map(product => product.views || 0));
+  const scored = candidates
+    .map(product => ({
+      product,
+      seller: product.seller.toString(),
+      ...scoreCandidate(product, taste, origin, maxViews, now)
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const ranked = diversify(scored, page * limit).slice((page - 1) * limit);
+
+  const products = await Product.populate(
+    ranked.map(item => item.product),
+    { path: 'seller', select: 'name' }
+  );
+
+  return {
+    products: products.map((product, index) => ({
+      ...product.toJSON(),
+      score: ranked[index].score,
+      reasons: ranked[index].reasons
+    })),
+    candidates: candidates.length,
+    page,
+    pages: Math.ceil(candidates.length / limit),
+    personalized: taste.engaged
+  };
+};
@@ -0,0 +1,321 @@
+const Product = require('../models/Product');
+const config = require('../config/geo');
+const { countryAliases } = require('../config/shipping');
+
+// Mean radius of the Earth used by MongoDB's spherical queries
+const EARTH_RADIUS_KM = 6378.1;
+
+// Plain-text listings converted per run of convertLegacyLocations
+const LEGACY_BATCH_SIZE = 500;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Normalize a country name or code to a lowercase ISO code
+ */
+const normalizeCountry = (country) => {
+  const value = normalize(country);
+  return countryAliases[value] || value;
+};
+
+// Countries the geocoding table knows, as lowercase codes
+const KNOWN_COUNTRIES = new Set(config.cities.map(entry => entry.country.toLowerCase()));
+
+/**
+ * Build an error the controllers answer with 400
+ */
+const locationError = (message) => {
+  const error = new Error(message);
+  error.name = 'LocationError';
+  return error;
+};
+
+/**
+ * Parse a latitude and longitude pair
+ * @param {*} lat - Latitude
+ * @param {*} lng - Longitude
+ * @returns {Object|null} `lat` and `lng`, or null if either is missing or out of range
+ */
+exports.parseCoordinates = (lat, lng) => {
+  if (lat === undefined || lat === null || lat === '' ||
+      lng === undefined || lng === null || lng === '') {
+    return null;
+  }
+
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+
+  return { lat: latitude, lng: longitude };
+};
+
+/**
+ * Build a GeoJSON point rounded to `coordinatePrecision`, so stored
+ * locations are never more exact than a neighbourhood
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object} GeoJSON point ([longitude, latitude])
+ */
+exports.toPoint = (lat, lng) => {
+  const factor = Math.pow(10, config.coordinatePrecision);
+  const round = (value) => Math.round(value * factor) / factor;
+  return { type: 'Point', coordinates: [round(lng), round(lat)] };
+};
+
+/**
+ * Look up a city in the local geocoding table (config/geo.js)
+ * @param {Object} place - `city`, and optionally `region` and `country`
+ * @returns {Object|null} `city`, `region`, `country` and `point`, or null if unknown
+ */
+exports.geocode = ({ city, region, country } = {}) => {
+  const name = normalize(city);
+  if (!name) return null;
+
+  let matches = config.cities.filter(entry => {
+    return normalize(entry.city) === name || (entry.aliases || []).includes(name);
+  });
+
+  if (country) {
+    const code = normalizeCountry(country);
+    matches = matches.filter(entry => entry.country.toLowerCase() === code);
+  }
+
+  // Region spellings vary, so it only breaks ties
+  if (region) {
+    const regionName = normalize(region);
+    const inRegion = matches.filter(entry => {
+      return normalize(entry.region) === regionName || normalize(entry.regionCode) === regionName;
+    });
+    if (inRegion.length > 0) matches = inRegion;
+  }
+
+  const [match] = matches;
+  if (!match) return null;
+
+  return {
+    city: match.city,
+    region: match.region,
+    country: match.country,
+    point: exports.toPoint(match.lat, match.lng)
+  };
+};
+
+/**
+ * Read location input sent by a client
+ * Accepts an object or JSON string ({ city, region, country, lat, lng }) or
+ * plain text such as 'Leeds', 'Portland, Maine' or 'London, Ontario, Canada'
+ * @param {Object|string} value - Location input
+ * @returns {Object|null} `city`, `region`, `country`, `lat` and `lng`, or null if empty
+ */
+exports.parseLocationInput = (value) => {
+  if (!value) return null;
+
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      if (parsed && typeof parsed === 'object') return exports.parseLocationInput(parsed);
+    } catch (error) {
+      // Not JSON, so plain text
+    }
+
+    const parts = value.split(',').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) return null;
+
+    const [city, second, third] = parts;
+    if (third) return { city, region: second, country: third };
+    if (second && KNOWN_COUNTRIES.has(normalizeCountry(second))) return { city, country: second };
+    return { city, region: second };
+  }
+
+  if (typeof value !== 'object') return null;
+
+  return {
+    city: value.city ? String(value.city).trim() : '',
+    region: value.region ? String(value.region).trim() : '',
+    country: value.country ? String(value.country).trim() : '',
+    lat: value.lat,
+    lng: value.lng
+  };
+};
+
+/**
+ * Turn parsed location input into the location stored on a listing
+ * Explicit coordinates are rounded; otherwise the city is geocoded, and
+ * unknown cities are kept as text without a point
+ * @param {Object|null} input - Result of parseLocationInput
+ * @returns {Object|null} `city`, `region`, `country` and optional `point`
+ */
+exports.resolveLocation = (input) => {
+  if (!input) return null;
+
+  const text = {
+    city: input.city || '',
+    region: input.region || '',
+    country: input.country || ''
+  };
+
+  const coordinates = exports.parseCoordinates(input.lat, input.lng);
+  if (coordinates) {
+    return { ...text, point: exports.toPoint(coordinates.lat, coordinates.lng) };
+  }
+
+  return exports.geocode(text) || text;
+};
+
+/**
+ * Get the location of a saved address, using its stored point if it has one
+ * @param {Object} address - User address
+ * @returns {Object|null} Location, or null if the address has no city
+ */
+exports.addressToLocation = (address) => {
+  if (!address || !address.city) return null;
+
+  const location = {
+    city: address.city,
+    region: address.state || '',
+    country: address.country || ''
+  };
+
+  if (address.point && address.point.coordinates && address.point.coordinates.length === 2) {
+    return {
+      ...location,
+      point: { type: 'Point', coordinates: [...address.point.coordinates] }
+    };
+  }
+
+  return exports.resolveLocation(location);
+};
+
+/**
+ * Work out where a product search is centred and how far it reaches
+ * Uses `lat`/`lng`, `near` set to a city, or `near=me` for the caller's saved address
+ * @param {Object} query - Request query (lat, lng, near, radius)
+ * @param {Object} [user] - Signed-in user, for near=me
+ * @returns {Object|null} `coordinates` ([longitude, latitude]) and `radiusKm`,
+ *   or null if no location was sent
+ * @throws {Error} With `name` 'LocationError' if the location or radius is invalid
+ */
+exports.resolveSearchOrigin = (query, user) => {
+  let point = null;
+
+  if (query.near === 'me') {
+    if (!user) {
+      throw locationError('Sign in to search near your address');
+    }
+    const location = exports.addressToLocation(user.address);
+    if (!location || !location.point) {
+      throw locationError('Add a known city to your address to search near you');
+    }
+    point = location.point;
+  } else if (query.near) {
+    const location = exports.geocode(exports.parseLocationInput(String(query.near)));
+    if (!location) {
+      throw locationError('Unknown location');
+    }
+    point = location.point;
+  } else if (query.lat !== undefined || query.lng !== undefined) {
+    const coordinates = exports.parseCoordinates(query.lat, query.lng);
+    if (!coordinates) {
+      throw locationError('Invalid coordinates');
+    }
+    point = { type: 'Point', coordinates: [coordinates.lng, coordinates.lat] };
+  }
+
+  if (!point) return null;
+
+  let radiusKm = config.defaultRadiusKm;
+  if (query.radius !== undefined && query.radius !== '') {
+    radiusKm = Number(query.radius);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > config.maxRadiusKm) {
+      throw locationError(`Radius must be between 0 and ${config.maxRadiusKm} km`);
+    }
+  }
+
+  return { coordinates: point.coordinates, radiusKm };
+};
+
+/**
+ * Build the filter for listings within a radius of a point
+ * @param {Object} origin - Result of resolveSearchOrigin
+ * @returns {Object} MongoDB filter on `location.point`
+ */
+exports.buildNearFilter = ({ coordinates, radiusKm }) => {
+  return {
+    'location.point': {
+      $geoWithin: { $centerSphere: [coordinates, radiusKm / EARTH_RADIUS_KM] }
+    }
+  };
+};
+
+/**
+ * Great-circle distance between two points
+ * @param {Array<number>} from - [longitude, latitude]
+ * @param {Array<number>} to - [longitude, latitude]
+ * @returns {number} Distance in km
+ */
+exports.getDistanceKm = ([fromLng, fromLat], [toLng, toLat]) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(toLat - fromLat);
+  const dLng = toRadians(toLng - fromLng);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(fromLat)) * Math.cos(toRadians(toLat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Add each product's rounded distance from a search origin
+ * Distances are rounded up to `distanceStepKm`, so they cannot be used to
+ * pinpoint a seller
+ * @param {Array<Object>} products - Product documents
+ * @param {Object} origin - Result of resolveSearchOrigin
+ * @returns {Array<Object>} Product JSON with `distance` in km
+ */
+exports.withDistances = (products, origin) => {
+  const step = config.distanceStepKm;
+
+  return products.map(product => {
+    const point = product.location && product.location.point;
+    let distance = null;
+
+    if (point && point.coordinates && point.coordinates.length === 2) {
+      const km = exports.getDistanceKm(origin.coordinates, point.coordinates);
+      distance = Math.max(step, Math.ceil(km / step) * step);
+    }
+
+    return { ...product.toJSON(), distance };
+  });
+};
+
+/**
+ * Convert listings saved while `location` was plain text to structured
+ * locations, geocoding the text where the city is known
+ * @returns {number} Number of listings converted; 0 once none are left
+ */
+exports.convertLegacyLocations = async () => {
+  // Read through the driver: these documents do not cast to the current schema
+  const legacy = await Product.collection
+    .find({ location: { $type: 'string' } }, { projection: { location: 1 } })
+    .limit(LEGACY_BATCH_SIZE)
+    .toArray();
+
+  if (legacy.length === 0) return 0;
+
+  await Product.collection.bulkWrite(legacy.map(product => ({
+    updateOne: {
+      filter: { _id: product._id, location: product.location },
+      update: {
+        $set: {
+          location: exports.resolveLocation(exports.parseLocationInput(product.location)) ||
+            { city: '', region: '', country: '' }
+        }
+      }
+    }
+  })));
+
+  return legacy.length;
+};
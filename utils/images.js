@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const config = require('../config/images');
+
+/**
+ * Uploaded image processing
+ *
+ * Uploads are checked by their content, then re-encoded into the renditions
+ * in config/images.js as `/uploads/<name>-<suffix>.jpg` plus
+ * `/uploads/<name>-full.webp`. Re-encoding drops EXIF and GPS metadata, and
+ * the original file is deleted. Documents store the full rendition's URL;
+ * the others are derived from it with getImageRenditions.
+ */
+
+const uploadDir = path.join(__dirname, '../uploads');
+
+// Matches the URL of a processed image's full rendition
+const PROCESSED_URL = new RegExp(`^/uploads/([\\w-]+)-${config.renditions.full.suffix}\\.jpg$`);
+
+/**
+ * Build an error the upload middleware answers with 400
+ */
+const imageError = (message) => {
+  const error = new Error(message);
+  error.name = 'ImageError';
+  return error;
+};
+
+/**
+ * Detect an image format from a file's first bytes
+ * @param {Buffer} buffer - Start of the file (12 bytes is enough)
+ * @returns {string|null} 'jpeg', 'png', 'gif' or 'webp', or null if not an image
+ */
+exports.detectImageType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.length >= 8 &&
+      buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) {
+    return 'gif';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' &&
+      buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  return null;
+};
+
+/**
+ * Read the first bytes of a file
+ */
+const readHeader = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(12);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Get the URLs of an image's renditions
+ * Images uploaded before processing (or hosted elsewhere) use their own URL
+ * for every rendition
+ * @param {string} url - Stored image URL
+ * @returns {Object|null} `thumbnail`, `medium`, `full` and `webp` URLs, or null without a URL
+ */
+exports.getImageRenditions = (url) => {
+  if (!url) return null;
+
+  const match = PROCESSED_URL.exec(url);
+  if (!match) {
+    return { thumbnail: url, medium: url, full: url, webp: url };
+  }
+
+  const base = `/uploads/${match[1]}`;
+  const renditions = {};
+  Object.entries(config.renditions).forEach(([name, rendition]) => {
+    renditions[name] = `${base}-${rendition.suffix}.jpg`;
+  });
+  renditions.webp = `${base}-${config.renditions.full.suffix}.webp`;
+  return renditions;
+};
+
+/**
+ * Check an uploaded file is a real image, then write its renditions and
+ * delete the original
+ * @param {string} filePath - Path multer saved the upload to
+ * @returns {Object} `filename` and `path` of the full rendition, and `renditions` URLs
+ * @throws {Error} With `name` 'ImageError' if the file is not an accepted image
+ */
+exports.processImage = async (filePath) => {
+  const type = exports.detectImageType(await readHeader(filePath));
+  if (!type || !config.acceptedFormats.includes(type)) {
+    throw imageError('Only JPEG, PNG, WebP and GIF images are allowed');
+  }
+
+  // Random names, so nothing from the client's filename ends up in URLs
+  const name = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+  const written = [];
+
+  try {
+    // rotate() applies the EXIF orientation; output carries no metadata
+    const image = sharp(filePath, { limitInputPixels: config.maxInputPixels })
+      .rotate()
+      .flatten({ background: config.background });
+
+    for (const rendition of Object.values(config.renditions)) {
+      const output = path.join(uploadDir, `${name}-${rendition.suffix}.jpg`);
+      await image.clone()
+        .resize({
+          width: rendition.width,
+          height: rendition.height,
+          fit: rendition.fit,
+          withoutEnlargement: true
+        })
+        .jpeg({ quality: rendition.quality })
+        .toFile(output);
+      written.push(output);
+    }
+
+    const full = config.renditions.full;
+    const webpOutput = path.join(uploadDir, `${name}-${full.suffix}.webp`);
+    await image.clone()
+      .resize({ width: full.width, height: full.height, fit: full.fit, withoutEnlargement: true })
+      .webp({ quality: config.webpQuality })
+      .toFile(webpOutput);
+    written.push(webpOutput);
+  } catch (error) {
+    written.forEach(output => fs.rmSync(output, { force: true }));
+    console.error('Image processing error:', error.message);
+    throw imageError('Image could not be read');
+  } finally {
+    fs.rmSync(filePath, { force: true });
+  }
+
+  const filename = `${name}-${config.renditions.full.suffix}.jpg`;
+  return {
+    filename,
+    path: path.join(uploadDir, filename),
+    renditions: exports.getImageRenditions(`/uploads/${filename}`)
+  };
+};
+
+/**
+ * Delete an uploaded image and all its renditions from disk
+ * @param {string} url - Stored image URL
+ */
+exports.removeImage = (url) => {
+  if (!url || !url.startsWith('/uploads/')) return;
+
+  const renditions = exports.getImageRenditions(url);
+  new Set([url, ...Object.values(renditions)]).forEach(renditionUrl => {
+    // Only ever delete directly inside uploads/
+    fs.rmSync(path.join(uploadDir, path.basename(renditionUrl)), { force: true });
+  });
+};
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const User = require('../models/User');
+
+// Share of each sale kept by the platform
+const PLATFORM_FEE_PERCENT = Number(process.env.PLATFORM_FEE_PERCENT) || 10;
+
+// Days sale proceeds are held before they can be paid out
+const FUNDS_HOLD_DAYS = Number(process.env.SELLER_FUNDS_HOLD_DAYS) || 7;
+
+// How long a payout lock is held at most, if its request never finishes
+const PAYOUT_LOCK_MS = 30 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const newTransactionId = () => crypto.randomBytes(12).toString('hex');
+
+/**
+ * Get the platform fee for a sale amount
+ * @param {number} amount - Sale amount
+ * @returns {number} Fee amount
+ */
+exports.getPlatformFee = (amount) => roundAmount(amount * PLATFORM_FEE_PERCENT / 100);
+
+/**
+ * Credit a seller for a paid order and debit the platform fee
+ * The items are credited as the sale and the shipping the buyer paid as its
+ * own entry; the platform fee is only taken on the items.
+ * Does nothing if the order's sale was already recorded: the unique sale
+ * index rejects the sale entry, and the fee after it is never inserted
+ * @param {Object} order - Paid order
+ * @param {Object} payment - Payment that paid for the order
+ */
+exports.recordSale = async (order, payment) => {
+  const transaction = newTransactionId();
+  const availableAt = new Date(Date.now() + FUNDS_HOLD_DAYS * 24 * 60 * 60 * 1000);
+  const base = {
+    seller: order.seller,
+    transaction,
+    currency: payment.currency,
+    availableAt,
+    order: order._id,
+    payment: payment._id
+  };
+
+  const entries = [{ ...base, type: 'sale', amount: order.subtotal, description: 'Sale' }];
+  if (order.shippingCost > 0) {
+    entries.push({ ...base, type: 'shipping', amount: order.shippingCost, description: 'Shipping' });
+  }
+  entries.push({ ...base, type: 'platform_fee', amount: -exports.getPlatformFee(order.subtotal), description: 'Platform fee' });
+
+  try {
+    await LedgerEntry.insertMany(entries);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Reverse the sales covered by a refund, returning the matching platform fee
+ * The refund is spread over the given orders in proportion to their totals,
+ * and only the items' part of each order's share returns platform fee
+ * @param {Object} payment - Refunded payment
+ * @param {Array<Object>} orders - Orders the refund covers
+ * @param {number} refundAmount - Amount refunded
+ */
+exports.recordRefund = async (payment, orders, refundAmount) => {
+  const entries = [];
+  const ordersTotal = orders.reduce((sum, order) => sum + order.total, 0);
+  if (ordersTotal <= 0) return;
+
+  orders.forEach(order => {
+    const share = roundAmount(refundAmount * order.total / ordersTotal);
+    if (share <= 0) return;
+
+    const itemsShare = order.total > 0 ? share * order.subtotal / order.total : 0;
+
+    const transaction = newTransactionId();
+    const base = {
+      seller: order.seller,
+      transaction,
+      currency: payment.currency,
+      order: order._id,
+      payment: payment._id
+    };
+
+    entries.push(
+      { ...base, type: 'refund', amount: -share, description: 'Refund' },
+      { ...base, type: 'fee_reversal', amount: exports.getPlatformFee(itemsShare), description: 'Platform fee reversal' }
+    );
+  });
+
+  if (entries.length > 0) {
+    await LedgerEntry.insertMany(entries);
+  }
+};
+
+/**
+ * Get how much of an order has been refunded so far
+ * @param {string} orderId - Order ID
+ * @returns {number} Refunded amount
+ */
+exports.getRefundedAmount = async (orderId) => {
+  const [result] = await LedgerEntry.aggregate([
+    { $match: { order: new mongoose.Types.ObjectId(orderId), type: 'refund' } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+
+  return result ? roundAmount(-result.amount) : 0;
+};
+
+/**
+ * Withdraw a requested payout from the seller's available balance
+ * @param {Object} payout - Payout document
+ */
+exports.recordPayout = async (payout) => {
+  await LedgerEntry.create({
+    seller: payout.seller,
+    transaction: newTransactionId(),
+    type: 'payout',
+    amount: -payout.amount,
+    currency: payout.currency,
+    payout: payout._id,
+    description: 'Payout requested'
+  });
+};
+
+/**
+ * Run a task while holding the seller's payout lock, so balance checks and
+ * withdrawals from concurrent payout requests cannot interleave
+ * @param {string} sellerId - Seller's user ID
+ * @param {Function} task - Async function to run under the lock
+ * @returns {*} What the task returns
+ * @throws {Error} With `name` 'PayoutLockError' if another request holds the lock
+ */
+exports.withPayoutLock = async (sellerId, task) => {
+  const now = new Date();
+  const locked = await User.findOneAndUpdate(
+    {
+      _id: sellerId,
+      $or: [
+        { payoutLockedUntil: { $exists: false } },
+        { payoutLockedUntil: { $lte: now } }
+      ]
+    },
+    { $set: { payoutLockedUntil: new Date(now.getTime() + PAYOUT_LOCK_MS) } }
+  );
+
+  if (!locked) {
+    const error = new Error('Another payout request is being processed');
+    error.name = 'PayoutLockError';
+    throw error;
+  }
+
+  try {
+    return await task();
+  } finally {
+    await User.updateOne({ _id: sellerId }, { $unset: { payoutLockedUntil: '' } });
+  }
+};
+
+/**
+ * Return a rejected payout to the seller's available balance
+ * @param {Object} payout - Payout document
+ */
+exports.reversePayout = async (payout) => {
+  await LedgerEntry.create({
+    seller: payout.seller,
+    transaction: newTransactionId(),
+    type: 'payout_reversal',
+    amount: payout.amount,
+    currency: payout.currency,
+    payout: payout._id,
+    description: 'Payout rejected'
+  });
+};
+
+/**
+ * Get a seller's available and pending balance
+ * @param {string} sellerId - Seller's user ID
+ * @returns {Object} `available` and `pending` amounts
+ */
+exports.getBalance = async (sellerId) => {
+  const now = new Date();
+
+  const [result] = await LedgerEntry.aggregate([
+    { $match: { seller: new mongoose.Types.ObjectId(sellerId) } },
+    {
+      $group: {
+        _id: null,
+        available: {
+          $sum: { $cond: [{ $lte: ['$availableAt', now] }, '$amount', 0] }
+        },
+        pending: {
+          $sum: { $cond: [{ $gt: ['$availableAt', now] }, '$amount', 0] }
+        }
+      }
+    }
+  ]);
+
+  return {
+    available: roundAmount(result ? result.available : 0),
+    pending: roundAmount(result ? result.pending : 0)
+  };
+};
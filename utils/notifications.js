@@ -0,0 +1,64 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { types } = require('../config/notifications');
+const { publishEvent } = require('./realtime');
+const { sendPush } = require('./push');
+
+/**
+ * Check whether a user wants notifications of a type
+ * @param {Object} user - User document with `notificationPreferences`
+ * @param {string} type - Notification type
+ * @returns {boolean} True unless the user switched the type off
+ */
+exports.isNotificationEnabled = (user, type) => {
+  const preferences = user.notificationPreferences;
+  if (!preferences) return true;
+  return preferences.get(type) !== false;
+};
+
+/**
+ * Create notifications for users who have the type switched on
+ * Failures are logged, not thrown, so they never break the action that caused them
+ * @param {Array<string>} userIds - Recipient user IDs
+ * @param {string} type - Notification type (see config/notifications.js)
+ * @param {Object} content - `title`, `body` and `product`, `offer`, `order` or `review` IDs
+ * @returns {Array<Object>} Created notifications
+ */
+exports.notifyUsers = async (userIds, type, content) => {
+  try {
+    if (!types[type]) {
+      throw new Error(`Unknown notification type: ${type}`);
+    }
+
+    const ids = [...new Set(userIds.filter(Boolean).map(userId => (userId._id || userId).toString()))];
+    if (ids.length === 0) return [];
+
+    const users = await User.find({ _id: { $in: ids } }).select('notificationPreferences');
+    const recipients = users.filter(user => exports.isNotificationEnabled(user, type));
+    if (recipients.length === 0) return [];
+
+    const notifications = await Notification.insertMany(
+      recipients.map(user => ({ ...content, user: user._id, type }))
+    );
+
+    notifications.forEach(notification => {
+      publishEvent([notification.user], 'notification.new', { notification });
+      sendPush([notification.user], {
+        title: notification.title,
+        body: notification.body,
+        data: {
+          type: notification.type,
+          notificationId: notification._id,
+          productId: notification.product,
+          offerId: notification.offer,
+          orderId: notification.order
+        }
+      });
+    });
+
+    return notifications;
+  } catch (error) {
+    console.error(`Create "${type}" notification error:`, error);
+    return [];
+  }
+};
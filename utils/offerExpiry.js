@@ -0,0 +1,38 @@
+const Offer = require('../models/Offer');
+
+// Used when a listing does not set its own offer expiry window
+const DEFAULT_OFFER_EXPIRY_HOURS = 48;
+
+/**
+ * Get the expiry date for an offer or counter offer made now
+ * @param {number} [hours] - Listing's offer expiry window in hours
+ * @returns {Date} Expiry date
+ */
+exports.getOfferExpiryDate = (hours) => {
+  const windowHours = hours || DEFAULT_OFFER_EXPIRY_HOURS;
+  return new Date(Date.now() + windowHours * 60 * 60 * 1000);
+};
+
+/**
+ * Check whether an open offer is past its expiry date
+ * @param {Object} offer - Offer document
+ * @returns {boolean} True if the offer has expired
+ */
+exports.isOfferExpired = (offer) => {
+  return ['pending', 'countered'].includes(offer.status) &&
+    Boolean(offer.expiresAt) &&
+    offer.expiresAt <= new Date();
+};
+
+/**
+ * Mark all open offers past their expiry date as expired
+ */
+exports.expireOverdueOffers = async () => {
+  await Offer.updateMany(
+    {
+      status: { $in: ['pending', 'countered'] },
+      expiresAt: { $lte: new Date() }
+    },
+    { $set: { status: 'expired' } }
+  );
+};
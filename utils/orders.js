@@ -0,0 +1,262 @@
+const Offer = require('../models/Offer');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { consumeReservation, restoreReservation } = require('./reservations');
+const { quoteCart, quoteProduct, resolveDestination } = require('./shipping');
+const { publishEvent } = require('./realtime');
+const { notifyUsers } = require('./notifications');
+const { sendEmail } = require('./email');
+const { appUrl } = require('../config/email');
+
+// How long an order can stay unpaid before it is cancelled
+const UNPAID_ORDER_HOURS = Number(process.env.UNPAID_ORDER_HOURS) || 24;
+
+/**
+ * Mark products as unavailable, skipping any that were already taken
+ * @param {Array} productIds - Product IDs to claim
+ * @returns {Array<string>} IDs of the products that were claimed
+ */
+exports.claimProducts = async (productIds) => {
+  const claimed = [];
+
+  // Claim one at a time so a concurrent buyer can only win each item once
+  for (const productId of productIds) {
+    const result = await Product.updateOne(
+      { _id: productId, isAvailable: true },
+      { $set: { isAvailable: false } }
+    );
+    if (result.modifiedCount === 1) {
+      claimed.push(productId.toString());
+    }
+  }
+
+  return claimed;
+};
+
+/**
+ * Make products available again (e.g. after a cancelled order)
+ * @param {Array} productIds - Product IDs to release
+ */
+exports.releaseProducts = async (productIds) => {
+  if (!productIds || productIds.length === 0) return;
+
+  await Product.updateMany(
+    { _id: { $in: productIds } },
+    { $set: { isAvailable: true } }
+  );
+};
+
+/**
+ * Create one order per seller from a list of purchased lines
+ * @param {string} buyerId - Buyer's user ID
+ * @param {Array<Object>} lines - Lines with a populated `product`, `price` and `quantity`
+ * @param {Object} [options] - `offer` for offer purchases and `shipping`, the
+ *   selected shipping quote per seller ID
+ * @returns {Array<Object>} Created orders
+ */
+exports.createOrders = async (buyerId, lines, options = {}) => {
+  // Group lines by seller
+  const linesBySeller = {};
+  lines.forEach(line => {
+    const sellerId = line.product.seller.toString();
+    if (!linesBySeller[sellerId]) {
+      linesBySeller[sellerId] = [];
+    }
+    linesBySeller[sellerId].push(line);
+  });
+
+  const orders = [];
+  for (const [sellerId, sellerLines] of Object.entries(linesBySeller)) {
+    const items = sellerLines.map(line => ({
+      product: line.product._id,
+      title: line.product.title,
+      price: line.price,
+      images: line.product.images,
+      quantity: line.quantity || 1
+    }));
+
+    const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const shippingQuote = (options.shipping || {})[sellerId];
+    const shippingCost = shippingQuote ? shippingQuote.cost : 0;
+
+    const order = new Order({
+      buyer: buyerId,
+      seller: sellerId,
+      offer: options.offer,
+      items,
+      subtotal,
+      shippingCost,
+      shippingMethod: shippingQuote ? shippingQuote.method : undefined,
+      total: subtotal + shippingCost,
+      statusHistory: [{ status: 'placed', changedBy: buyerId }]
+    });
+
+    await order.save();
+    orders.push(order);
+
+    publishEvent([sellerId], 'product.sold', {
+      orderId: order._id,
+      products: items.map(item => ({ product: item.product, title: item.title }))
+    });
+
+    for (const item of items) {
+      notifyUsers([sellerId], 'product_sold', {
+        title: 'Item sold',
+        body: `${item.title} has been sold`,
+        product: item.product,
+        order: order._id
+      });
+      sendEmail(sellerId, 'listing_sold', {
+        productTitle: item.title,
+        price: item.price,
+        orderUrl: `${appUrl}/orders/${order._id}`
+      });
+
+      // Let everyone else who saved the item know it is gone
+      const fans = await User.find({ favorites: item.product, _id: { $ne: buyerId } }).select('_id');
+      notifyUsers(fans.map(fan => fan._id), 'favorite_sold', {
+        title: 'Favorite sold',
+        body: `${item.title} from your favorites has been sold`,
+        product: item.product
+      });
+    }
+  }
+
+  return orders;
+};
+
+/**
+ * Buy every available item in a user's cart, one order per seller
+ * Purchased lines are removed from the cart, the rest are left in place
+ * @param {Object} user - User document
+ * @param {string} [shippingMethod] - Preferred shipping method
+ * @returns {Object} Created `orders` and the `unavailableItems` left in the cart
+ */
+exports.checkoutCart = async (user, shippingMethod) => {
+  await user.populate({
+    path: 'cart.product',
+    select: 'title price images seller isAvailable shipping'
+  });
+
+  // Skip deleted, unavailable and own products
+  const purchasable = user.cart.filter(item =>
+    item.product &&
+    item.product.isAvailable &&
+    item.product.seller.toString() !== user._id.toString()
+  );
+
+  // Reserve the products so no one else can buy them
+  const claimedIds = await exports.claimProducts(purchasable.map(item => item.product._id));
+  const purchasedLines = purchasable.filter(item =>
+    claimedIds.includes(item.product._id.toString())
+  );
+
+  if (purchasedLines.length === 0) {
+    return { orders: [], unavailableItems: user.cart };
+  }
+
+  let orders;
+  try {
+    // Quote shipping per seller to the buyer's address
+    const { parcels } = await quoteCart(purchasedLines, resolveDestination(user), shippingMethod);
+    const shipping = {};
+    parcels.forEach(parcel => {
+      shipping[parcel.seller] = parcel.selected;
+    });
+
+    orders = await exports.createOrders(user._id, purchasedLines.map(item => ({
+      product: item.product,
+      price: item.product.price,
+      quantity: item.quantity
+    })), { shipping });
+  } catch (error) {
+    await exports.releaseProducts(claimedIds);
+    throw error;
+  }
+
+  // Remove purchased lines from the cart, keep the rest
+  user.cart = user.cart.filter(item =>
+    !item.product || !claimedIds.includes(item.product._id.toString())
+  );
+  await user.save();
+
+  return { orders, unavailableItems: user.cart };
+};
+
+/**
+ * Create the order for an accepted offer at the negotiated price
+ * @param {Object} offer - Accepted offer document
+ * @param {string} [shippingMethod] - Preferred shipping method
+ * @returns {Object|null} Created order, or null if the reservation has lapsed
+ */
+exports.purchaseAcceptedOffer = async (offer, shippingMethod) => {
+  const productId = offer.product._id || offer.product;
+
+  // The product must still be reserved for this buyer
+  const reserved = await consumeReservation(productId, offer.buyer);
+  if (!reserved) {
+    return null;
+  }
+
+  let order;
+  try {
+    await offer.populate({
+      path: 'product',
+      select: 'title images seller shipping'
+    });
+
+    // Shipping is charged on top of the negotiated price
+    const buyer = await User.findById(offer.buyer).select('address');
+    const { selected } = await quoteProduct(offer.product, resolveDestination(buyer), shippingMethod);
+
+    [order] = await exports.createOrders(offer.buyer, [{
+      product: offer.product,
+      price: offer.acceptedPrice,
+      quantity: 1
+    }], {
+      offer: offer._id,
+      shipping: { [offer.product.seller.toString()]: selected }
+    });
+  } catch (error) {
+    // Keep the product reserved so the buyer can try again
+    await restoreReservation(productId, offer.buyer, offer.reservedUntil);
+    throw error;
+  }
+
+  offer.order = order._id;
+  await offer.save();
+
+  return order;
+};
+
+/**
+ * Cancel orders left unpaid for too long and put their products back on sale
+ * An accepted offer whose order is cancelled this way expires
+ */
+exports.cancelUnpaidOrders = async () => {
+  const cutoff = new Date(Date.now() - UNPAID_ORDER_HOURS * 60 * 60 * 1000);
+  const orders = await Order.find({ status: 'placed', createdAt: { $lte: cutoff } })
+    .select('items offer');
+
+  for (const order of orders) {
+    // Skip orders paid since they were loaded
+    const cancelled = await Order.findOneAndUpdate(
+      { _id: order._id, status: 'placed' },
+      {
+        $set: { status: 'cancelled' },
+        $push: { statusHistory: { status: 'cancelled', changedAt: new Date() } }
+      }
+    );
+    if (!cancelled) continue;
+
+    await exports.releaseProducts(order.items.map(item => item.product));
+
+    if (order.offer) {
+      await Offer.updateOne(
+        { _id: order.offer, status: 'accepted' },
+        { $set: { status: 'expired' } }
+      );
+    }
+  }
+};
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cursor pagination
+ *
+ * A cursor is an opaque token holding the sort values and `_id` of the last
+ * item on a page. The next page starts strictly after it, so items added or
+ * removed while a user scrolls cause no duplicates or gaps, and no count or
+ * skip is needed. `_id` breaks ties between items with equal sort values.
+ */
+
+// Largest page size a client can ask for
+const MAX_LIMIT = 100;
+
+/**
+ * Check whether a request asked for cursor pagination
+ * Send `cursor` (empty for the first page) to use it; otherwise lists keep
+ * their page-number (or unpaginated) behavior
+ * @param {Object} query - Request query
+ * @returns {boolean} True for cursor mode
+ */
+exports.isCursorRequest = (query) => query.cursor !== undefined;
+
+/**
+ * Parse a page size, with a default and upper bound
+ * @param {string|number} limit - Requested page size
+ * @param {number} defaultLimit - Size to use when none was sent
+ * @returns {number} Page size
+ */
+exports.parseLimit = (limit, defaultLimit) => {
+  const parsed = parseInt(limit);
+  if (!(parsed > 0)) return defaultLimit;
+  return Math.min(parsed, MAX_LIMIT);
+};
+
+/**
+ * Encode the cursor for the item a page ends with
+ */
+const encodeCursor = (doc, fields) => {
+  const values = fields.map(field => {
+    const value = doc.get ? doc.get(field) : doc[field];
+    return value instanceof Date ? { d: value.toISOString() } : value;
+  });
+  return Buffer.from(JSON.stringify([...values, doc._id.toString()])).toString('base64url');
+};
+
+/**
+ * Turn a decoded cursor value back into a sort value
+ * Only numbers, strings and `{ d }` dates are accepted: cursors come from
+ * clients, and any other object (e.g. `{ "$ne": null }`) would be read by
+ * MongoDB as an operator.
+ * @returns {number|string|Date|undefined} Sort value, or undefined if invalid
+ */
+const parseCursorValue = (value) => {
+  if (typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value))) {
+    return value;
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value) &&
+      Object.keys(value).length === 1 && typeof value.d === 'string') {
+    const date = new Date(value.d);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+
+  return undefined;
+};
+
+/**
+ * Decode a cursor into sort values and an `_id`
+ * @throws {Error} With `name` 'CursorError' if the cursor is malformed
+ */
+const decodeCursor = (cursor, fields) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    decoded = null;
+  }
+
+  const values = Array.isArray(decoded) ? decoded.slice(0, fields.length).map(parseCursorValue) : [];
+  const id = Array.isArray(decoded) ? decoded[fields.length] : null;
+
+  if (!Array.isArray(decoded) || decoded.length !== fields.length + 1 ||
+      values.includes(undefined) ||
+      typeof id !== 'string' || !mongoose.isValidObjectId(id)) {
+    const error = new Error('Invalid cursor');
+    error.name = 'CursorError';
+    throw error;
+  }
+
+  return { values, id: new mongoose.Types.ObjectId(id) };
+};
+
+/**
+ * Build the filter for items after a cursor, comparing sort values in order
+ * ((a > x) or (a = x and b > y) or (a = x and b = y and _id > z))
+ */
+const buildAfterFilter = (keys, directions, keyValues) => {
+  return {
+    $or: keys.map((key, index) => {
+      const clause = {};
+      for (let i = 0; i < index; i++) {
+        clause[keys[i]] = keyValues[i];
+      }
+      clause[key] = { [directions[index] === 1 ? '$gt' : '$lt']: keyValues[index] };
+      return clause;
+    })
+  };
+};
+
+/**
+ * Fetch one page of results with cursor pagination
+ * @param {Object} Model - Mongoose model
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} options
+ * @param {Object} options.sort - Sort fields and directions (no $meta sorts);
+ *   `_id` is added as the tie-breaker
+ * @param {string} [options.cursor] - Cursor from the previous page
+ * @param {number} options.limit - Page size
+ * @param {Function} [options.build] - Adds select/populate to the query
+ * @returns {Object} `items`, `nextCursor` (null on the last page) and `hasMore`
+ * @throws {Error} With `name` 'CursorError' if the cursor is malformed
+ */
+exports.findPageByCursor = async (Model, filter, { sort, cursor, limit, build }) => {
+  const fields = Object.keys(sort).filter(field => field !== '_id');
+  const directions = fields.map(field => sort[field]);
+
+  // _id follows the direction of the last sort field
+  const idDirection = sort._id || (fields.length > 0 ? directions[directions.length - 1] : -1);
+  const fullSort = { ...sort, _id: idDirection };
+
+  let query = filter;
+  if (cursor) {
+    const { values, id } = decodeCursor(cursor, fields);
+    const after = buildAfterFilter([...fields, '_id'], [...directions, idDirection], [...values, id]);
+    query = filter.$or ? { $and: [filter, after] } : { ...filter, ...after };
+  }
+
+  let findQuery = Model.find(query).sort(fullSort).limit(limit + 1);
+  if (build) findQuery = build(findQuery);
+
+  const docs = await findQuery;
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], fields) : null,
+    hasMore
+  };
+};
@@ -0,0 +1,60 @@
+/**
+ * Payment provider registry
+ *
+ * Every provider implements the same interface:
+ *   createIntent({ amount, currency, metadata }) -> { id, clientSecret, status }
+ *   confirmIntent(intentId, { paymentMethod }) -> { id, status }
+ *   refund(intentId, amount) -> { id, amount, status }
+ *   verifyWebhook(rawBody, headers) -> { type, intentId, refundId, amount }
+ *   isConfigured() -> whether its credentials and webhook secret are set
+ *
+ * Webhook event types are normalized to 'payment.succeeded',
+ * 'payment.failed' and 'payment.refunded'.
+ */
+
+const mockProvider = require('./mockProvider');
+
+const providers = {
+  [mockProvider.name]: mockProvider
+};
+
+/**
+ * Register an additional payment provider
+ * @param {string} name - Provider name, as used in PAYMENT_PROVIDER
+ * @param {Object} provider - Provider implementation
+ */
+exports.registerPaymentProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+/**
+ * Get a payment provider by name
+ * @param {string} [name] - Provider name, defaults to PAYMENT_PROVIDER or 'mock'
+ * @returns {Object} Provider implementation
+ */
+exports.getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+/**
+ * Check payments are configured for production
+ * Only enforced when NODE_ENV is 'production'; anywhere else payments may
+ * fall back to the mock provider and its built-in webhook secret.
+ * @throws {Error} If PAYMENT_PROVIDER or the provider's secrets are missing
+ */
+exports.checkPaymentConfig = () => {
+  if (process.env.NODE_ENV !== 'production') return;
+
+  if (!process.env.PAYMENT_PROVIDER) {
+    throw new Error('PAYMENT_PROVIDER must be set in production');
+  }
+
+  const provider = exports.getPaymentProvider();
+  if (!provider.isConfigured()) {
+    throw new Error(`Payment provider ${provider.name} is missing its webhook secret`);
+  }
+};
@@ -0,0 +1,136 @@
+/**
+ * Payment lifecycle: applies provider results to payments, orders,
+ * products and the seller ledger
+ */
+
+const Order = require('../../models/Order');
+const Payment = require('../../models/Payment');
+const Product = require('../../models/Product');
+const { getPaymentProvider } = require('./index');
+const { releaseProducts } = require('../orders');
+const { recordSale, recordRefund, getRefundedAmount } = require('../ledger');
+
+/**
+ * Mark a payment as succeeded, its orders as paid and its products as sold,
+ * crediting each seller's ledger
+ * Orders that were paid by another payment or cancelled while this one was
+ * pending are skipped and their share is refunded
+ * The webhook and the confirm endpoint can both report the same success, so
+ * the transition is claimed atomically and only the first caller applies it.
+ * @param {Object} payment - Payment document
+ */
+exports.applyPaymentSucceeded = async (payment) => {
+  if (['succeeded', 'refunded'].includes(payment.status)) return;
+
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $nin: ['succeeded', 'refunded'] } },
+    { $set: { status: 'succeeded' } }
+  );
+  if (!claimed) return;
+
+  payment.status = 'succeeded';
+
+  const orders = await Order.find({ _id: { $in: payment.orders } });
+  const placedOrders = orders.filter(order => order.status === 'placed');
+  const skippedTotal = orders
+    .filter(order => order.status !== 'placed')
+    .reduce((sum, order) => sum + order.total, 0);
+
+  if (skippedTotal > 0) {
+    const refund = await getPaymentProvider(payment.provider)
+      .refund(payment.providerIntentId, skippedTotal);
+    payment.refunds.push({ providerRefundId: refund.id, amount: refund.amount });
+
+    if (placedOrders.length === 0) {
+      payment.status = 'refunded';
+    }
+  }
+
+  await payment.save();
+
+  const productIds = placedOrders.reduce((ids, order) =>
+    ids.concat(order.items.map(item => item.product)), []);
+  await Product.updateMany(
+    { _id: { $in: productIds } },
+    { $set: { isAvailable: false } }
+  );
+
+  for (const order of placedOrders) {
+    order.setStatus('paid');
+    await order.save();
+    await recordSale(order, payment);
+  }
+};
+
+/**
+ * Mark a payment as failed; the orders stay placed so the buyer can retry
+ * @param {Object} payment - Payment document
+ */
+exports.applyPaymentFailed = async (payment) => {
+  if (payment.status !== 'requires_confirmation') return;
+
+  payment.status = 'failed';
+  await payment.save();
+};
+
+/**
+ * Put orders that never shipped back on sale
+ */
+const cancelUnshippedOrders = async (orders) => {
+  const unshippedOrders = orders.filter(order => ['placed', 'paid'].includes(order.status));
+  for (const order of unshippedOrders) {
+    order.setStatus('cancelled');
+    await order.save();
+    await releaseProducts(order.items.map(item => item.product));
+  }
+};
+
+/**
+ * Record a refund, reverse it in the sellers' ledgers and cancel the orders
+ * once they are fully refunded
+ * @param {Object} payment - Payment document
+ * @param {Object} refund - Provider refund with `id` and `amount`
+ * @param {Array<string>} [orderIds] - Orders the refund is for, defaults to all the payment's orders
+ */
+exports.applyPaymentRefunded = async (payment, refund, orderIds) => {
+  payment.refunds.push({ providerRefundId: refund.id, amount: refund.amount });
+
+  const paidOrders = await Order.find({ _id: { $in: orderIds || payment.orders } });
+  await recordRefund(payment, paidOrders, refund.amount);
+
+  const refundedAmount = payment.refunds.reduce((sum, item) => sum + item.amount, 0);
+  if (refundedAmount < payment.amount) {
+    await payment.save();
+
+    if (orderIds) {
+      const refundedOrders = [];
+      for (const order of paidOrders) {
+        if (await getRefundedAmount(order._id) >= order.total) {
+          refundedOrders.push(order);
+        }
+      }
+      await cancelUnshippedOrders(refundedOrders);
+    }
+    return;
+  }
+
+  payment.status = 'refunded';
+  await payment.save();
+
+  await cancelUnshippedOrders(
+    orderIds ? await Order.find({ _id: { $in: payment.orders } }) : paidOrders
+  );
+};
+
+/**
+ * Refund a succeeded payment through its provider
+ * @param {Object} payment - Payment document
+ * @param {number} [amount] - Amount to refund, defaults to the remaining amount
+ * @param {Array<string>} [orderIds] - Orders the refund is for, defaults to all the payment's orders
+ */
+exports.refundPayment = async (payment, amount, orderIds) => {
+  const refund = await getPaymentProvider(payment.provider)
+    .refund(payment.providerIntentId, amount);
+
+  await exports.applyPaymentRefunded(payment, refund, orderIds);
+};
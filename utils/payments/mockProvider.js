@@ -0,0 +1,132 @@
+/**
+ * Local mock payment gateway
+ * Keeps payment intents in memory so payments can be exercised offline in
+ * development and tests. Webhooks are signed with an HMAC of the raw body.
+ */
+
+const crypto = require('crypto');
+
+// The built-in secret is public, so it is never used in production
+const WEBHOOK_SECRET = process.env.MOCK_PAYMENT_WEBHOOK_SECRET ||
+  (process.env.NODE_ENV !== 'production' ? 'mock_webhook_secret' : null);
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+// Payment method that always gets declined, for testing failures
+const DECLINED_PAYMENT_METHOD = 'mock_card_declined';
+
+const intents = new Map();
+
+const generateId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const sign = (payload) => {
+  if (!WEBHOOK_SECRET) {
+    throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is not set');
+  }
+  return crypto.createHmac('sha256', WEBHOOK_SECRET).update(payload).digest('hex');
+};
+
+exports.name = 'mock';
+
+/**
+ * Check the webhook secret is set
+ * @returns {boolean} True if webhooks can be verified
+ */
+exports.isConfigured = () => Boolean(WEBHOOK_SECRET);
+
+/**
+ * Create a payment intent
+ * @param {Object} params - `amount`, `currency` and optional `metadata`
+ * @returns {Object} Intent with `id`, `clientSecret` and `status`
+ */
+exports.createIntent = async ({ amount, currency = 'usd', metadata = {} }) => {
+  const id = generateId('mock_pi');
+  const intent = {
+    id,
+    amount,
+    currency,
+    metadata,
+    clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+    status: 'requires_confirmation',
+    refundedAmount: 0
+  };
+
+  intents.set(id, intent);
+  return { ...intent };
+};
+
+/**
+ * Confirm a payment intent
+ * @param {string} intentId - Intent ID
+ * @param {Object} [options] - `paymentMethod` to charge
+ * @returns {Object} Intent with its new `status` ('succeeded' or 'failed')
+ */
+exports.confirmIntent = async (intentId, { paymentMethod } = {}) => {
+  const intent = intents.get(intentId);
+  if (!intent) {
+    throw new Error(`Unknown payment intent: ${intentId}`);
+  }
+
+  intent.status = paymentMethod === DECLINED_PAYMENT_METHOD ? 'failed' : 'succeeded';
+  return { ...intent };
+};
+
+/**
+ * Refund a succeeded payment intent
+ * @param {string} intentId - Intent ID
+ * @param {number} [amount] - Amount to refund, defaults to the remaining amount
+ * @returns {Object} Refund with `id`, `amount` and `status`
+ */
+exports.refund = async (intentId, amount) => {
+  const intent = intents.get(intentId);
+  if (!intent) {
+    throw new Error(`Unknown payment intent: ${intentId}`);
+  }
+
+  if (intent.status !== 'succeeded') {
+    throw new Error('Only succeeded payments can be refunded');
+  }
+
+  const refundAmount = amount || intent.amount - intent.refundedAmount;
+  if (refundAmount <= 0 || intent.refundedAmount + refundAmount > intent.amount) {
+    throw new Error('Refund amount exceeds the amount paid');
+  }
+
+  intent.refundedAmount += refundAmount;
+  return { id: generateId('mock_re'), amount: refundAmount, status: 'succeeded' };
+};
+
+/**
+ * Verify a webhook request and turn it into a normalized event
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {Object} headers - Request headers
+ * @returns {Object} Event with `type`, `intentId` and optional `refundId`/`amount`
+ */
+exports.verifyWebhook = (rawBody, headers) => {
+  const signature = headers[SIGNATURE_HEADER];
+  if (!signature || !rawBody) {
+    throw new Error('Missing webhook signature');
+  }
+
+  const expected = Buffer.from(sign(rawBody));
+  const received = Buffer.from(String(signature));
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  const event = JSON.parse(rawBody.toString());
+  return {
+    type: event.type,
+    intentId: event.data && event.data.intentId,
+    refundId: event.data && event.data.refundId,
+    amount: event.data && event.data.amount
+  };
+};
+
+/**
+ * Sign a webhook payload the way the mock gateway does (for dev and tests)
+ * @param {string} payload - JSON payload
+ * @returns {Object} Headers to send with the payload
+ */
+exports.signWebhookPayload = (payload) => {
+  return { [SIGNATURE_HEADER]: sign(payload) };
+};
@@ -0,0 +1,45 @@
+const User = require('../models/User');
+const { notifyUsers } = require('./notifications');
+
+/**
+ * Get the target price a user set for a favorite
+ * @param {Object} user - User document with `favoriteTargetPrices`
+ * @param {string} productId - Product ID
+ * @returns {number|null} Target price, or null if none is set
+ */
+exports.getTargetPrice = (user, productId) => {
+  if (!user.favoriteTargetPrices) return null;
+  const target = user.favoriteTargetPrices.get(productId.toString());
+  return target === undefined ? null : target;
+};
+
+/**
+ * Notify users who favorited a product that its price dropped
+ * Users with a target price are only notified once the price reaches it.
+ * Failures are logged, not thrown, so they never break the price update
+ * @param {Object} product - Product with its new price
+ * @param {number} previousPrice - Price before the change
+ */
+exports.alertPriceDrop = async (product, previousPrice) => {
+  try {
+    if (!(product.price < previousPrice) || !product.isAvailable) return;
+
+    const fans = await User.find({
+      favorites: product._id,
+      _id: { $ne: product.seller }
+    }).select('favoriteTargetPrices');
+
+    const recipients = fans.filter(fan => {
+      const target = exports.getTargetPrice(fan, product._id);
+      return target === null || product.price <= target;
+    });
+
+    await notifyUsers(recipients.map(fan => fan._id), 'price_drop', {
+      title: 'Price drop',
+      body: `${product.title} dropped from ${previousPrice} to ${product.price}`,
+      product: product._id
+    });
+  } catch (error) {
+    console.error('Price drop alert error:', error);
+  }
+};
@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const config = require('../config/search');
+const { expandSynonyms } = require('./searchTerms');
+const { buildNearFilter, withDistances } = require('./geo');
+
+// Filters that accept several comma-separated values and get facet counts
+const FACET_FIELDS = ['category', 'condition', 'brand', 'size', 'color', 'gender'];
+
+// Facets whose possible values come from the schema, so options with no matches still show
+const ENUM_FACETS = ['category', 'condition', 'gender'];
+
+/**
+ * Split a multi-select query value ('a,b' or ['a', 'b']) into values
+ * @param {string|Array<string>} value - Query value
+ * @returns {Array<string>} Values, empty if none were sent
+ */
+exports.parseList = (value) => {
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => String(item).trim()).filter(Boolean);
+};
+
+/**
+ * Build the MongoDB filters for a product listing query
+ * `base` always applies; each entry in `facets` is a filter the user can toggle
+ * @param {Object} query - Request query (category, condition, brand, size, color,
+ *   gender, priceMin, priceMax, seller, search)
+ * @param {Object} [options]
+ * @param {Object} [options.near] - Search origin from resolveSearchOrigin (utils/geo.js)
+ * @returns {Object} `base` and `facets` filters
+ */
+exports.buildFilters = (query, { near } = {}) => {
+  const base = {};
+  const facets = {};
+
+  if (query.seller) base.seller = new mongoose.Types.ObjectId(query.seller);
+
+  // Listings within the search radius
+  if (near) Object.assign(base, buildNearFilter(near));
+
+  // Search query (using text index), including configured synonyms
+  if (query.search) base.$text = { $search: expandSynonyms(query.search) };
+
+  FACET_FIELDS.forEach(field => {
+    const values = exports.parseList(query[field]);
+    if (values.length > 0) {
+      facets[field] = { [field]: { $in: values } };
+    }
+  });
+
+  if (query.priceMin || query.priceMax) {
+    const price = {};
+    if (query.priceMin) price.$gte = Number(query.priceMin);
+    if (query.priceMax) price.$lte = Number(query.priceMax);
+    facets.price = { price };
+  }
+
+  return { base, facets };
+};
+
+/**
+ * Combine the base filter with every facet filter except one
+ * @param {Object} filters - Result of buildFilters
+ * @param {string} [exclude] - Facet to leave out, so its own options still count
+ * @returns {Object} MongoDB filter
+ */
+exports.combineFilters = ({ base, facets }, exclude) => {
+  return Object.entries(facets).reduce((combined, [field, filter]) => {
+    return field === exclude ? combined : { ...combined, ...filter };
+  }, { ...base });
+};
+
+/**
+ * Get the sort for a listing sort option
+ * @param {string} sort - newest, oldest, price_low, price_high or relevance
+ * @param {boolean} hasSearch - Whether a text search is applied
+ * @returns {Object} MongoDB sort
+ */
+exports.getSortOption = (sort, hasSearch) => {
+  switch (sort) {
+    case 'oldest':
+      return { createdAt: 1 };
+    case 'price_low':
+      return { price: 1 };
+    case 'price_high':
+      return { price: -1 };
+    case 'relevance':
+      if (hasSearch) return { score: { $meta: 'textScore' }, createdAt: -1 };
+      return { createdAt: -1 };
+    case 'newest':
+    default:
+      return { createdAt: -1 };
+  }
+};
+
+/**
+ * Turn $group output into facet values, adding schema options with no matches
+ */
+const toFacetValues = (field, groups) => {
+  const counts = new Map(groups.map(group => [group._id, group.count]));
+
+  if (ENUM_FACETS.includes(field)) {
+    Product.schema.path(field).enumValues
+      .filter(value => value !== '' && !counts.has(value))
+      .forEach(value => counts.set(value, 0));
+  }
+
+  return [...counts.entries()].map(([value, count]) => ({ value, count }));
+};
+
+/**
+ * Turn $bucket output into price ranges
+ */
+const toPriceBuckets = (buckets) => {
+  const boundaries = config.priceBuckets;
+  const counts = new Map(buckets.map(bucket => [bucket._id, bucket.count]));
+
+  return boundaries.map((min, index) => ({
+    min,
+    max: index < boundaries.length - 1 ? boundaries[index + 1] : null,
+    count: (index < boundaries.length - 1 ? counts.get(min) : counts.get('above')) || 0
+  }));
+};
+
+/**
+ * Search products and count the options for every facet in one aggregation
+ * Each facet is counted with every other filter applied, so multi-select
+ * options stay visible after one of them is picked
+ * @param {Object} query - Request query (filters plus sort, page and limit)
+ * @param {Object} [options]
+ * @param {Object} [options.near] - Search origin; adds `distance` to each product
+ * @returns {Object} `products`, `total`, `page`, `pages` and `facets`
+ */
+exports.facetedSearch = async (query, { near } = {}) => {
+  const { sort = 'newest', page = 1, limit = 12 } = query;
+
+  const filters = exports.buildFilters(query, { near });
+  const hasSearch = Boolean(filters.base.$text);
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  // The base filter (with any $text search) runs once before $facet, since
+  // $text is only allowed in the first stage; facets only add their own filters
+  const facetMatch = (exclude) => ({
+    $match: exports.combineFilters({ base: {}, facets: filters.facets }, exclude)
+  });
+  const matchAll = facetMatch();
+
+  // The text score is added as a field before $facet
+  const sortOption = sort === 'relevance' && hasSearch
+    ? { score: -1, createdAt: -1 }
+    : exports.getSortOption(sort, hasSearch);
+
+  const facetStages = {
+    results: [
+      matchAll,
+      { $sort: sortOption },
+      { $skip: skip },
+      { $limit: limitNum },
+      { $project: { priceHistory: 0, score: 0 } }
+    ],
+    total: [matchAll, { $count: 'count' }],
+    price: [
+      facetMatch('price'),
+      {
+        $bucket: {
+          groupBy: '$price',
+          boundaries: config.priceBuckets,
+          default: 'above',
+          output: { count: { $sum: 1 } }
+        }
+      }
+    ]
+  };
+
+  FACET_FIELDS.forEach(field => {
+    facetStages[field] = [
+      facetMatch(field),
+      { $match: { [field]: { $nin: [null, ''] } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: config.facetValueLimit }
+    ];
+  });
+
+  const pipeline = [{ $match: filters.base }];
+  if (hasSearch) {
+    pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+  }
+  pipeline.push({ $facet: facetStages });
+
+  const [result] = await Product.aggregate(pipeline);
+
+  // Hydrate so results have the same virtuals and populated seller as GET /api/products
+  const products = await Product.populate(
+    result.results.map(doc => Product.hydrate(doc)),
+    { path: 'seller', select: 'name' }
+  );
+
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  const facets = { price: toPriceBuckets(result.price) };
+  FACET_FIELDS.forEach(field => {
+    facets[field] = toFacetValues(field, result[field]);
+  });
+
+  return {
+    products: near ? withDistances(products, near) : products,
+    total,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    facets
+  };
+};
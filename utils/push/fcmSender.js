@@ -0,0 +1,50 @@
+/**
+ * Firebase Cloud Messaging push sender, using the app's firebase-admin credentials
+ */
+
+const { admin } = require('../../config/firebase');
+
+// FCM accepts at most this many tokens per multicast request
+const BATCH_SIZE = 500;
+
+// Error codes meaning the token will never work again
+const INVALID_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+exports.name = 'fcm';
+
+/**
+ * Send a push to a set of device tokens
+ * @param {Array<string>} tokens - Device tokens
+ * @param {Object} message - `title`, `body` and `data`
+ * @returns {Object} `invalidTokens` FCM rejected
+ */
+exports.send = async (tokens, { title, body, data = {} }) => {
+  // FCM data values must be strings
+  const stringData = {};
+  Object.entries(data).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      stringData[key] = String(value);
+    }
+  });
+
+  const invalidTokens = [];
+  for (let i = 0; i < tokens.length; i += BATCH_SIZE) {
+    const batch = tokens.slice(i, i + BATCH_SIZE);
+    const response = await admin.messaging().sendEachForMulticast({
+      tokens: batch,
+      notification: { title, body },
+      data: stringData
+    });
+
+    response.responses.forEach((result, index) => {
+      if (!result.success && INVALID_TOKEN_ERRORS.includes(result.error.code)) {
+        invalidTokens.push(batch[index]);
+      }
+    });
+  }
+
+  return { invalidTokens };
+};
@@ -0,0 +1,73 @@
+/**
+ * Push notification delivery
+ *
+ * Every sender implements:
+ *   send(tokens, { title, body, data }) -> { invalidTokens }
+ *
+ * Tokens a sender reports as invalid are removed from the device registry.
+ * The sender is chosen with PUSH_SENDER ('log', 'recording' or 'fcm'). 'log'
+ * only logs pushes; 'recording' keeps them in memory for tests.
+ */
+
+const Device = require('../../models/Device');
+const logSender = require('./logSender');
+const recordingSender = require('./recordingSender');
+const fcmSender = require('./fcmSender');
+
+const senders = {
+  [logSender.name]: logSender,
+  [recordingSender.name]: recordingSender,
+  [fcmSender.name]: fcmSender
+};
+
+/**
+ * Register an additional push sender
+ * @param {string} name - Sender name, as used in PUSH_SENDER
+ * @param {Object} sender - Sender implementation
+ */
+exports.registerPushSender = (name, sender) => {
+  senders[name] = sender;
+};
+
+/**
+ * Get a push sender by name
+ * @param {string} [name] - Sender name, defaults to PUSH_SENDER or 'log'
+ * @returns {Object} Sender implementation
+ */
+exports.getPushSender = (name = process.env.PUSH_SENDER || 'log') => {
+  const sender = senders[name];
+  if (!sender) {
+    throw new Error(`Unknown push sender: ${name}`);
+  }
+  return sender;
+};
+
+/**
+ * Send a push to every registered device of some users
+ * Failures are logged, not thrown, so they never break the action that caused them
+ * @param {Array<string>} userIds - Recipient user IDs
+ * @param {Object} message - `title`, `body` and `data`
+ * @returns {number} Number of devices the push was sent to
+ */
+exports.sendPush = async (userIds, message) => {
+  try {
+    const ids = userIds.filter(Boolean).map(userId => userId._id || userId);
+    if (ids.length === 0) return 0;
+
+    const devices = await Device.find({ user: { $in: ids } }).select('token');
+    if (devices.length === 0) return 0;
+
+    const tokens = devices.map(device => device.token);
+    const { invalidTokens = [] } = await exports.getPushSender().send(tokens, message);
+
+    // Prune tokens the provider will never accept again
+    if (invalidTokens.length > 0) {
+      await Device.deleteMany({ token: { $in: invalidTokens } });
+    }
+
+    return tokens.length - invalidTokens.length;
+  } catch (error) {
+    console.error('Send push error:', error);
+    return 0;
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * Logging push sender, the default when PUSH_SENDER is not set
+ * Pushes are written to the console instead of being delivered, and
+ * nothing is kept in memory.
+ */
+
+exports.name = 'log';
+
+/**
+ * Log a push to a set of device tokens
+ * @param {Array<string>} tokens - Device tokens
+ * @param {Object} message - `title`, `body` and `data`
+ * @returns {Object} `invalidTokens`, always empty
+ */
+exports.send = async (tokens, { title }) => {
+  console.log(`Push "${title}" to ${tokens.length} device(s) (PUSH_SENDER not set, not delivered)`);
+  return { invalidTokens: [] };
+};
@@ -0,0 +1,49 @@
+/**
+ * Recording push sender for tests
+ * Pushes are kept in memory until `reset` instead of being delivered.
+ * Tokens marked invalid are reported back the way a real provider would.
+ */
+
+const sent = [];
+const invalidTokens = new Set();
+
+exports.name = 'recording';
+
+/**
+ * Record a push to a set of device tokens
+ * @param {Array<string>} tokens - Device tokens
+ * @param {Object} message - `title`, `body` and `data`
+ * @returns {Object} `invalidTokens` the provider rejected
+ */
+exports.send = async (tokens, message) => {
+  const rejected = tokens.filter(token => invalidTokens.has(token));
+  const delivered = tokens.filter(token => !invalidTokens.has(token));
+
+  if (delivered.length > 0) {
+    sent.push({ tokens: delivered, ...message, sentAt: new Date() });
+  }
+
+  return { invalidTokens: rejected };
+};
+
+/**
+ * Make the sender report a token as invalid from now on
+ * @param {string} token - Device token
+ */
+exports.markTokenInvalid = (token) => {
+  invalidTokens.add(token);
+};
+
+/**
+ * Get every push sent since the last reset
+ * @returns {Array<Object>} Sent pushes, oldest first
+ */
+exports.getSentPushes = () => sent.slice();
+
+/**
+ * Forget every sent push and invalid token
+ */
+exports.reset = () => {
+  sent.length = 0;
+  invalidTokens.clear();
+};
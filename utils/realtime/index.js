@@ -0,0 +1,113 @@
+/**
+ * Real-time event delivery
+ *
+ * Connected clients register a listener per user. Events go through an
+ * adapter so they reach users connected to any server instance. Every
+ * adapter implements:
+ *   publish({ userIds, type, data }) -> void | Promise
+ *   subscribe(handler) -> handler is called with each published message
+ *
+ * The default 'memory' adapter works within a single process. For several
+ * instances, register an adapter backed by a shared pub/sub (e.g. Redis)
+ * and select it with REALTIME_ADAPTER.
+ *
+ * Event types: 'offer.received', 'offer.countered', 'offer.accepted',
+ * 'offer.rejected', 'message.new', 'product.sold' and 'notification.new'.
+ */
+
+const memoryAdapter = require('./memoryAdapter');
+
+const adapters = {
+  [memoryAdapter.name]: memoryAdapter
+};
+
+// Listeners for users connected to this process, by user ID
+const listeners = new Map();
+
+let activeAdapter = null;
+
+/**
+ * Hand a published message to the listeners of its users on this process
+ */
+const deliver = ({ userIds, type, data }) => {
+  userIds.forEach(userId => {
+    const userListeners = listeners.get(userId);
+    if (!userListeners) return;
+
+    userListeners.forEach(listener => {
+      try {
+        listener(type, data);
+      } catch (error) {
+        console.error('Realtime listener error:', error);
+      }
+    });
+  });
+};
+
+/**
+ * Get the configured adapter, subscribing to it on first use
+ */
+const getAdapter = () => {
+  if (!activeAdapter) {
+    const name = process.env.REALTIME_ADAPTER || 'memory';
+    const adapter = adapters[name];
+    if (!adapter) {
+      throw new Error(`Unknown realtime adapter: ${name}`);
+    }
+    adapter.subscribe(deliver);
+    activeAdapter = adapter;
+  }
+  return activeAdapter;
+};
+
+/**
+ * Register an additional realtime adapter
+ * @param {string} name - Adapter name, as used in REALTIME_ADAPTER
+ * @param {Object} adapter - Adapter implementation
+ */
+exports.registerRealtimeAdapter = (name, adapter) => {
+  adapters[name] = adapter;
+};
+
+/**
+ * Start delivering a user's events to a listener
+ * @param {string} userId - User ID
+ * @param {Function} listener - Called with `(type, data)` for each event
+ * @returns {Function} Call to remove the listener
+ */
+exports.addListener = (userId, listener) => {
+  getAdapter();
+
+  const id = userId.toString();
+  if (!listeners.has(id)) {
+    listeners.set(id, new Set());
+  }
+  listeners.get(id).add(listener);
+
+  return () => {
+    const userListeners = listeners.get(id);
+    if (!userListeners) return;
+    userListeners.delete(listener);
+    if (userListeners.size === 0) {
+      listeners.delete(id);
+    }
+  };
+};
+
+/**
+ * Send an event to users, wherever they are connected
+ * Delivery is best-effort and never throws, so callers need not await it
+ * @param {Array<string>} userIds - Recipient user IDs
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ */
+exports.publishEvent = async (userIds, type, data) => {
+  try {
+    const recipients = userIds.filter(Boolean).map(userId => (userId._id || userId).toString());
+    if (recipients.length === 0) return;
+
+    await getAdapter().publish({ userIds: recipients, type, data });
+  } catch (error) {
+    console.error(`Publish realtime event "${type}" error:`, error);
+  }
+};
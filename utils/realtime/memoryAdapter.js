@@ -0,0 +1,29 @@
+/**
+ * In-process realtime adapter
+ *
+ * Delivers events to clients connected to this process only. Good for a
+ * single instance; use a shared pub/sub adapter when running several.
+ */
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+exports.name = 'memory';
+
+/**
+ * Publish an event to every subscriber
+ * @param {Object} message - `{ userIds, type, data }`
+ */
+exports.publish = (message) => {
+  emitter.emit('message', message);
+};
+
+/**
+ * Receive every published event
+ * @param {Function} handler - Called with each message
+ */
+exports.subscribe = (handler) => {
+  emitter.on('message', handler);
+};
@@ -0,0 +1,220 @@
+const Product = require('../models/Product');
+const User = require('../models/User');
+const config = require('../config/recommendations');
+
+/**
+ * Related product ("similar items") recommendations
+ *
+ * Candidates in the same category that share attributes with the product,
+ * plus items its fans also favorited, are scored by config/recommendations.js.
+ * Each product's scored items are cached for `cacheTtlMs`; availability and
+ * the caller's own listings are checked on every request.
+ */
+
+// Attributes compared as case-insensitive text, with the reason shown for a match
+const ATTRIBUTES = {
+  brand: 'Same brand',
+  subcategory: 'Same type',
+  style: 'Same style',
+  size: 'Same size',
+  gender: 'Same fit',
+  color: 'Same color',
+  material: 'Same material'
+};
+
+// Product ID -> { items, builtAt }
+const cache = new Map();
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Score how similar a candidate is to a product
+ * @param {Object} product - Product being viewed
+ * @param {Object} candidate - Possible related product
+ * @param {number} [coFavoriteShare] - Share (0-1) of the product's fans who
+ *   also favorited the candidate
+ * @returns {Object} `score` and `reasons` ({ type, label }) for each match
+ */
+exports.scoreSimilarity = (product, candidate, coFavoriteShare = 0) => {
+  const { weights } = config;
+  const reasons = [];
+  let score = 0;
+
+  Object.entries(ATTRIBUTES).forEach(([field, label]) => {
+    const value = normalize(product[field]);
+    if (value && value === normalize(candidate[field])) {
+      score += weights[field];
+      reasons.push({ type: field, label: `${label}: ${candidate[field]}` });
+    }
+  });
+
+  const candidateTags = new Set((candidate.tags || []).map(normalize));
+  const sharedTags = [...new Set((product.tags || []).map(normalize))]
+    .filter(tag => tag && candidateTags.has(tag))
+    .slice(0, config.maxSharedTags);
+  if (sharedTags.length > 0) {
+    score += weights.tag * sharedTags.length;
+    reasons.push({ type: 'tags', label: `Also tagged ${sharedTags.join(', ')}` });
+  }
+
+  if (product.price > 0 && candidate.price > 0) {
+    const ratio = Math.min(product.price, candidate.price) / Math.max(product.price, candidate.price);
+    if (ratio >= config.minPriceRatio) {
+      score += weights.price * ratio;
+      reasons.push({ type: 'price', label: 'Similar price' });
+    }
+  }
+
+  if (coFavoriteShare > 0) {
+    score += weights.coFavorite * coFavoriteShare;
+    reasons.push({ type: 'coFavorite', label: 'Favorited by people who like this item' });
+  }
+
+  return { score: round(score), reasons };
+};
+
+/**
+ * Count the other products favorited by users who favorited a product
+ * @returns {Map} Product ID -> share (0-1) of the sampled fans who favorited it
+ */
+const getCoFavoriteShares = async (productId) => {
+  const [groups, fans] = await Promise.all([
+    User.aggregate([
+      { $match: { favorites: productId } },
+      { $limit: config.coFavoriteSampleSize },
+      { $project: { favorites: 1 } },
+      { $unwind: '$favorites' },
+      { $match: { favorites: { $ne: productId } } },
+      { $group: { _id: '$favorites', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: config.candidateLimit }
+    ]),
+    User.countDocuments({ favorites: productId })
+  ]);
+
+  const sampled = Math.min(fans, config.coFavoriteSampleSize);
+  return new Map(groups.map(group => [group._id.toString(), group.count / sampled]));
+};
+
+/**
+ * Score the candidates for a product and keep the best `cacheSize`
+ */
+const buildRelated = async (product) => {
+  const coFavoriteShares = await getCoFavoriteShares(product._id);
+
+  // Same-category items sharing at least one attribute, and co-favorited items
+  const shared = Object.keys(ATTRIBUTES)
+    .filter(field => product[field])
+    .map(field => ({ [field]: product[field] }));
+  if (product.tags && product.tags.length > 0) {
+    shared.push({ tags: { $in: product.tags } });
+  }
+
+  const sources = [{ _id: { $in: [...coFavoriteShares.keys()] } }];
+  if (shared.length > 0) {
+    sources.push({ category: product.category, $or: shared });
+  }
+
+  const select = 'seller category subcategory brand style size gender color material tags price createdAt';
+  const candidates = await Product.find({
+    _id: { $ne: product._id },
+    isAvailable: true,
+    $or: sources
+  })
+    .select(select)
+    .sort({ createdAt: -1 })
+    .limit(config.candidateLimit)
+    .lean();
+
+  // Top up with the newest items in the category
+  if (candidates.length < config.cacheSize) {
+    const newest = await Product.find({
+      _id: { $nin: [product._id, ...candidates.map(candidate => candidate._id)] },
+      isAvailable: true,
+      category: product.category
+    })
+      .select(select)
+      .sort({ createdAt: -1 })
+      .limit(config.cacheSize - candidates.length)
+      .lean();
+    candidates.push(...newest);
+  }
+
+  return candidates
+    .map(candidate => ({
+      id: candidate._id.toString(),
+      seller: candidate.seller.toString(),
+      createdAt: candidate.createdAt,
+      ...exports.scoreSimilarity(product, candidate, coFavoriteShares.get(candidate._id.toString()))
+    }))
+    .sort((a, b) => b.score - a.score || b.createdAt - a.createdAt)
+    .slice(0, config.cacheSize);
+};
+
+/**
+ * Get a product's scored related items, from the cache while it is fresh
+ */
+const getScoredRelated = async (product) => {
+  const key = product._id.toString();
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.builtAt < config.cacheTtlMs) {
+    return cached.items;
+  }
+
+  const items = await buildRelated(product);
+
+  // Re-insert so the Map stays ordered oldest first, then drop expired entries
+  cache.delete(key);
+  cache.set(key, { items, builtAt: Date.now() });
+  for (const [entryKey, entry] of cache) {
+    if (Date.now() - entry.builtAt < config.cacheTtlMs) break;
+    cache.delete(entryKey);
+  }
+
+  return items;
+};
+
+/**
+ * Get the products most similar to a product, with why each was picked
+ * Sold or reserved items and the caller's own listings are left out
+ * @param {Object} product - Product document
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Caller, whose listings are excluded
+ * @param {number} [options.limit] - Most products returned
+ * @returns {Array<Object>} Product JSON with `score` and `reasons`
+ */
+exports.findRelatedProducts = async (product, { userId, limit = config.defaultLimit } = {}) => {
+  const scored = (await getScoredRelated(product))
+    .filter(item => !userId || item.seller !== userId.toString());
+
+  const products = await Product.find({
+    _id: { $in: scored.map(item => item.id) },
+    isAvailable: true
+  })
+    .select('-priceHistory')
+    .populate({
+      path: 'seller',
+      select: 'name'
+    });
+
+  const productsById = new Map(products.map(item => [item._id.toString(), item]));
+
+  return scored
+    .filter(item => productsById.has(item.id))
+    .slice(0, limit)
+    .map(item => ({
+      ...productsById.get(item.id).toJSON(),
+      score: item.score,
+      reasons: item.reasons
+    }));
+};
+
+/**
+ * Drop a product's cached related items, e.g. after it is edited
+ * @param {string} productId - Product ID
+ */
+exports.clearRelatedCache = (productId) => {
+  cache.delete(productId.toString());
+};
@@ -0,0 +1,100 @@
+const Offer = require('../models/Offer');
+const Product = require('../models/Product');
+const { publishEvent } = require('./realtime');
+const { notifyUsers } = require('./notifications');
+
+// How long a product stays reserved for the buyer after an offer is accepted
+const RESERVATION_HOURS = Number(process.env.OFFER_RESERVATION_HOURS) || 24;
+
+/**
+ * Reserve an offer's product for its buyer and close competing offers
+ * @param {Object} offer - Offer being accepted (product may be populated)
+ * @returns {Date|null} Reservation end, or null if the product is not available
+ */
+exports.reserveProductForOffer = async (offer) => {
+  const productId = offer.product._id || offer.product;
+  const reservedUntil = new Date(Date.now() + RESERVATION_HOURS * 60 * 60 * 1000);
+
+  // Only reserve a product that is still on sale
+  const result = await Product.updateOne(
+    { _id: productId, isAvailable: true },
+    { $set: { isAvailable: false, reservedFor: offer.buyer, reservedUntil } }
+  );
+
+  if (result.modifiedCount !== 1) {
+    return null;
+  }
+
+  // Auto-reject every other open offer on the product
+  const competingOffers = await Offer.find({
+    product: productId,
+    _id: { $ne: offer._id },
+    status: { $in: ['pending', 'countered'] }
+  }).select('buyer');
+
+  if (competingOffers.length > 0) {
+    await Offer.updateMany(
+      { _id: { $in: competingOffers.map(competing => competing._id) } },
+      { $set: { status: 'rejected' } }
+    );
+
+    competingOffers.forEach(competing => {
+      publishEvent([competing.buyer], 'offer.rejected', {
+        offer: { _id: competing._id, product: productId, status: 'rejected' }
+      });
+      notifyUsers([competing.buyer], 'offer_rejected', {
+        title: 'Offer rejected',
+        body: 'The seller accepted another offer for this item',
+        product: productId,
+        offer: competing._id
+      });
+    });
+  }
+
+  return reservedUntil;
+};
+
+/**
+ * Consume a buyer's reservation when they complete the purchase
+ * @param {string} productId - Reserved product ID
+ * @param {string} buyerId - Buyer the product is reserved for
+ * @returns {boolean} True if the reservation was still valid
+ */
+exports.consumeReservation = async (productId, buyerId) => {
+  const result = await Product.updateOne(
+    { _id: productId, reservedFor: buyerId, reservedUntil: { $gt: new Date() } },
+    { $unset: { reservedFor: '', reservedUntil: '' } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Give a buyer back a reservation consumed by a purchase that then failed
+ * @param {string} productId - Product ID
+ * @param {string} buyerId - Buyer the product was reserved for
+ * @param {Date} reservedUntil - Original reservation end
+ */
+exports.restoreReservation = async (productId, buyerId, reservedUntil) => {
+  await Product.updateOne(
+    { _id: productId, reservedFor: { $exists: false } },
+    { $set: { reservedFor: buyerId, reservedUntil } }
+  );
+};
+
+/**
+ * Put products back on sale when their reservation lapsed without a purchase
+ */
+exports.releaseExpiredReservations = async () => {
+  const now = new Date();
+
+  await Product.updateMany(
+    { reservedUntil: { $lte: now } },
+    { $set: { isAvailable: true }, $unset: { reservedFor: '', reservedUntil: '' } }
+  );
+
+  await Offer.updateMany(
+    { status: 'accepted', order: null, reservedUntil: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+};
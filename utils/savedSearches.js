@@ -0,0 +1,153 @@
+const SavedSearch = require('../models/SavedSearch');
+const { notifyUsers } = require('./notifications');
+const { sendEmail } = require('./email');
+const { appUrl } = require('../config/email');
+
+// Most matches kept per search between email digests
+const MAX_PENDING_MATCHES = 20;
+
+// Shortest time between two digests to the same user
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Find the saved searches a product matches
+ * Filters are checked by the query itself, so only candidate searches are loaded.
+ * Like the text search in GET /api/products, a search matches when any of its
+ * keywords appears in the listing.
+ * @param {Object} product - Product document
+ * @returns {Array<Object>} Matching saved searches
+ */
+exports.findMatchingSearches = async (product) => {
+  const tokens = SavedSearch.tokenize([
+    product.title,
+    product.description,
+    product.brand,
+    product.color,
+    product.material,
+    ...(product.tags || [])
+  ].join(' '));
+
+  return SavedSearch.find({
+    user: { $ne: product.seller },
+    'filters.category': { $in: [null, product.category] },
+    'filters.condition': { $in: [null, product.condition] },
+    $and: [
+      { $or: [{ 'filters.priceMin': null }, { 'filters.priceMin': { $lte: product.price } }] },
+      { $or: [{ 'filters.priceMax': null }, { 'filters.priceMax': { $gte: product.price } }] },
+      { $or: [{ keywords: { $size: 0 } }, { keywords: { $in: tokens } }] }
+    ]
+  });
+};
+
+/**
+ * Alert users whose saved searches match a new listing
+ * In-app alerts go out now; email alerts are queued for the next digest.
+ * Failures are logged, not thrown, so they never break listing creation
+ * @param {Object} product - Newly created product
+ */
+exports.alertSavedSearches = async (product) => {
+  try {
+    const searches = await exports.findMatchingSearches(product);
+    if (searches.length === 0) return;
+
+    // One in-app notification per user, even when several of their searches match
+    const inAppSearchByUser = new Map();
+    searches
+      .filter(search => search.alerts.inApp)
+      .forEach(search => {
+        const userId = search.user.toString();
+        if (!inAppSearchByUser.has(userId)) {
+          inAppSearchByUser.set(userId, search);
+        }
+      });
+
+    inAppSearchByUser.forEach((search, userId) => {
+      notifyUsers([userId], 'saved_search_match', {
+        title: `New match for "${search.name}"`,
+        body: `${product.title} - ${product.price}`,
+        product: product._id
+      });
+    });
+
+    await SavedSearch.updateMany(
+      { _id: { $in: searches.map(search => search._id) } },
+      { $set: { lastMatchedAt: new Date() } }
+    );
+
+    const digestIds = searches
+      .filter(search => search.alerts.emailDigest)
+      .map(search => search._id);
+
+    if (digestIds.length > 0) {
+      await SavedSearch.updateMany(
+        { _id: { $in: digestIds } },
+        { $push: { pendingMatches: { $each: [product._id], $slice: -MAX_PENDING_MATCHES } } }
+      );
+    }
+  } catch (error) {
+    console.error('Saved search alert error:', error);
+  }
+};
+
+/**
+ * Email each user one digest of the new matches for their saved searches,
+ * at most once per `DIGEST_INTERVAL_MS`. Meant to run often (e.g. hourly)
+ * so a missed run or restart only delays digests, never skips a day.
+ */
+exports.sendSavedSearchDigests = async () => {
+  const now = new Date();
+  const searches = await SavedSearch.find({
+    'alerts.emailDigest': true,
+    'pendingMatches.0': { $exists: true },
+    $or: [
+      { lastDigestAt: null },
+      { lastDigestAt: { $lte: new Date(now.getTime() - DIGEST_INTERVAL_MS) } }
+    ]
+  }).populate({
+    path: 'pendingMatches',
+    select: 'title price isAvailable'
+  });
+
+  const searchesByUser = new Map();
+  searches.forEach(search => {
+    const userId = search.user.toString();
+    if (!searchesByUser.has(userId)) {
+      searchesByUser.set(userId, []);
+    }
+    searchesByUser.get(userId).push(search);
+  });
+
+  for (const [userId, userSearches] of searchesByUser) {
+    // Skip listings that were deleted or sold since they matched
+    const sections = userSearches
+      .map(search => ({
+        name: search.name,
+        products: search.pendingMatches
+          .filter(product => product && product.isAvailable)
+          .map(product => ({
+            title: product.title,
+            price: product.price,
+            url: `${appUrl}/products/${product._id}`
+          }))
+      }))
+      .filter(section => section.products.length > 0);
+
+    if (sections.length > 0) {
+      await sendEmail(userId, 'saved_search_digest', { searches: sections });
+
+      // Start the interval for all the user's digests, not just these searches
+      await SavedSearch.updateMany(
+        { user: userId, 'alerts.emailDigest': true },
+        { $set: { lastDigestAt: now } }
+      );
+    }
+
+    // Only clear the matches included here; new ones may have arrived meanwhile
+    for (const search of userSearches) {
+      await SavedSearch.updateOne(
+        { _id: search._id },
+        { $pullAll: { pendingMatches: search.populated('pendingMatches') } }
+      );
+    }
+  }
+};
@@ -0,0 +1,47 @@
+/**
+ * Minimal in-process job scheduler for periodic maintenance tasks
+ */
+
+const jobs = {};
+
+/**
+ * Run a task every `intervalMs`, skipping a run if the previous one is still going
+ * @param {string} name - Unique job name
+ * @param {Function} task - Async function to run
+ * @param {number} intervalMs - Time between runs
+ */
+exports.scheduleJob = (name, task, intervalMs) => {
+  if (jobs[name]) {
+    clearInterval(jobs[name].timer);
+  }
+
+  const job = { running: false };
+
+  job.timer = setInterval(async () => {
+    if (job.running) return;
+
+    job.running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Scheduled job "${name}" error:`, error);
+    } finally {
+      job.running = false;
+    }
+  }, intervalMs);
+
+  // Do not keep the process alive just for scheduled jobs
+  job.timer.unref();
+  jobs[name] = job;
+};
+
+/**
+ * Stop a scheduled job
+ * @param {string} name - Job name
+ */
+exports.stopJob = (name) => {
+  if (jobs[name]) {
+    clearInterval(jobs[name].timer);
+    delete jobs[name];
+  }
+};
@@ -0,0 +1,251 @@
+const Product = require('../models/Product');
+const config = require('../config/search');
+
+/**
+ * Search term helpers for autocomplete, synonyms and typo tolerance
+ *
+ * A vocabulary of the brands, tags and title words of products on sale is
+ * built in memory and refreshed every `vocabularyTtlMs`, so suggestions and
+ * fuzzy matches never scan the products collection.
+ */
+
+// Lowercase synonym -> every term in its group
+const synonymGroups = new Map();
+config.synonyms.forEach(group => {
+  const terms = group.map(term => term.toLowerCase());
+  terms.forEach(term => synonymGroups.set(term, terms));
+});
+
+let vocabulary = null;
+let vocabularyBuiltAt = 0;
+let vocabularyBuilding = null;
+
+/**
+ * Split text into lowercase words
+ * @param {string} text - Text
+ * @returns {Array<string>} Words
+ */
+exports.tokenize = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1);
+};
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+exports.escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Add the synonyms of every word (and the whole query) to a search
+ * Multi-word synonyms are added as separate words: a quoted phrase would
+ * make text search require it, turning the expansion into a filter.
+ * @param {string} search - Search text
+ * @returns {string} Search text with synonyms appended
+ */
+exports.expandSynonyms = (search) => {
+  const text = String(search || '').trim();
+  const lower = text.toLowerCase();
+  const words = lower.split(/\s+/);
+  const candidates = [lower, ...words];
+
+  const extra = new Set();
+  candidates.forEach(candidate => {
+    (synonymGroups.get(candidate) || []).forEach(term => {
+      if (term === candidate) return;
+      term.split(/\s+/).forEach(word => {
+        if (!words.includes(word)) extra.add(word);
+      });
+    });
+  });
+
+  return extra.size > 0 ? `${text} ${[...extra].join(' ')}` : text;
+};
+
+/**
+ * Optimal string alignment distance (edits, including swapping two
+ * neighbouring letters), giving up once it exceeds `max`
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or max + 1 if larger than `max`
+ */
+exports.editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Count the brands, tags and title words of products on sale
+ */
+const buildVocabulary = async () => {
+  const products = await Product.find({ isAvailable: true })
+    .select('title brand tags')
+    .lean();
+
+  const words = new Map();
+  const brands = new Map();
+  const tags = new Map();
+
+  const count = (map, key, text) => {
+    const entry = map.get(key);
+    if (entry) {
+      entry.count += 1;
+    } else {
+      map.set(key, { text, count: 1 });
+    }
+  };
+
+  products.forEach(product => {
+    if (product.brand) count(brands, product.brand.toLowerCase(), product.brand);
+    (product.tags || []).forEach(tag => {
+      if (tag) count(tags, tag.toLowerCase(), tag);
+    });
+
+    const productWords = new Set([
+      ...exports.tokenize(product.title),
+      ...exports.tokenize(product.brand),
+      ...(product.tags || []).flatMap(tag => exports.tokenize(tag))
+    ]);
+    productWords.forEach(word => count(words, word, word));
+  });
+
+  return { words, brands, tags };
+};
+
+/**
+ * Get the cached vocabulary, rebuilding it when it is older than the TTL
+ * @returns {Object} `words`, `brands` and `tags`, each a Map of lowercase
+ *   term -> { text, count }
+ */
+exports.getVocabulary = async () => {
+  if (vocabulary && Date.now() - vocabularyBuiltAt < config.vocabularyTtlMs) {
+    return vocabulary;
+  }
+
+  // Share one rebuild between concurrent requests
+  if (!vocabularyBuilding) {
+    vocabularyBuilding = buildVocabulary()
+      .then(built => {
+        vocabulary = built;
+        vocabularyBuiltAt = Date.now();
+        return built;
+      })
+      .finally(() => {
+        vocabularyBuilding = null;
+      });
+  }
+
+  return vocabularyBuilding;
+};
+
+/**
+ * Find known words close to a (possibly misspelled) word
+ * @param {string} word - Lowercase word
+ * @returns {Array<string>} Similar words, closest and most common first
+ */
+exports.findSimilarTerms = async (word) => {
+  const { words } = await exports.getVocabulary();
+  const { maxDistanceShort, maxDistanceLong, termsPerWord } = config.fuzzy;
+  const max = word.length <= 4 ? maxDistanceShort : maxDistanceLong;
+
+  const matches = [];
+  words.forEach(({ count }, term) => {
+    if (term === word) return;
+    const distance = exports.editDistance(word, term, max);
+    if (distance <= max) {
+      matches.push({ term, distance, count });
+    }
+  });
+
+  return matches
+    .sort((a, b) => a.distance - b.distance || b.count - a.count)
+    .slice(0, termsPerWord)
+    .map(match => match.term);
+};
+
+/**
+ * Get the typo-tolerant form of a search: similar known words for every
+ * word that is not in the vocabulary
+ * @param {string} search - Search text
+ * @returns {Array<string>} Replacement terms, empty if nothing similar was found
+ */
+exports.getFuzzyTerms = async (search) => {
+  const { words } = await exports.getVocabulary();
+  const terms = new Set();
+
+  for (const word of exports.tokenize(search)) {
+    if (words.has(word)) continue;
+    const similar = await exports.findSimilarTerms(word);
+    similar.forEach(term => terms.add(term));
+  }
+
+  return [...terms];
+};
+
+/**
+ * Complete a prefix to brands, tags and product titles
+ * @param {string} prefix - What the user has typed so far
+ * @param {number} [limit] - Most suggestions to return
+ * @returns {Array<Object>} Suggestions `{ text, type, count }`, titles with `product`
+ */
+exports.suggest = async (prefix, limit = config.suggest.limit) => {
+  const query = String(prefix || '').trim().toLowerCase();
+  if (query.length < config.suggest.minPrefixLength) return [];
+
+  const { brands, tags } = await exports.getVocabulary();
+
+  // Match the start of the term or of any word in it
+  const matchesPrefix = term => term.startsWith(query) || term.split(/\s+/).some(word => word.startsWith(query));
+
+  const collect = (map, type) => [...map.entries()]
+    .filter(([term]) => matchesPrefix(term))
+    .sort(([, a], [, b]) => b.count - a.count)
+    .map(([, { text, count }]) => ({ text, type, count }));
+
+  const suggestions = [...collect(brands, 'brand'), ...collect(tags, 'tag')].slice(0, limit);
+
+  if (suggestions.length < limit) {
+    const products = await Product.find({
+      isAvailable: true,
+      title: { $regex: `(^|\\s)${exports.escapeRegex(query)}`, $options: 'i' }
+    })
+      .select('title')
+      .sort({ views: -1 })
+      .limit(limit - suggestions.length);
+
+    products.forEach(product => {
+      suggestions.push({ text: product.title, type: 'title', product: product._id });
+    });
+  }
+
+  return suggestions;
+};
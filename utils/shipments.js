@@ -0,0 +1,102 @@
+const Shipment = require('../models/Shipment');
+const Order = require('../models/Order');
+const { getTrackingAdapter } = require('./tracking');
+
+// Days after shipping before delivery is confirmed on the buyer's behalf
+const AUTO_CONFIRM_DAYS = Number(process.env.DELIVERY_AUTO_CONFIRM_DAYS) || 14;
+
+/**
+ * Get the date a shipment sent now will be auto-confirmed
+ * @returns {Date} Auto-confirm date
+ */
+exports.getAutoConfirmDate = () => {
+  return new Date(Date.now() + AUTO_CONFIRM_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Pull new tracking events from the carrier's adapter
+ * @param {Object} shipment - Shipment document (saved by the caller)
+ * @returns {boolean} False if the carrier has no tracking adapter
+ */
+exports.refreshTracking = async (shipment) => {
+  const adapter = getTrackingAdapter(shipment.carrier);
+  if (!adapter) return false;
+
+  const { events } = await adapter.getTrackingStatus(shipment.trackingNumber);
+
+  // Only add events newer than the last one the carrier reported
+  const carrierEntries = shipment.statusHistory.filter(entry => entry.source === 'carrier');
+  const lastReportedAt = carrierEntries.length > 0
+    ? carrierEntries[carrierEntries.length - 1].occurredAt
+    : null;
+
+  events
+    .filter(event => !lastReportedAt || new Date(event.occurredAt) > lastReportedAt)
+    .forEach(event => {
+      shipment.addStatus(event.status, {
+        description: event.description,
+        location: event.location,
+        occurredAt: event.occurredAt,
+        source: 'carrier'
+      });
+    });
+
+  return true;
+};
+
+/**
+ * Confirm delivery of a shipment and mark its order as delivered
+ * @param {Object} shipment - Shipment document
+ * @param {string} confirmedBy - 'buyer' or 'auto'
+ */
+exports.confirmDelivery = async (shipment, confirmedBy) => {
+  shipment.deliveryConfirmedAt = new Date();
+  shipment.confirmedBy = confirmedBy;
+  if (shipment.status !== 'delivered') {
+    shipment.addStatus('delivered', {
+      description: confirmedBy === 'buyer' ? 'Delivery confirmed by buyer' : 'Delivery confirmed automatically'
+    });
+  }
+  await shipment.save();
+
+  if (shipment.order) {
+    const order = await Order.findById(shipment.order);
+    if (order && order.status === 'shipped') {
+      order.setStatus('delivered', confirmedBy === 'buyer' ? shipment.buyer : undefined);
+      await order.save();
+    }
+  }
+};
+
+/**
+ * Confirm every shipment whose auto-confirm date has passed, except those
+ * the carrier reported a problem with
+ */
+exports.autoConfirmDeliveries = async () => {
+  const shipments = await Shipment.find({
+    deliveryConfirmedAt: null,
+    autoConfirmAt: { $lte: new Date() },
+    status: { $ne: 'exception' }
+  });
+
+  for (const shipment of shipments) {
+    await exports.confirmDelivery(shipment, 'auto');
+  }
+};
+
+/**
+ * Refresh tracking for every shipment still on its way
+ */
+exports.refreshOpenShipments = async () => {
+  const shipments = await Shipment.find({
+    deliveryConfirmedAt: null,
+    status: { $ne: 'delivered' }
+  });
+
+  for (const shipment of shipments) {
+    const refreshed = await exports.refreshTracking(shipment);
+    if (refreshed && shipment.isModified()) {
+      await shipment.save();
+    }
+  }
+};
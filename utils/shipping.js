@@ -0,0 +1,281 @@
+const User = require('../models/User');
+const shippingConfig = require('../config/shipping');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeCountry = (country) => {
+  const value = (country || '').trim().toLowerCase();
+  return shippingConfig.countryAliases[value] || value;
+};
+
+/**
+ * Work out the shipping zone between a seller and a buyer address
+ * @param {Object} origin - Seller's address
+ * @param {Object} destination - Buyer's address
+ * @returns {string} 'local', 'domestic' or 'international'
+ */
+exports.getZone = (origin = {}, destination = {}) => {
+  const originCountry = normalizeCountry(origin.country || shippingConfig.originCountry);
+
+  // Without a destination country, quote as domestic
+  if (!destination.country) return 'domestic';
+
+  if (normalizeCountry(destination.country) !== originCountry) return 'international';
+
+  const prefixLength = shippingConfig.localZipPrefixLength;
+  if (origin.zipCode && destination.zipCode &&
+      origin.zipCode.slice(0, prefixLength) === destination.zipCode.slice(0, prefixLength)) {
+    return 'local';
+  }
+
+  return 'domestic';
+};
+
+/**
+ * Get the billable weight of a listing: the larger of its actual and
+ * dimensional weight
+ * @param {Object} shipping - Product's shipping details
+ * @returns {number} Weight in kg
+ */
+exports.getBillableWeight = (shipping = {}) => {
+  const actualWeight = shipping.weight || shippingConfig.defaultWeight;
+
+  const { length, width, height } = shipping.dimensions || {};
+  const dimensionalWeight = length && width && height
+    ? (length * width * height) / shippingConfig.dimensionalDivisor
+    : 0;
+
+  return Math.max(actualWeight, dimensionalWeight);
+};
+
+/**
+ * Get the rate for a parcel from the rate tables
+ * @param {string} method - Shipping method name
+ * @param {string} zone - Shipping zone
+ * @param {number} weight - Billable weight in kg
+ * @returns {number|null} Price, or null if the method does not serve the zone
+ */
+exports.getRate = (method, zone, weight) => {
+  const methodConfig = shippingConfig.methods[method];
+  const zoneRates = methodConfig && methodConfig.zones[zone];
+  if (!zoneRates) return null;
+
+  const bracket = zoneRates.brackets.find(item => weight <= item.maxWeight);
+  if (bracket) return bracket.price;
+
+  // Above the heaviest bracket, charge per extra kg
+  const lastBracket = zoneRates.brackets[zoneRates.brackets.length - 1];
+  const extraWeight = Math.ceil(weight - lastBracket.maxWeight);
+  return roundAmount(lastBracket.price + extraWeight * zoneRates.extraPerKg);
+};
+
+/**
+ * Get the shipping methods a listing offers
+ * @param {Object} shipping - Product's shipping details
+ * @returns {Array<string>} Method names
+ */
+exports.getOfferedMethods = (shipping = {}) => {
+  const methods = (shipping.methods || []).filter(method => shippingConfig.methods[method]);
+  return methods.length > 0 ? methods : shippingConfig.defaultMethods;
+};
+
+/**
+ * Quote every method available for a parcel of products from one seller
+ * @param {Array<Object>} products - Products in the parcel
+ * @param {Object} origin - Seller's address
+ * @param {Object} destination - Buyer's address
+ * @returns {Array<Object>} Quotes sorted from cheapest, each with `method`,
+ *   `label`, `estimatedDays`, `zone` and `cost`
+ */
+exports.quoteParcel = (products, origin, destination) => {
+  const zone = exports.getZone(origin, destination);
+
+  // Only methods every product in the parcel offers
+  let methods = exports.getOfferedMethods(products[0].shipping);
+  products.slice(1).forEach(product => {
+    const offered = exports.getOfferedMethods(product.shipping);
+    methods = methods.filter(method => offered.includes(method));
+  });
+  if (methods.length === 0) {
+    methods = shippingConfig.defaultMethods;
+  }
+
+  // Free-shipping items cost nothing; a seller-set flat cost replaces the tables
+  const charged = products.filter(product => !(product.shipping && product.shipping.free));
+  const flatCost = charged.reduce((sum, product) => sum + ((product.shipping && product.shipping.cost) || 0), 0);
+  const tableCharged = charged.filter(product => !(product.shipping && product.shipping.cost > 0));
+  const weight = tableCharged.reduce((sum, product) => sum + exports.getBillableWeight(product.shipping), 0);
+
+  const quotes = [];
+  methods.forEach(method => {
+    const rate = tableCharged.length > 0 ? exports.getRate(method, zone, weight) : 0;
+    if (rate === null) return;
+
+    quotes.push({
+      method,
+      label: shippingConfig.methods[method].label,
+      estimatedDays: shippingConfig.methods[method].estimatedDays,
+      zone,
+      cost: roundAmount(rate + flatCost),
+      currency: shippingConfig.currency
+    });
+  });
+
+  return quotes.sort((a, b) => a.cost - b.cost);
+};
+
+/**
+ * Look up sellers' addresses, keyed by seller ID
+ */
+const getSellerAddresses = async (sellerIds) => {
+  const sellers = await User.find({ _id: { $in: sellerIds } }).select('address');
+
+  const addresses = {};
+  sellers.forEach(seller => {
+    addresses[seller._id.toString()] = seller.address || {};
+  });
+  return addresses;
+};
+
+/**
+ * Pick a quote by method, falling back to the cheapest
+ */
+const pickQuote = (quotes, method) => {
+  return quotes.find(quote => quote.method === method) || quotes[0] || null;
+};
+
+/**
+ * Quote shipping for a single product
+ * @param {Object} product - Product document
+ * @param {Object} destination - Buyer's address
+ * @param {string} [method] - Preferred method
+ * @returns {Object} `quotes` for every method and the `selected` quote
+ */
+exports.quoteProduct = async (product, destination, method) => {
+  const sellerId = (product.seller._id || product.seller).toString();
+  const addresses = await getSellerAddresses([sellerId]);
+
+  const quotes = exports.quoteParcel([product], addresses[sellerId], destination);
+
+  return {
+    quotes,
+    selected: pickQuote(quotes, method)
+  };
+};
+
+/**
+ * Quote shipping for a cart, one parcel per seller
+ * @param {Array<Object>} items - Cart items with a populated `product`
+ * @param {Object} destination - Buyer's address
+ * @param {string} [method] - Preferred method
+ * @returns {Object} Per-seller `parcels` and the `total` shipping cost
+ */
+exports.quoteCart = async (items, destination, method) => {
+  const productsBySeller = {};
+  items.forEach(item => {
+    if (!item.product) return;
+    const sellerId = (item.product.seller._id || item.product.seller).toString();
+    if (!productsBySeller[sellerId]) {
+      productsBySeller[sellerId] = [];
+    }
+    productsBySeller[sellerId].push(item.product);
+  });
+
+  const addresses = await getSellerAddresses(Object.keys(productsBySeller));
+
+  const parcels = Object.entries(productsBySeller).map(([sellerId, products]) => {
+    const quotes = exports.quoteParcel(products, addresses[sellerId], destination);
+    return {
+      seller: sellerId,
+      quotes,
+      selected: pickQuote(quotes, method)
+    };
+  });
+
+  const total = parcels.reduce((sum, parcel) => sum + (parcel.selected ? parcel.selected.cost : 0), 0);
+
+  return {
+    parcels,
+    total: roundAmount(total)
+  };
+};
+
+/**
+ * Get the address to quote shipping to: explicit query values first, then
+ * the caller's saved address
+ * @param {Object} [user] - Authenticated user, if any
+ * @param {Object} [query] - Request query with optional `country` and `zipCode`
+ * @returns {Object} Destination address
+ * @throws {Error} With `name` 'ShippingError' if a query value is not a single string
+ */
+exports.resolveDestination = (user, query = {}) => {
+  // Repeated parameters (?country=a&country=b) arrive as arrays
+  ['country', 'zipCode'].forEach(field => {
+    if (query[field] !== undefined && typeof query[field] !== 'string') {
+      const error = new Error(`Only one ${field} can be given`);
+      error.name = 'ShippingError';
+      throw error;
+    }
+  });
+
+  const address = (user && user.address) || {};
+  return {
+    country: query.country || address.country || '',
+    zipCode: query.zipCode || address.zipCode || ''
+  };
+};
+
+/**
+ * Parse shipping details sent with a listing (JSON string or object)
+ * @param {string|Object} input - Raw shipping input
+ * @returns {Object|undefined} Shipping details, or undefined if none were sent
+ * @throws {Error} With `name` 'ShippingError' if the input is not a JSON object
+ */
+exports.parseShippingInput = (input) => {
+  if (!input) return undefined;
+
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (error) {
+      data = null;
+    }
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    const error = new Error('Shipping details must be a JSON object');
+    error.name = 'ShippingError';
+    throw error;
+  }
+
+  const shipping = {};
+
+  if (data.weight !== undefined) shipping.weight = Number(data.weight);
+  if (data.dimensions) {
+    shipping.dimensions = {
+      length: Number(data.dimensions.length) || undefined,
+      width: Number(data.dimensions.width) || undefined,
+      height: Number(data.dimensions.height) || undefined
+    };
+  }
+  if (data.free !== undefined) shipping.free = data.free === true || data.free === 'true';
+  if (data.cost !== undefined) shipping.cost = Number(data.cost);
+  if (data.methods) {
+    shipping.methods = Array.isArray(data.methods) ? data.methods : [data.methods];
+  }
+
+  return shipping;
+};
+
+/**
+ * Get the configured shipping methods
+ * @returns {Array<Object>} Methods with `method`, `label` and `estimatedDays`
+ */
+exports.getShippingMethods = () => {
+  return Object.entries(shippingConfig.methods).map(([method, config]) => ({
+    method,
+    label: config.label,
+    estimatedDays: config.estimatedDays
+  }));
+};
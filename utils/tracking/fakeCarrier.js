@@ -0,0 +1,51 @@
+/**
+ * Local fake carrier
+ * Keeps tracking events in memory so shipment tracking can be exercised
+ * offline in development and tests. Use `recordEvent` to simulate the
+ * carrier scanning a parcel.
+ */
+
+const events = new Map();
+
+exports.name = 'fake';
+
+/**
+ * Get the tracking events for a parcel
+ * @param {string} trackingNumber - Tracking number
+ * @returns {Object} Latest `status` (or null) and `events`, oldest first
+ */
+exports.getTrackingStatus = async (trackingNumber) => {
+  const parcelEvents = events.get(trackingNumber) || [];
+  const latest = parcelEvents[parcelEvents.length - 1];
+
+  return {
+    status: latest ? latest.status : null,
+    events: parcelEvents.map(event => ({ ...event }))
+  };
+};
+
+/**
+ * Simulate a carrier scan
+ * @param {string} trackingNumber - Tracking number
+ * @param {string} status - Shipment status
+ * @param {Object} [details] - Optional `description`, `location` and `occurredAt`
+ */
+exports.recordEvent = (trackingNumber, status, details = {}) => {
+  if (!events.has(trackingNumber)) {
+    events.set(trackingNumber, []);
+  }
+
+  events.get(trackingNumber).push({
+    status,
+    description: details.description || '',
+    location: details.location || '',
+    occurredAt: details.occurredAt || new Date()
+  });
+};
+
+/**
+ * Forget all recorded events
+ */
+exports.reset = () => {
+  events.clear();
+};
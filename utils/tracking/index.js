@@ -0,0 +1,33 @@
+/**
+ * Tracking adapter registry
+ *
+ * Every adapter implements:
+ *   getTrackingStatus(trackingNumber) -> { status, events: [{ status, description, location, occurredAt }] }
+ *
+ * Statuses are normalized to the Shipment statuses: 'label_created',
+ * 'in_transit', 'out_for_delivery', 'delivered' and 'exception'.
+ */
+
+const fakeCarrier = require('./fakeCarrier');
+
+const adapters = {
+  [fakeCarrier.name]: fakeCarrier
+};
+
+/**
+ * Register a tracking adapter for a carrier
+ * @param {string} carrier - Carrier name, as stored on shipments
+ * @param {Object} adapter - Adapter implementation
+ */
+exports.registerTrackingAdapter = (carrier, adapter) => {
+  adapters[carrier.toLowerCase()] = adapter;
+};
+
+/**
+ * Get the tracking adapter for a carrier
+ * @param {string} carrier - Carrier name
+ * @returns {Object|null} Adapter, or null if the carrier has none
+ */
+exports.getTrackingAdapter = (carrier) => {
+  return adapters[(carrier || '').toLowerCase()] || null;
+};
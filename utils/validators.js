@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { parseLocationInput } = require('./geo');
 
 /**
  * Validate product data
@@ -6,17 +7,9 @@ const Joi = require('joi');
  * @returns {object} Validation result
  */
 exports.validateProductData = (data) => {
-  // Handle location if it's a string or JSON string
+  // Location may be an object, a JSON string or plain text such as 'Leeds, UK'
   if (data.location) {
-    if (typeof data.location === 'string') {
-      try {
-        // Try to parse as JSON first
-        data.location = JSON.parse(data.location);
-      } catch (e) {
-        // If parsing fails, create a simple object
-        data.location = { city: data.location };
-      }
-    }
+    data.location = parseLocationInput(data.location);
   }
 
   const schema = Joi.object({
@@ -28,7 +21,13 @@ exports.validateProductData = (data) => {
     brand: Joi.string().allow('', null),
     color: Joi.string().allow('', null),
     size: Joi.string().allow('', null),
-    location: Joi.string().allow('', null),
+    location: Joi.object({
+      city: Joi.string().allow(''),
+      region: Joi.string().allow(''),
+      country: Joi.string().allow(''),
+      lat: Joi.number().min(-90).max(90),
+      lng: Joi.number().min(-180).max(180)
+    }).and('lat', 'lng').allow('', null),
     images: Joi.array().items(Joi.string()),
     seller: Joi.string().required()
   });